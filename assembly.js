@@ -0,0 +1,216 @@
+// Assembly - Mates between bodies and the solver that positions them
+// Bodies are the components, and their position and rotation are the component transforms.
+// Mates (see mate.js) are listed in the "assembly" folder as objects with
+// userData.kivi = { type: 'mate', mate }. In each group of bodies linked by mates, the first
+// body of the group's first mate stays where it is and the solver moves the others.
+// Hidden mates are suppressed.
+import * as THREE from 'three';
+import { Mate } from './mate.js';
+import { isBodyMesh } from './stl-export.js';
+
+// Solver passes over all mates before giving up
+const MAX_PASSES = 50;
+
+// Largest mate error (mm, or radians for directions) that counts as solved
+const SOLVE_TOLERANCE = 1e-6;
+
+export class Assembly {
+  constructor(kivi) {
+    this.kivi = kivi;
+
+    this.folder = new THREE.Group();
+    this.folder.name = 'assembly';
+    kivi.addObject('assembly', this.folder);
+  }
+
+  // Mate objects in the assembly folder
+  getMateObjects() {
+    return this.folder.children.filter(child => child.userData?.kivi?.type === 'mate');
+  }
+
+  generateMateName(mate) {
+    const existingNames = new Set(this.folder.children.map(child => child.name));
+
+    let counter = 1;
+    while (existingNames.has(`${mate.label} ${counter}`)) {
+      counter++;
+    }
+    return `${mate.label} ${counter}`;
+  }
+
+  // Mates have no geometry of their own, they only hold the Mate
+  createMateObject(name, mate) {
+    const object = new THREE.Object3D();
+    object.name = name;
+    object.userData.kivi = {
+      type: 'mate',
+      mate
+    };
+    return object;
+  }
+
+  // Add a mate and move the bodies to satisfy it (undoable)
+  // a, b: mate sides (see Mate); side b's body is moved when neither body is fixed yet
+  addMate(type, a, b, options = {}) {
+    const mate = new Mate(type, a, b, options);
+    const object = this.createMateObject(this.generateMateName(mate), mate);
+
+    this.recordSolve(`${object.name}: ${mate.describe()}`, () => this.folder.add(object), () => this.folder.remove(object));
+
+    console.log('Added mate:', object.name, mate.describe());
+    return object;
+  }
+
+  // Change a mate's value or flip and solve again (undoable)
+  editMate(object, params) {
+    const mate = object.userData.kivi.mate;
+    const previous = {};
+    Object.keys(params).forEach(key => {
+      previous[key] = mate[key];
+    });
+
+    this.recordSolve(`Edit ${object.name}`, () => Object.assign(mate, params), () => Object.assign(mate, previous));
+  }
+
+  // Solve again, e.g. after bodies were moved by hand (undoable)
+  solveCommand() {
+    this.recordSolve('Solve assembly', () => {}, () => {});
+  }
+
+  // Make a change, solve, and record both as one command that restores the body transforms
+  recordSolve(label, change, revert) {
+    const before = this.saveTransforms();
+    change();
+    this.solve();
+    const after = this.saveTransforms();
+
+    this.kivi.system.commands.push({
+      label,
+      do: () => {
+        change();
+        this.restoreTransforms(after);
+      },
+      undo: () => {
+        revert();
+        this.restoreTransforms(before);
+      }
+    });
+  }
+
+  // Order to apply the mates in, as [{ mate, reversed }]: outwards from each group's fixed body,
+  // so every mate moves the body further from it (reversed: side a's body moves)
+  solveOrder(mates) {
+    const placed = new Set();
+    const fixed = new Set();
+    const remaining = [...mates];
+    const order = [];
+
+    while (remaining.length > 0) {
+      const index = remaining.findIndex(mate => placed.has(mate.a.body) || placed.has(mate.b.body));
+      if (index === -1) {
+        // A new group: its first body stays put
+        fixed.add(remaining[0].a.body);
+        placed.add(remaining[0].a.body);
+        continue;
+      }
+
+      const [mate] = remaining.splice(index, 1);
+      const reversed = !placed.has(mate.a.body) || fixed.has(mate.b.body);
+      order.push({ mate, reversed });
+      placed.add(mate.a.body);
+      placed.add(mate.b.body);
+    }
+
+    return order;
+  }
+
+  // Move bodies until all mates hold
+  // Returns false if some mates could not be satisfied (they conflict or a body is missing)
+  solve() {
+    // Hidden mates are suppressed
+    const mates = this.getMateObjects()
+      .filter(object => object.visible)
+      .map(object => object.userData.kivi.mate)
+      .filter(mate => {
+        if (mate.isLinked()) return true;
+        console.warn('Skipping mate with a missing body:', mate.describe());
+        return false;
+      });
+    const order = this.solveOrder(mates);
+
+    // Each mate moves its body the least it can, so repeated passes settle mates that share a body
+    const moved = new Set();
+    let error = 0;
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      order.forEach(({ mate, reversed }) => {
+        mate.apply(reversed);
+        moved.add(reversed ? mate.a.body : mate.b.body);
+      });
+
+      error = Math.max(0, ...order.map(({ mate }) => mate.getError()));
+      if (error < SOLVE_TOLERANCE) break;
+    }
+
+    moved.forEach(body => this.bodyMoved(body));
+
+    if (error >= SOLVE_TOLERANCE) {
+      const failed = order.filter(({ mate }) => mate.getError() >= SOLVE_TOLERANCE);
+      console.warn('Assembly mates could not all be satisfied:', failed.map(({ mate }) => `${mate.label} ${mate.describe()}`));
+      return false;
+    }
+    return true;
+  }
+
+  // Mates on a rebuilt body's faces find them again
+  // Bodies are not moved; Solve Assembly brings them back in line with the new faces
+  bodyRegenerated(body) {
+    this.getMateObjects().forEach(object => object.userData.kivi.mate.followBody(body));
+  }
+
+  // Highlights and sketches on a moved body's faces follow it
+  bodyMoved(body) {
+    this.kivi.system.faceSelector?.invalidateMesh(body);
+    this.kivi.system.sketchEditor?.updateAttachedSketches(body);
+  }
+
+  // Position and rotation of every body, for undo
+  saveTransforms() {
+    const transforms = new Map();
+    this.kivi.system.project.getFolders().forEach(({ object }) => {
+      object.children.filter(child => isBodyMesh(child)).forEach(body => {
+        transforms.set(body, { position: body.position.clone(), quaternion: body.quaternion.clone() });
+      });
+    });
+    return transforms;
+  }
+
+  restoreTransforms(transforms) {
+    transforms.forEach(({ position, quaternion }, body) => {
+      if (body.position.equals(position) && body.quaternion.equals(quaternion)) return;
+      body.position.copy(position);
+      body.quaternion.copy(quaternion);
+      body.updateMatrixWorld();
+      this.bodyMoved(body);
+    });
+  }
+
+  serializeMate(object) {
+    return {
+      type: 'mate',
+      name: object.name,
+      visible: object.visible,
+      mate: object.userData.kivi.mate.toJSON()
+    };
+  }
+
+  loadMate(folder, data) {
+    const object = this.createMateObject(data.name, Mate.fromJSON(data.mate));
+    object.visible = data.visible ?? true;
+    folder.add(object);
+  }
+
+  // Mates name their bodies, which exist once all folders are loaded (bodies maps names to meshes)
+  linkMates(bodies) {
+    this.getMateObjects().forEach(object => object.userData.kivi.mate.link(bodies));
+  }
+}
@@ -0,0 +1,241 @@
+// Autosave - Snapshots the project to IndexedDB shortly after each change, for crash recovery
+// Keeps a small ring of recent snapshots. On startup, if the newest one is newer than the last
+// explicit save, the user is offered to restore it.
+
+const DB_NAME = 'kivi-draft';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots'; // { id (auto), time, json }
+const META_STORE = 'meta'; // { key, value }
+
+// Wait this long after the last change before taking a snapshot (ms)
+const AUTOSAVE_DELAY = 2000;
+
+// Number of snapshots kept
+const MAX_SNAPSHOTS = 5;
+
+// Document JSON without the camera view: moving the camera alone is not worth a snapshot
+function documentContent(data) {
+  return JSON.stringify({ ...data, camera: null });
+}
+
+// Promise for an IndexedDB request
+function whenDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class Autosave {
+  constructor(kivi) {
+    this.kivi = kivi;
+    this.db = null;
+    this.enabled = false; // Off until startup recovery is settled, so an empty scene isn't snapshotted
+    this.timer = null;
+    // Contents (see documentContent) of the last snapshot or explicit save, and of the scene
+    // autosave started with, which has nothing to recover. Snapshots equal to either are skipped.
+    this.lastContent = null;
+    this.baselineContent = null;
+
+    // Take a pending snapshot before the page goes away (e.g. a debug refresh)
+    window.addEventListener('beforeunload', () => this.flush());
+  }
+
+  openDatabase() {
+    if (this.db) return Promise.resolve(this.db);
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+      }
+    };
+
+    return whenDone(request).then(db => {
+      this.db = db;
+      return db;
+    });
+  }
+
+  store(name, mode = 'readonly') {
+    return this.db.transaction(name, mode).objectStore(name);
+  }
+
+  // Offer to restore an unsaved session, then start autosaving
+  start() {
+    if (!window.indexedDB) {
+      console.warn('IndexedDB not available, autosave disabled');
+      return Promise.resolve();
+    }
+
+    return this.openDatabase()
+      .then(() => Promise.all([this.getSnapshots(), this.getMeta('lastSave'), this.getMeta('lastDiscard')]))
+      .then(([snapshots, lastSave, lastDiscard]) => {
+        const unsaved = snapshots.filter(snapshot => snapshot.time > Math.max(lastSave, lastDiscard));
+        if (unsaved.length > 0) {
+          this.showRestoreDialog(snapshots);
+        } else {
+          this.enable();
+        }
+      })
+      .catch(error => {
+        console.warn('Autosave disabled:', error);
+      });
+  }
+
+  // Start taking snapshots of changes from the current scene on
+  enable() {
+    this.baselineContent = documentContent(this.kivi.system.project.serialize());
+    this.enabled = true;
+  }
+
+  // Call after every change to the document
+  scheduleSnapshot() {
+    if (!this.enabled) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.snapshot(), AUTOSAVE_DELAY);
+  }
+
+  // Take a scheduled snapshot right away
+  flush() {
+    if (!this.timer) return;
+    this.snapshot();
+  }
+
+  snapshot() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.enabled || !this.db) return Promise.resolve();
+
+    const data = this.kivi.system.project.serialize();
+    const content = documentContent(data);
+    if (content === this.lastContent || content === this.baselineContent) return Promise.resolve();
+    this.lastContent = content;
+    const json = JSON.stringify(data);
+
+    return whenDone(this.store(SNAPSHOT_STORE, 'readwrite').add({ time: Date.now(), json }))
+      .then(() => this.trimSnapshots())
+      .catch(error => {
+        console.warn('Autosave failed:', error);
+      });
+  }
+
+  // Drop the oldest snapshots beyond MAX_SNAPSHOTS
+  trimSnapshots() {
+    return this.getSnapshots().then(snapshots => {
+      const store = this.store(SNAPSHOT_STORE, 'readwrite');
+      snapshots.slice(MAX_SNAPSHOTS).forEach(snapshot => store.delete(snapshot.id));
+    });
+  }
+
+  // Newest first
+  getSnapshots() {
+    return whenDone(this.store(SNAPSHOT_STORE).getAll())
+      .then(snapshots => snapshots.sort((a, b) => b.id - a.id));
+  }
+
+  // Timestamp stored under key, or 0
+  getMeta(key) {
+    return whenDone(this.store(META_STORE).get(key))
+      .then(entry => entry ? entry.value : 0);
+  }
+
+  setMeta(key, value) {
+    if (!this.db) return;
+
+    whenDone(this.store(META_STORE, 'readwrite').put({ key, value }))
+      .catch(error => {
+        console.warn('Could not update autosave info:', error);
+      });
+  }
+
+  // Call after the project was written to a file (json is the saved document)
+  markSaved(json) {
+    this.lastContent = documentContent(JSON.parse(json));
+    this.setMeta('lastSave', Date.now());
+  }
+
+  restore(snapshot) {
+    if (this.kivi.system.project.loadText(snapshot.json)) {
+      this.lastContent = documentContent(JSON.parse(snapshot.json));
+      console.log('Restored session from', new Date(snapshot.time).toLocaleString());
+    }
+  }
+
+  showRestoreDialog(snapshots) {
+    const options = snapshots
+      .map((snapshot, index) => `<option value="${index}">${new Date(snapshot.time).toLocaleString()}${index === 0 ? ' (latest)' : ''}</option>`)
+      .join('');
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Restore unsaved session?</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        Changes were made after the last save.
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Snapshot:</label>
+        <select id="autosave-snapshot" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${options}
+        </select>
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="autosave-restore" class="btn btn-primary" style="flex: 1;">Restore</button>
+        <button id="autosave-discard" class="btn btn-secondary" style="flex: 1;">Start Fresh</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // Snapshots are kept either way, so a discarded session can still be restored later
+    // from the console with KIVI.system.autosave.getSnapshots() and restore()
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+      this.enable();
+    };
+
+    dialog.querySelector('#autosave-restore').addEventListener('click', () => {
+      const index = parseInt(dialog.querySelector('#autosave-snapshot').value);
+      close();
+      this.restore(snapshots[index]);
+    });
+
+    dialog.querySelector('#autosave-discard').addEventListener('click', () => {
+      close();
+      // Don't offer the same snapshots again on the next start
+      this.setMeta('lastDiscard', Date.now());
+    });
+  }
+}
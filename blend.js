@@ -0,0 +1,199 @@
+// Blend - Fillets (constant radius) and chamfers (distance/angle) on straight body edges
+// A feature in a body's FeatureHistory. Each edge gets a corner-shaped tool that is
+// subtracted on convex edges and added on concave ones.
+import * as THREE from 'three';
+import { subtractGeometry, unionGeometry } from './csg.js';
+import { findCreaseEdges, distanceToEdge } from './mesh-edges.js';
+
+// Segments used for a 90 degree fillet arc
+const FILLET_SEGMENTS = 8;
+
+export class Blend {
+  // options.mode: 'fillet' or 'chamfer'
+  // options.radius: fillet radius
+  // options.distance, options.angle: chamfer setback along the first face and angle (degrees) from it
+  // options.edges: [{ midpoint: [x, y, z], direction: [x, y, z] }] from Blend.describeEdge
+  constructor(options = {}) {
+    this.type = 'blend';
+    this.mode = options.mode ?? 'fillet';
+    this.radius = options.radius ?? 1;
+    this.distance = options.distance ?? 1;
+    this.angle = options.angle ?? 45;
+    this.edges = options.edges ?? [];
+  }
+
+  get label() {
+    return this.mode === 'chamfer' ? 'Chamfer' : 'Fillet';
+  }
+
+  // Reference to a crease edge (see mesh-edges.js) that can be found again after the body regenerates
+  static describeEdge(edge) {
+    const midpoint = edge.start.clone().add(edge.end).multiplyScalar(0.5);
+    return { midpoint: midpoint.toArray(), direction: edge.direction.toArray() };
+  }
+
+  // Feature step: blend every edge of the geometry built so far
+  execute(geometry) {
+    if (!geometry) {
+      console.warn('Blend needs an existing body');
+      return null;
+    }
+
+    // Edges are looked up on the incoming geometry, so later tools are not
+    // confused by earlier blends
+    const creases = findCreaseEdges(geometry);
+    geometry.computeBoundingBox();
+    const size = geometry.boundingBox.getSize(new THREE.Vector3()).length();
+
+    let result = geometry;
+    this.edges.forEach((reference, index) => {
+      const edge = findMatchingEdge(creases, reference, size);
+      if (!edge) {
+        console.warn(`${this.label}: edge ${index + 1} no longer exists`);
+        return;
+      }
+
+      const tool = this.createTool(edge);
+      if (!tool) return;
+
+      const next = tool.convex ? subtractGeometry(result, tool.geometry) : unionGeometry(result, tool.geometry);
+      tool.geometry.dispose();
+      if (result !== geometry) result.dispose();
+      result = next;
+    });
+
+    return result;
+  }
+
+  // Corner piece between the two faces of an edge and the fillet arc or chamfer line
+  // Returns { geometry, convex } or null
+  createTool(edge) {
+    const [face1, face2] = edge.faces;
+    const origin = edge.start;
+
+    // Directions from the edge into each face, perpendicular to the edge
+    const intoFace = face => {
+      const t = new THREE.Vector3().crossVectors(edge.direction, face.normal).normalize();
+      return t.dot(new THREE.Vector3().subVectors(face.centroid, origin)) < 0 ? t.negate() : t;
+    };
+    const t1 = intoFace(face1);
+    const t2 = intoFace(face2);
+
+    // Convex if the second face turns away from the first face's outside
+    const convex = t2.dot(face1.normal) < 0;
+
+    // Angle between the faces, measured through the corner being blended
+    const phi = Math.acos(THREE.MathUtils.clamp(t1.dot(t2), -1, 1));
+    if (phi < 1e-3 || phi > Math.PI - 1e-3) {
+      console.warn(`${this.label}: faces are tangent, nothing to blend`);
+      return null;
+    }
+
+    // 2D frame in the cross-section plane: x along t1, y toward t2
+    const xAxis = t1;
+    const yAxis = t2.clone().addScaledVector(t1, -t2.dot(t1)).normalize();
+    const to2D = v => new THREE.Vector2(v.dot(xAxis), v.dot(yAxis));
+
+    const points = [new THREE.Vector2(0, 0)];
+    if (this.mode === 'chamfer') {
+      // Law of sines in the triangle (corner, setback on face 1, setback on face 2)
+      const alpha = THREE.MathUtils.degToRad(this.angle);
+      if (!(this.distance > 0) || alpha <= 0 || alpha + phi >= Math.PI) {
+        console.warn('Chamfer: invalid distance or angle');
+        return null;
+      }
+      const d2 = this.distance * Math.sin(alpha) / Math.sin(Math.PI - phi - alpha);
+      points.push(to2D(t1.clone().multiplyScalar(this.distance)));
+      points.push(to2D(t2.clone().multiplyScalar(d2)));
+    } else {
+      if (!(this.radius > 0)) {
+        console.warn('Fillet: radius must be positive');
+        return null;
+      }
+      // Circle tangent to both faces
+      const setback = this.radius / Math.tan(phi / 2);
+      const bisector = t1.clone().add(t2).normalize();
+      const center = to2D(bisector.multiplyScalar(this.radius / Math.sin(phi / 2)));
+      const a = to2D(t1.clone().multiplyScalar(setback));
+      const b = to2D(t2.clone().multiplyScalar(setback));
+
+      // Short way around from the tangent point on face 1 to the one on face 2
+      const startAngle = Math.atan2(a.y - center.y, a.x - center.x);
+      let sweep = Math.atan2(b.y - center.y, b.x - center.x) - startAngle;
+      while (sweep > Math.PI) sweep -= Math.PI * 2;
+      while (sweep < -Math.PI) sweep += Math.PI * 2;
+
+      const steps = Math.max(2, Math.ceil(FILLET_SEGMENTS * Math.abs(sweep) / (Math.PI / 2)));
+      for (let i = 0; i <= steps; i++) {
+        const angle = startAngle + sweep * i / steps;
+        points.push(new THREE.Vector2(
+          center.x + Math.cos(angle) * this.radius,
+          center.y + Math.sin(angle) * this.radius
+        ));
+      }
+    }
+
+    const shape = new THREE.Shape(points);
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: edge.length, bevelEnabled: false });
+
+    // Right-handed frame so the extrusion is not mirrored
+    const zAxis = new THREE.Vector3().crossVectors(xAxis, yAxis);
+    const start = zAxis.dot(edge.direction) > 0 ? edge.start : edge.end;
+    const matrix = new THREE.Matrix4().makeBasis(xAxis, yAxis, zAxis);
+    matrix.setPosition(start);
+    geometry.applyMatrix4(matrix);
+
+    return { geometry, convex };
+  }
+
+  // Short parameter summary for the objects browser
+  describe() {
+    const size = this.mode === 'chamfer' ? `${this.distance} × ${this.angle}°` : `R${this.radius}`;
+    return `${size}, ${this.edges.length} edge${this.edges.length === 1 ? '' : 's'}`;
+  }
+
+  clone() {
+    return new Blend({
+      mode: this.mode,
+      radius: this.radius,
+      distance: this.distance,
+      angle: this.angle,
+      edges: this.edges.map(edge => ({ midpoint: [...edge.midpoint], direction: [...edge.direction] }))
+    });
+  }
+
+  // Serialize to JSON
+  toJSON() {
+    return {
+      mode: this.mode,
+      radius: this.radius,
+      distance: this.distance,
+      angle: this.angle,
+      edges: this.edges
+    };
+  }
+
+  static fromJSON(data) {
+    return new Blend(data);
+  }
+}
+
+// Crease edge closest to a stored reference with the same direction
+// Edges move when the body's sketches change, so the nearest parallel edge wins
+function findMatchingEdge(creases, reference, size) {
+  const midpoint = new THREE.Vector3().fromArray(reference.midpoint);
+  const direction = new THREE.Vector3().fromArray(reference.direction);
+
+  let best = null;
+  let bestDistance = size * 0.5;
+  creases.forEach(edge => {
+    if (Math.abs(edge.direction.dot(direction)) < 0.999) return;
+    const distance = distanceToEdge(midpoint, edge);
+    if (distance < bestDistance) {
+      best = edge;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
@@ -241,10 +241,13 @@ export class CameraController {
     // deltaY > 0 = scroll down = zoom in
     // deltaY < 0 = scroll up = zoom out
     const zoomFactor = deltaY > 0 ? 1 - this.zoomSpeed : 1 + this.zoomSpeed;
-    this.currentZoom *= zoomFactor;
+    this.setZoom(this.currentZoom * zoomFactor);
+  }
 
+  // Set the visible frustum height (e.g. when loading a saved view)
+  setZoom(size) {
     // Clamp zoom
-    this.currentZoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.currentZoom));
+    this.currentZoom = Math.max(this.minZoom, Math.min(this.maxZoom, size));
 
     // Update camera frustum
     const aspect = this.camera.right / this.camera.top; // Calculate current aspect ratio
@@ -0,0 +1,106 @@
+// Command History - Undo/redo stack for document changes
+// A command is { label, do(), undo() }, optionally with sketch (the sketch container it edits).
+// Commands keep references to the objects they change, so redo brings back the same objects
+// and anything pointing at them (feature inputs, clipboard) stays valid.
+
+// Oldest commands are dropped beyond this
+const MAX_COMMANDS = 100;
+
+export class CommandHistory {
+  constructor(kivi) {
+    this.kivi = kivi;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // Run a command and record it
+  execute(command) {
+    command.do();
+    this.push(command);
+  }
+
+  // Record a command whose change has already been made
+  push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > MAX_COMMANDS) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+
+    console.log('Command:', command.label);
+    this.changed();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0 && this.isAllowed(this.undoStack[this.undoStack.length - 1]);
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0 && this.isAllowed(this.redoStack[this.redoStack.length - 1]);
+  }
+
+  // While a sketch is being edited, only that sketch's own changes can be undone or redone
+  isAllowed(command) {
+    const sketchEditor = this.kivi.system.sketchEditor;
+    return !sketchEditor?.isEditing || command.sketch === sketchEditor.activeSketch;
+  }
+
+  undo() {
+    if (!this.canUndo()) {
+      console.warn(this.undoStack.length > 0 ? 'Finish editing the sketch first' : 'Nothing to undo');
+      return false;
+    }
+
+    const command = this.undoStack.pop();
+    command.undo();
+    this.redoStack.push(command);
+
+    console.log('Undo:', command.label);
+    this.changed();
+    return true;
+  }
+
+  redo() {
+    if (!this.canRedo()) {
+      console.warn(this.redoStack.length > 0 ? 'Finish editing the sketch first' : 'Nothing to redo');
+      return false;
+    }
+
+    const command = this.redoStack.pop();
+    command.do();
+    this.undoStack.push(command);
+
+    console.log('Redo:', command.label);
+    this.changed();
+    return true;
+  }
+
+  // Forget all commands (e.g. after loading a project)
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.changed();
+  }
+
+  changed() {
+    // Highlights may point at geometry an undo just replaced or removed
+    const faceSelector = this.kivi.system.faceSelector;
+    if (faceSelector) {
+      faceSelector.clearHover();
+      faceSelector.deselectFace();
+      faceSelector.clearItemSelection();
+    }
+
+    this.kivi.system.transformGizmo?.refresh();
+    this.kivi.system.objectsBrowser?.update();
+    this.kivi.system.historyPanel?.update();
+    this.kivi.render();
+  }
+}
+
+// Put an object back into a folder at its old position
+export function insertChild(parent, object, index) {
+  parent.add(object);
+  parent.children.splice(parent.children.indexOf(object), 1);
+  parent.children.splice(Math.min(index, parent.children.length), 0, object);
+}
@@ -0,0 +1,473 @@
+// CSG - Boolean operations (union, subtract, intersect) on closed triangle meshes
+// Uses BSP trees, following Evan Wallace's csg.js. Inputs are BufferGeometries in the
+// same coordinate frame; results are new non-indexed BufferGeometries with
+// position, normal and uv attributes (the layout ExtrudeGeometry uses).
+import * as THREE from 'three';
+
+const EPSILON = 1e-5;
+
+// Output vertices closer than this are merged (model units are mm)
+const WELD_TOLERANCE = 1e-4;
+
+// Polygon classification against a plane
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+// A = A - B
+export function subtractGeometry(a, b) {
+  const nodeA = new BSPNode(geometryToPolygons(a));
+  const nodeB = new BSPNode(geometryToPolygons(b));
+
+  nodeA.invert();
+  nodeA.clipTo(nodeB);
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeA.build(nodeB.allPolygons());
+  nodeA.invert();
+
+  return polygonsToGeometry(nodeA.allPolygons());
+}
+
+// A + B
+export function unionGeometry(a, b) {
+  const nodeA = new BSPNode(geometryToPolygons(a));
+  const nodeB = new BSPNode(geometryToPolygons(b));
+
+  nodeA.clipTo(nodeB);
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeA.build(nodeB.allPolygons());
+
+  return polygonsToGeometry(nodeA.allPolygons());
+}
+
+// Volume shared by A and B
+export function intersectGeometry(a, b) {
+  const nodeA = new BSPNode(geometryToPolygons(a));
+  const nodeB = new BSPNode(geometryToPolygons(b));
+
+  nodeA.invert();
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeA.clipTo(nodeB);
+  nodeB.clipTo(nodeA);
+  nodeA.build(nodeB.allPolygons());
+  nodeA.invert();
+
+  return polygonsToGeometry(nodeA.allPolygons());
+}
+
+class Vertex {
+  constructor(position, uv) {
+    this.position = position; // THREE.Vector3
+    this.uv = uv; // THREE.Vector2
+  }
+
+  clone() {
+    return new Vertex(this.position.clone(), this.uv.clone());
+  }
+
+  // Vertex at t along the way to another vertex
+  interpolate(other, t) {
+    return new Vertex(
+      this.position.clone().lerp(other.position, t),
+      this.uv.clone().lerp(other.uv, t)
+    );
+  }
+}
+
+class CSGPlane {
+  constructor(normal, w) {
+    this.normal = normal;
+    this.w = w; // Distance from the origin along the normal
+  }
+
+  static fromPoints(a, b, c) {
+    const normal = new THREE.Vector3()
+      .subVectors(b, a)
+      .cross(new THREE.Vector3().subVectors(c, a))
+      .normalize();
+    return new CSGPlane(normal, normal.dot(a));
+  }
+
+  clone() {
+    return new CSGPlane(this.normal.clone(), this.w);
+  }
+
+  flip() {
+    this.normal.negate();
+    this.w = -this.w;
+  }
+
+  distanceTo(point) {
+    return this.normal.dot(point) - this.w;
+  }
+
+  // Sort a polygon into the lists for this plane, splitting it if it spans the plane
+  splitPolygon(polygon, coplanarFront, coplanarBack, front, back) {
+    let polygonType = 0;
+    const types = polygon.vertices.map(vertex => {
+      const t = this.distanceTo(vertex.position);
+      const type = t < -EPSILON ? BACK : (t > EPSILON ? FRONT : COPLANAR);
+      polygonType |= type;
+      return type;
+    });
+
+    switch (polygonType) {
+      case COPLANAR:
+        (this.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+        break;
+      case FRONT:
+        front.push(polygon);
+        break;
+      case BACK:
+        back.push(polygon);
+        break;
+      case SPANNING: {
+        const f = [];
+        const b = [];
+        const count = polygon.vertices.length;
+        for (let i = 0; i < count; i++) {
+          const j = (i + 1) % count;
+          const ti = types[i];
+          const tj = types[j];
+          const vi = polygon.vertices[i];
+          const vj = polygon.vertices[j];
+
+          if (ti !== BACK) f.push(vi);
+          if (ti !== FRONT) b.push(ti !== BACK ? vi.clone() : vi);
+
+          if ((ti | tj) === SPANNING) {
+            const t = -this.distanceTo(vi.position) /
+              this.normal.dot(new THREE.Vector3().subVectors(vj.position, vi.position));
+            const v = vi.interpolate(vj, t);
+            f.push(v);
+            b.push(v.clone());
+          }
+        }
+        // Pieces keep the original plane to avoid drift
+        if (f.length >= 3) front.push(new Polygon(f, polygon.plane.clone()));
+        if (b.length >= 3) back.push(new Polygon(b, polygon.plane.clone()));
+        break;
+      }
+    }
+  }
+}
+
+// Convex planar polygon
+class Polygon {
+  constructor(vertices, plane = null) {
+    this.vertices = vertices;
+    this.plane = plane || CSGPlane.fromPoints(
+      vertices[0].position, vertices[1].position, vertices[2].position
+    );
+  }
+
+  clone() {
+    return new Polygon(this.vertices.map(v => v.clone()), this.plane.clone());
+  }
+
+  flip() {
+    this.vertices.reverse();
+    this.plane.flip();
+  }
+}
+
+// BSP tree node
+// Traversals use explicit stacks so large meshes cannot overflow the call stack
+class BSPNode {
+  constructor(polygons = null) {
+    this.plane = null;
+    this.front = null;
+    this.back = null;
+    this.polygons = [];
+    if (polygons) this.build(polygons);
+  }
+
+  forEachNode(callback) {
+    const stack = [this];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      callback(node);
+      if (node.front) stack.push(node.front);
+      if (node.back) stack.push(node.back);
+    }
+  }
+
+  // Swap solid and empty space
+  invert() {
+    this.forEachNode(node => {
+      node.polygons.forEach(polygon => polygon.flip());
+      if (node.plane) node.plane.flip();
+      const front = node.front;
+      node.front = node.back;
+      node.back = front;
+    });
+  }
+
+  // Remove the parts of the polygons that are inside this tree's solid
+  clipPolygons(polygons) {
+    const result = [];
+    const stack = [[this, polygons]];
+
+    while (stack.length > 0) {
+      const [node, list] = stack.pop();
+      if (!node.plane) {
+        result.push(...list);
+        continue;
+      }
+
+      const front = [];
+      const back = [];
+      list.forEach(polygon => node.plane.splitPolygon(polygon, front, back, front, back));
+
+      if (node.front) {
+        stack.push([node.front, front]);
+      } else {
+        result.push(...front);
+      }
+      // Polygons behind a leaf are inside the solid and dropped
+      if (node.back) {
+        stack.push([node.back, back]);
+      }
+    }
+
+    return result;
+  }
+
+  // Remove the parts of this tree's polygons that are inside another tree
+  clipTo(bsp) {
+    this.forEachNode(node => {
+      node.polygons = bsp.clipPolygons(node.polygons);
+    });
+  }
+
+  allPolygons() {
+    const polygons = [];
+    this.forEachNode(node => polygons.push(...node.polygons));
+    return polygons;
+  }
+
+  // Add polygons to the tree, splitting them by the existing planes
+  build(polygons) {
+    const stack = [[this, polygons]];
+
+    while (stack.length > 0) {
+      const [node, list] = stack.pop();
+      if (list.length === 0) continue;
+
+      if (!node.plane) node.plane = list[0].plane.clone();
+
+      const front = [];
+      const back = [];
+      list.forEach(polygon => node.plane.splitPolygon(polygon, node.polygons, node.polygons, front, back));
+
+      if (front.length > 0) {
+        if (!node.front) node.front = new BSPNode();
+        stack.push([node.front, front]);
+      }
+      if (back.length > 0) {
+        if (!node.back) node.back = new BSPNode();
+        stack.push([node.back, back]);
+      }
+    }
+  }
+}
+
+function geometryToPolygons(geometry) {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const position = source.attributes.position;
+  const uv = source.attributes.uv;
+  const polygons = [];
+
+  for (let i = 0; i < position.count; i += 3) {
+    const vertices = [0, 1, 2].map(k => new Vertex(
+      new THREE.Vector3().fromBufferAttribute(position, i + k),
+      uv ? new THREE.Vector2().fromBufferAttribute(uv, i + k) : new THREE.Vector2()
+    ));
+
+    // Skip degenerate triangles, they have no plane
+    const area = new THREE.Vector3()
+      .subVectors(vertices[1].position, vertices[0].position)
+      .cross(new THREE.Vector3().subVectors(vertices[2].position, vertices[0].position))
+      .length();
+    if (area < EPSILON * EPSILON) continue;
+
+    polygons.push(new Polygon(vertices));
+  }
+
+  if (source !== geometry) source.dispose();
+  return polygons;
+}
+
+function polygonsToGeometry(polygons) {
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+
+  const pushVertex = (vertex, normal) => {
+    positions.push(vertex.position.x, vertex.position.y, vertex.position.z);
+    normals.push(normal.x, normal.y, normal.z);
+    uvs.push(vertex.uv.x, vertex.uv.y);
+  };
+
+  fixTJunctions(weldPolygons(polygons)).forEach(({ polygon, vertices, split }) => {
+    const normal = polygon.plane.normal;
+
+    if (!split) {
+      // Convex polygon: fan from the first vertex
+      for (let i = 1; i < vertices.length - 1; i++) {
+        pushVertex(vertices[0], normal);
+        pushVertex(vertices[i], normal);
+        pushVertex(vertices[i + 1], normal);
+      }
+      return;
+    }
+
+    // Extra points lie on straight edges, so fan from the centroid to avoid slivers
+    const center = vertices[0].clone();
+    center.position.set(0, 0, 0);
+    center.uv.set(0, 0);
+    vertices.forEach(vertex => {
+      center.position.add(vertex.position);
+      center.uv.add(vertex.uv);
+    });
+    center.position.divideScalar(vertices.length);
+    center.uv.divideScalar(vertices.length);
+
+    for (let i = 0; i < vertices.length; i++) {
+      pushVertex(center, normal);
+      pushVertex(vertices[i], normal);
+      pushVertex(vertices[(i + 1) % vertices.length], normal);
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  return geometry;
+}
+
+// Snap nearly identical vertices together (splits produce copies that differ by rounding)
+// and drop the vertices and polygons that collapse as a result
+// Returns [{ polygon, vertices }]
+function weldPolygons(polygons) {
+  const cells = new Map(); // Grid cell key -> representative points
+  const cellKey = (x, y, z) => `${x},${y},${z}`;
+
+  const snap = (position) => {
+    const cx = Math.floor(position.x / WELD_TOLERANCE);
+    const cy = Math.floor(position.y / WELD_TOLERANCE);
+    const cz = Math.floor(position.z / WELD_TOLERANCE);
+
+    // Look in the neighbouring cells too, a close point may sit across a cell border
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const points = cells.get(cellKey(cx + dx, cy + dy, cz + dz));
+          const match = points?.find(p => p.distanceTo(position) < WELD_TOLERANCE);
+          if (match) return match;
+        }
+      }
+    }
+
+    const key = cellKey(cx, cy, cz);
+    if (!cells.has(key)) cells.set(key, []);
+    const point = position.clone();
+    cells.get(key).push(point);
+    return point;
+  };
+
+  const result = [];
+  polygons.forEach(polygon => {
+    const vertices = [];
+    polygon.vertices.forEach(vertex => {
+      const point = snap(vertex.position);
+      if (vertices.length > 0 && vertices[vertices.length - 1].position === point) return;
+      const welded = vertex.clone();
+      welded.position = point;
+      vertices.push(welded);
+    });
+
+    // Closing vertex may repeat the first
+    if (vertices.length > 1 && vertices[0].position === vertices[vertices.length - 1].position) {
+      vertices.pop();
+    }
+    if (vertices.length < 3) return;
+
+    // Collapsed to a line
+    const area = new THREE.Vector3();
+    for (let i = 1; i < vertices.length - 1; i++) {
+      area.add(new THREE.Vector3()
+        .subVectors(vertices[i].position, vertices[0].position)
+        .cross(new THREE.Vector3().subVectors(vertices[i + 1].position, vertices[0].position)));
+    }
+    if (area.length() < WELD_TOLERANCE * WELD_TOLERANCE) return;
+
+    result.push({ polygon, vertices });
+  });
+
+  return result;
+}
+
+// BSP splitting leaves vertices in the middle of neighbouring polygons' edges.
+// Insert those vertices into the edges so adjacent triangles share whole edges
+// (keeps the mesh watertight and lets FaceSelector group coplanar triangles).
+// Takes and returns [{ polygon, vertices }], adding split: true where vertices were inserted
+function fixTJunctions(welded) {
+  // Unique points (welding made equal points the same object)
+  const uniquePoints = [...new Set(welded.flatMap(({ vertices }) => vertices.map(v => v.position)))];
+
+  // Points on each distinct plane - only those can lie on that plane's polygon edges
+  const planes = new Map();
+  const planeKeys = welded.map(({ polygon }) => {
+    const { normal, w } = polygon.plane;
+    const key = [normal.x, normal.y, normal.z, w].map(n => Math.round(n * 1e4)).join(',');
+    if (!planes.has(key)) {
+      planes.set(key, uniquePoints.filter(p => Math.abs(polygon.plane.distanceTo(p)) < WELD_TOLERANCE));
+    }
+    return key;
+  });
+
+  return welded.map(({ polygon, vertices: corners }, index) => {
+    const candidates = planes.get(planeKeys[index]);
+    const vertices = [];
+    let split = false;
+
+    corners.forEach((vertex, i) => {
+      const next = corners[(i + 1) % corners.length];
+      vertices.push(vertex);
+
+      const edge = new THREE.Vector3().subVectors(next.position, vertex.position);
+      const length = edge.length();
+      edge.divideScalar(length);
+
+      const inserts = [];
+      candidates.forEach(point => {
+        if (point === vertex.position || point === next.position) return;
+        const offset = new THREE.Vector3().subVectors(point, vertex.position);
+        const along = offset.dot(edge);
+        if (along <= 0 || along >= length) return;
+        if (offset.addScaledVector(edge, -along).length() > WELD_TOLERANCE) return;
+        inserts.push({ along, point });
+      });
+
+      inserts.sort((a, b) => a.along - b.along);
+      inserts.forEach(({ along, point }) => {
+        const inserted = vertex.interpolate(next, along / length);
+        inserted.position = point;
+        vertices.push(inserted);
+        split = true;
+      });
+    });
+
+    return { polygon, vertices, split };
+  });
+}
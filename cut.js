@@ -0,0 +1,150 @@
+// Cut - Removes an extruded sketch profile from a body (boolean subtract)
+// A feature in a body's FeatureHistory, placed after the features that build the body
+import * as THREE from 'three';
+import { Extrude } from './extrude.js';
+import { subtractGeometry, intersectGeometry } from './csg.js';
+
+// blind: cut `distance` deep
+// throughAll: cut through everything in the cut direction
+// upToFace: cut until the plane of a chosen face
+export const CUT_MODES = ['blind', 'throughAll', 'upToFace'];
+
+export class Cut {
+  constructor(sketch, options = {}) {
+    this.type = 'cut';
+    this.label = 'Cut';
+    this.sketch = sketch; // Live reference to the Sketch object
+    this.mode = options.mode ?? 'blind';
+    this.distance = options.distance ?? 1; // Depth for blind cuts
+    this.direction = options.direction ?? -1; // 1 along the sketch normal, -1 against it (into the body)
+    this.regions = options.regions ?? null; // Region keys to cut (see Sketch.detectRegions), null for all
+    this.face = options.face ?? null; // Up-to-face plane in body coordinates: { point: [x, y, z], normal: [x, y, z] }
+  }
+
+  // Feature step: subtract the cutting tool from the geometry built so far
+  execute(geometry) {
+    if (!geometry) {
+      console.warn('Cut needs an existing body to cut from');
+      return null;
+    }
+
+    const tool = this.createTool(geometry);
+    if (!tool) return null;
+
+    const result = subtractGeometry(geometry, tool);
+    tool.dispose();
+
+    if (result.attributes.position.count === 0) {
+      console.warn('Cut removed the whole body');
+    }
+
+    return result;
+  }
+
+  // Solid to subtract: the sketch regions extruded to the requested depth
+  createTool(geometry) {
+    const plane = this.sketch.plane;
+
+    if (this.mode === 'blind') {
+      return new Extrude(this.sketch, this.distance, this.direction, this.regions).toGeometry();
+    }
+
+    // Depth that reaches past every point of the body
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const reach = box.getSize(new THREE.Vector3()).length() +
+      box.getCenter(new THREE.Vector3()).distanceTo(plane.origin);
+    const depth = reach * 1.1 + 1;
+
+    if (this.mode === 'throughAll') {
+      return new Extrude(this.sketch, depth, this.direction, this.regions).toGeometry();
+    }
+
+    if (this.mode === 'upToFace') {
+      if (!this.face) {
+        console.warn('Up-to-face cut has no face');
+        return null;
+      }
+
+      const facePoint = new THREE.Vector3().fromArray(this.face.point);
+      const faceNormal = new THREE.Vector3().fromArray(this.face.normal).normalize();
+
+      // Cut toward the face, whatever the stored direction
+      const toFace = facePoint.clone().sub(plane.origin).dot(plane.normal);
+      const direction = toFace < 0 ? -1 : 1;
+
+      const farTool = new Extrude(this.sketch, depth, direction, this.regions).toGeometry();
+      if (!farTool) return null;
+
+      // Keep only the part of the tool on the sketch's side of the face plane
+      const halfSpace = createHalfSpace(facePoint, faceNormal, plane.origin, depth * 4);
+      const tool = intersectGeometry(farTool, halfSpace);
+      farTool.dispose();
+      halfSpace.dispose();
+      return tool;
+    }
+
+    console.warn('Unknown cut mode:', this.mode);
+    return null;
+  }
+
+  // Short parameter summary for the objects browser
+  describe() {
+    const parts = [];
+    if (this.mode === 'blind') {
+      parts.push(String(this.distance));
+      if (this.direction > 0) parts.push('reversed');
+    } else if (this.mode === 'throughAll') {
+      parts.push('through all');
+      if (this.direction > 0) parts.push('reversed');
+    } else {
+      parts.push('up to face');
+    }
+    if (this.regions) parts.push(`${this.regions.length} region${this.regions.length === 1 ? '' : 's'}`);
+    return parts.join(', ');
+  }
+
+  clone() {
+    return new Cut(this.sketch, {
+      mode: this.mode,
+      distance: this.distance,
+      direction: this.direction,
+      regions: this.regions ? [...this.regions] : null,
+      face: this.face ? { point: [...this.face.point], normal: [...this.face.normal] } : null
+    });
+  }
+
+  // Serialize to JSON
+  toJSON() {
+    return {
+      mode: this.mode,
+      distance: this.distance,
+      direction: this.direction,
+      regions: this.regions,
+      face: this.face
+    };
+  }
+
+  // Create from JSON (the sketch is resolved by FeatureHistory.fromJSON)
+  static fromJSON(data, sketch) {
+    return new Cut(sketch, data);
+  }
+}
+
+// Large box filling the side of a plane that contains keepPoint
+function createHalfSpace(point, normal, keepPoint, size) {
+  const side = keepPoint.clone().sub(point).dot(normal) < 0 ? normal.clone().negate() : normal.clone();
+
+  const box = new THREE.BoxGeometry(size, size, size);
+  box.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), side));
+
+  // One face of the box on the plane, centered under keepPoint
+  const onPlane = keepPoint.clone().addScaledVector(normal, -keepPoint.clone().sub(point).dot(normal));
+  box.translate(
+    onPlane.x + side.x * size / 2,
+    onPlane.y + side.y * size / 2,
+    onPlane.z + side.z * size / 2
+  );
+
+  return box;
+}
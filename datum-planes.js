@@ -0,0 +1,211 @@
+// Datum Planes - Construction planes in the "planes" folder
+// The folder always holds the three origin planes (XY, XZ, YZ in external coordinates).
+// Datum planes made from other geometry are added next to them. Each plane is a translucent
+// quad with userData.kivi = { type: 'plane', plane }, found by name with getPlane() so
+// sketches and mirror operations can use it. Planes are placed once and don't follow their inputs.
+import * as THREE from 'three';
+import { Plane } from './plane.js';
+
+// Edge length of a plane's quad (mm)
+const PLANE_SIZE = 10;
+
+const PLANE_COLOR = 0xf0a030;
+const PLANE_OPACITY = 0.12;
+const PLANE_BORDER_OPACITY = 0.6;
+
+// Normals closer than this (dot product) count as parallel
+const PARALLEL_TOLERANCE = 0.9999;
+
+// Plane through origin with the given normal and u axis (projected into the plane)
+function planeWithAxis(origin, normal, uAxis) {
+  const plane = new Plane(origin, normal);
+  const u = uAxis.clone().addScaledVector(plane.normal, -uAxis.dot(plane.normal));
+  if (u.lengthSq() < 1e-12) return plane;
+
+  plane.uAxis = u.normalize();
+  plane.vAxis = new THREE.Vector3().crossVectors(plane.normal, plane.uAxis).normalize();
+  return plane;
+}
+
+// Copy of a Plane including its basis vectors (Plane.clone recomputes them)
+function copyPlane(plane) {
+  return Plane.fromJSON(plane.toJSON());
+}
+
+export class DatumPlanes {
+  constructor(kivi) {
+    this.kivi = kivi;
+
+    this.folder = new THREE.Group();
+    this.folder.name = 'planes';
+
+    // Origin planes can't be deleted or renamed and aren't saved with the project
+    [['XY', Plane.XY()], ['XZ', Plane.XZ()], ['YZ', Plane.YZ()]].forEach(([name, plane]) => {
+      const object = this.createPlaneObject(name, plane);
+      object.userData.kivi.origin = true;
+      this.folder.add(object);
+    });
+
+    kivi.addObject('planes', this.folder);
+  }
+
+  // Translucent quad with an outline, placed on the plane
+  createPlaneObject(name, plane) {
+    const material = new THREE.MeshBasicMaterial({
+      color: PLANE_COLOR,
+      transparent: true,
+      opacity: PLANE_OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(PLANE_SIZE, PLANE_SIZE), material);
+    quad.name = name;
+
+    const half = PLANE_SIZE / 2;
+    const border = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(-half, -half, 0),
+        new THREE.Vector3(half, -half, 0),
+        new THREE.Vector3(half, half, 0),
+        new THREE.Vector3(-half, half, 0)
+      ]),
+      new THREE.LineBasicMaterial({ color: PLANE_COLOR, transparent: true, opacity: PLANE_BORDER_OPACITY })
+    );
+    quad.add(border);
+
+    // PlaneGeometry lies in XY facing +Z: map X -> uAxis, Y -> vAxis, Z -> normal
+    const matrix = new THREE.Matrix4().makeBasis(plane.uAxis, plane.vAxis, plane.normal);
+    matrix.setPosition(plane.origin);
+    matrix.decompose(quad.position, quad.quaternion, quad.scale);
+
+    quad.userData.kivi = {
+      type: 'plane',
+      plane: copyPlane(plane)
+    };
+
+    return quad;
+  }
+
+  // Plane objects in the planes folder
+  getPlaneObjects() {
+    return this.folder.children.filter(child => child.userData?.kivi?.type === 'plane');
+  }
+
+  // Copy of the named plane's Plane, or null
+  getPlane(name) {
+    const object = this.getPlaneObjects().find(child => child.name === name);
+    if (!object) {
+      console.warn('No plane named', name);
+      return null;
+    }
+    return copyPlane(object.userData.kivi.plane);
+  }
+
+  // Accepts a Plane or the name of a plane object
+  resolvePlane(plane) {
+    return typeof plane === 'string' ? this.getPlane(plane) : plane;
+  }
+
+  generatePlaneName() {
+    const existingNames = new Set(this.folder.children.map(child => child.name));
+
+    let counter = 1;
+    while (existingNames.has(`plane_${counter}`)) {
+      counter++;
+    }
+    return `plane_${counter}`;
+  }
+
+  // Add a datum plane to the planes folder (undoable)
+  addPlane(plane, name = null) {
+    const object = this.createPlaneObject(name || this.generatePlaneName(), plane);
+    this.kivi.system.commands.execute({
+      label: `New plane ${object.name}`,
+      do: () => this.folder.add(object),
+      undo: () => this.folder.remove(object)
+    });
+
+    console.log('Created plane:', object.name);
+    return object;
+  }
+
+  // Plane parallel to base (a Plane or plane name), moved distance along its normal
+  addOffsetPlane(base, distance) {
+    const basePlane = this.resolvePlane(base);
+    if (!basePlane) return null;
+
+    const plane = copyPlane(basePlane);
+    plane.origin.addScaledVector(plane.normal, distance);
+    return this.addPlane(plane);
+  }
+
+  // Plane on a face, { point, normal } in world coordinates (as from FaceSelector.getSelectedFacePlane)
+  addFacePlane(face) {
+    return this.addPlane(new Plane(face.point, face.normal));
+  }
+
+  // Plane through three points (THREE.Vector3), with its u axis from the first to the second
+  addThreePointPlane(a, b, c) {
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const normal = new THREE.Vector3().crossVectors(ab, new THREE.Vector3().subVectors(c, a));
+    if (normal.lengthSq() < 1e-12) {
+      console.error('The three points are on one line');
+      return null;
+    }
+
+    const origin = a.clone().add(b).add(c).divideScalar(3);
+    return this.addPlane(planeWithAxis(origin, normal.normalize(), ab));
+  }
+
+  // Plane through an edge ({ start, end } in world coordinates), turned angle degrees from base
+  // (a Plane or plane name) about the edge. At 0 degrees it is parallel to base.
+  addAngledPlane(base, edge, angle) {
+    const basePlane = this.resolvePlane(base);
+    if (!basePlane) return null;
+
+    const axis = new THREE.Vector3().subVectors(edge.end, edge.start).normalize();
+    const normal = basePlane.normal.clone().addScaledVector(axis, -basePlane.normal.dot(axis));
+    if (normal.lengthSq() < 1e-12) {
+      console.error('The edge is perpendicular to the plane');
+      return null;
+    }
+    normal.normalize().applyAxisAngle(axis, THREE.MathUtils.degToRad(angle));
+
+    const origin = edge.start.clone().lerp(edge.end, 0.5);
+    return this.addPlane(planeWithAxis(origin, normal, axis));
+  }
+
+  // Plane halfway between two parallel faces, each { point, normal } in world coordinates
+  // (as from FaceSelector.getSelectedFacePlane) or a Plane
+  addMidPlane(face1, face2) {
+    const point1 = face1.point || face1.origin;
+    const point2 = face2.point || face2.origin;
+    if (Math.abs(face1.normal.dot(face2.normal)) < PARALLEL_TOLERANCE) {
+      console.error('Midplane needs two parallel faces');
+      return null;
+    }
+
+    // The midpoint of any two points on the faces lies on the midplane
+    const origin = point1.clone().lerp(point2, 0.5);
+    const plane = face1.uAxis
+      ? planeWithAxis(origin, face1.normal, face1.uAxis)
+      : new Plane(origin, face1.normal);
+    return this.addPlane(plane);
+  }
+
+  // Saved datum plane (origin planes are created by the constructor)
+  serializePlane(object) {
+    return {
+      type: 'plane',
+      name: object.name,
+      visible: object.visible,
+      plane: object.userData.kivi.plane.toJSON()
+    };
+  }
+
+  loadPlane(folder, data) {
+    const object = this.createPlaneObject(data.name, Plane.fromJSON(data.plane));
+    object.visible = data.visible ?? true;
+    folder.add(object);
+  }
+}
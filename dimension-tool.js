@@ -0,0 +1,236 @@
+// Dimension Tool - Click sketch geometry to add a driving dimension
+// Arcs get a radius and circles a diameter. A line, or two clicked vertices, get a distance
+// measured along the line or horizontally or vertically. A line's "Angle..." button then a
+// second line gives the angle between them.
+// The value can be a number or an expression over the sketch parameters.
+
+const DIMENSION_LABELS = {
+  distance: 'Distance',
+  horizontalDistance: 'Horizontal distance',
+  verticalDistance: 'Vertical distance',
+  radius: 'Radius',
+  diameter: 'Diameter',
+  angle: 'Angle (degrees)'
+};
+
+export class DimensionTool {
+  constructor(sketchEditor) {
+    this.editor = sketchEditor;
+    this.kivi = sketchEditor.kivi;
+    this.active = false;
+
+    // First pick of a two-click dimension: { type: 'vertex', id } or { type: 'line', id }, or null
+    this.first = null;
+
+    // Bind handlers so they can be removed later
+    this.onClick = this.onClick.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  activate() {
+    if (this.active) return;
+    this.active = true;
+
+    this.kivi.renderer.domElement.addEventListener('click', this.onClick);
+    window.addEventListener('keydown', this.onKeyDown);
+
+    console.log('Dimension tool activated');
+  }
+
+  deactivate() {
+    if (!this.active) return;
+    this.active = false;
+    this.first = null;
+
+    this.kivi.renderer.domElement.removeEventListener('click', this.onClick);
+    window.removeEventListener('keydown', this.onKeyDown);
+
+    console.log('Dimension tool deactivated');
+  }
+
+  onClick(event) {
+    // Left click only (right/middle are used by the camera controller)
+    if (event.button !== 0) return;
+
+    const sketchData = this.editor.getActiveSketchData();
+    if (!sketchData) return;
+
+    const point = this.editor.getSketchPoint(event);
+    if (!point) return;
+
+    // Vertices win over the edges that end at them
+    const tolerance = this.editor.getPickTolerance();
+    const vertex = sketchData.findVertexNear(point.u, point.v, tolerance);
+    if (vertex) {
+      this.onVertexClick(vertex);
+      return;
+    }
+
+    const edge = sketchData.findEdgeNear(point.u, point.v, tolerance);
+    if (!edge) return;
+
+    if (edge.type === 'circle') {
+      this.first = null;
+      this.showDimensionDialog([{ type: 'diameter', edge: edge.id }]);
+    } else if (edge.type === 'arc') {
+      this.first = null;
+      this.showDimensionDialog([{ type: 'radius', edge: edge.id }]);
+    } else if (this.first?.type === 'line' && this.first.id !== edge.id) {
+      const e1 = this.first.id;
+      this.first = null;
+      this.showDimensionDialog([{ type: 'angle', e1, e2: edge.id }]);
+    } else {
+      this.first = null;
+      this.showDimensionDialog(linearDimensions({ edge: edge.id }), edge);
+    }
+  }
+
+  // The first vertex waits for a second one
+  onVertexClick(vertex) {
+    if (this.first?.type === 'vertex' && this.first.id !== vertex.id) {
+      const v1 = this.first.id;
+      this.first = null;
+      this.showDimensionDialog(linearDimensions({ v1, v2: vertex.id }));
+      return;
+    }
+
+    this.first = { type: 'vertex', id: vertex.id };
+    console.log('Dimension: click a second vertex');
+  }
+
+  onKeyDown(event) {
+    if (event.key !== 'Escape') return;
+
+    if (this.first) {
+      // First Escape drops the first pick, tool stays active
+      this.first = null;
+    } else {
+      // Second Escape leaves the tool
+      this.editor.setTool(null);
+    }
+  }
+
+  // Ask for the value of one of the dimensions (the dialog offers a choice when there are several)
+  // line: the clicked line, which can also start an angle dimension
+  showDimensionDialog(dimensions, line = null) {
+    const sketchData = this.editor.getActiveSketchData();
+    const measure = dimension => {
+      const measured = sketchData.measureDimension(dimension);
+      return measured === null ? '' : String(parseFloat(measured.toFixed(4)));
+    };
+
+    const typeOptions = dimensions
+      .map((dimension, i) => `<option value="${i}">${DIMENSION_LABELS[dimension.type]}</option>`)
+      .join('');
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Dimension</h3>
+      <div id="dimension-type-options" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Measure:</label>
+        <select id="dimension-type" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${typeOptions}
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label id="dimension-value-label" style="display: block; margin-bottom: 4px; font-size: 13px;">${DIMENSION_LABELS[dimensions[0].type]} (number or expression using parameters):</label>
+        <input type="text" id="dimension-value" value="${measure(dimensions[0])}"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="dimension-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="dimension-angle" class="btn btn-secondary" style="flex: 1;">Angle...</button>
+        <button id="dimension-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    const typeSelect = dialog.querySelector('#dimension-type');
+    const valueInput = dialog.querySelector('#dimension-value');
+    if (dimensions.length === 1) {
+      dialog.querySelector('#dimension-type-options').style.display = 'none';
+    }
+    if (!line) {
+      dialog.querySelector('#dimension-angle').style.display = 'none';
+    }
+    valueInput.focus();
+    valueInput.select();
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Show the current value of the chosen measurement
+    typeSelect.addEventListener('change', () => {
+      const dimension = dimensions[parseInt(typeSelect.value, 10)];
+      dialog.querySelector('#dimension-value-label').textContent =
+        `${DIMENSION_LABELS[dimension.type]} (number or expression using parameters):`;
+      valueInput.value = measure(dimension);
+    });
+
+    const submit = () => {
+      const dimension = dimensions[parseInt(typeSelect.value, 10)];
+      const expression = valueInput.value.trim();
+      if (expression === '') {
+        console.warn('Enter a dimension value');
+        return;
+      }
+
+      // Invalid expressions are reported by addDimension, and the dialog stays open
+      if (!sketchData.addDimension(dimension, expression)) return;
+
+      close();
+      this.editor.onSketchChanged(this.editor.activeSketch);
+    };
+
+    dialog.querySelector('#dimension-ok').addEventListener('click', submit);
+    valueInput.addEventListener('keydown', (e) => {
+      // Keep Escape and Enter away from the tool's own key handling
+      e.stopPropagation();
+      if (e.key === 'Enter') submit();
+      if (e.key === 'Escape') close();
+    });
+
+    // The next clicked line completes an angle dimension
+    dialog.querySelector('#dimension-angle').addEventListener('click', () => {
+      close();
+      this.first = { type: 'line', id: line.id };
+      console.log('Dimension: click a second line for the angle');
+    });
+
+    dialog.querySelector('#dimension-cancel').addEventListener('click', close);
+  }
+}
+
+// Distance along, horizontally and vertically between two points ({ edge } or { v1, v2 })
+function linearDimensions(ends) {
+  return ['distance', 'horizontalDistance', 'verticalDistance'].map(type => ({ type, ...ends }));
+}
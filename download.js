@@ -0,0 +1,10 @@
+// Download - Save generated data (text or binary) as a file from the browser
+export function downloadFile(data, filename, type = 'application/octet-stream') {
+  const blob = new Blob([data], { type });
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
@@ -0,0 +1,156 @@
+// Drag Tool - Move sketch geometry with the mouse in the sketch editor
+// Active whenever no drawing tool is: dragging a vertex moves it, dragging an edge moves
+// all of its vertices (line ends, arc ends and center, circle center) by the same offset.
+// The solver runs on every move with the dragged vertices held, so constraints stay satisfied.
+// A single dragged vertex snaps like a placed point (see sketch-snap.js).
+
+export class DragTool {
+  constructor(sketchEditor) {
+    this.editor = sketchEditor;
+    this.kivi = sketchEditor.kivi;
+    this.active = false;
+
+    // Current drag: { label, start: {u, v}, moved, vertices: [{ vertex, u, v }], snaps } or null
+    // where u, v are each vertex's position when the drag started and snaps are the
+    // dragged vertex's current snaps
+    this.drag = null;
+
+    // Bind handlers so they can be removed later
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+  }
+
+  get dragging() {
+    return this.drag !== null;
+  }
+
+  activate() {
+    if (this.active) return;
+    this.active = true;
+
+    const domElement = this.kivi.renderer.domElement;
+    domElement.addEventListener('mousedown', this.onMouseDown);
+    domElement.addEventListener('mousemove', this.onMouseMove);
+    window.addEventListener('mouseup', this.onMouseUp);
+  }
+
+  deactivate() {
+    if (!this.active) return;
+    this.active = false;
+
+    this.endDrag();
+
+    const domElement = this.kivi.renderer.domElement;
+    domElement.removeEventListener('mousedown', this.onMouseDown);
+    domElement.removeEventListener('mousemove', this.onMouseMove);
+    window.removeEventListener('mouseup', this.onMouseUp);
+    domElement.style.cursor = '';
+  }
+
+  // Vertex or edge under the cursor: { label, vertexIds } or null
+  // Vertices win over the edges that end at them
+  pick(point) {
+    const sketchData = this.editor.getActiveSketchData();
+    const tolerance = this.editor.getPickTolerance();
+
+    const vertex = sketchData.findVertexNear(point.u, point.v, tolerance);
+    if (vertex) {
+      return { label: 'Drag vertex', vertexIds: [vertex.id] };
+    }
+
+    // Reference edges are fixed in place
+    const edge = sketchData.findEdgeNear(point.u, point.v, tolerance);
+    if (edge && !edge.reference) {
+      const vertexIds = edge.type === 'circle' ? [edge.center] : [edge.v1, edge.v2];
+      if (edge.type === 'arc') vertexIds.push(edge.center);
+      return { label: `Move ${edge.type}`, vertexIds };
+    }
+
+    return null;
+  }
+
+  onMouseDown(event) {
+    // Left button only, and only when no drawing tool is using the clicks
+    if (event.button !== 0 || this.editor.activeTool) return;
+
+    const sketchData = this.editor.getActiveSketchData();
+    if (!sketchData) return;
+
+    const point = this.editor.getSketchPoint(event);
+    if (!point) return;
+
+    const target = this.pick(point);
+    if (!target) return;
+
+    this.drag = {
+      label: target.label,
+      start: point,
+      moved: false,
+      vertices: [...new Set(target.vertexIds)]
+        .map(id => sketchData.getVertex(id))
+        .filter(Boolean)
+        .map(vertex => ({ vertex, u: vertex.u, v: vertex.v })),
+      snaps: []
+    };
+  }
+
+  onMouseMove(event) {
+    if (this.editor.activeTool) return;
+
+    const point = this.editor.getSketchPoint(event);
+    if (!point) return;
+
+    if (!this.drag) {
+      // Show that the geometry under the cursor can be moved
+      this.kivi.renderer.domElement.style.cursor = this.pick(point) ? 'move' : '';
+      return;
+    }
+
+    const du = point.u - this.drag.start.u;
+    const dv = point.v - this.drag.start.v;
+    this.drag.vertices.forEach(({ vertex, u, v }) => {
+      vertex.u = u + du;
+      vertex.v = v + dv;
+    });
+    this.drag.moved = true;
+
+    if (this.drag.vertices.length === 1) {
+      const { vertex } = this.drag.vertices[0];
+      const snapped = this.editor.snapPoint(vertex, event, [vertex.id]);
+      vertex.u = snapped.u;
+      vertex.v = snapped.v;
+      this.drag.snaps = snapped.snaps;
+      this.editor.snap.showGlyphs(snapped);
+    }
+
+    // Constraints pull the rest of the sketch along, keeping the dragged vertices near the cursor
+    const sketchData = this.editor.getActiveSketchData();
+    sketchData.solve({ dragged: this.drag.vertices.map(({ vertex }) => vertex.id) });
+
+    this.editor.updateDraggedSketch();
+  }
+
+  onMouseUp(event) {
+    if (event.button !== 0 || !this.drag) return;
+
+    const { label, moved, vertices, snaps } = this.drag;
+    this.drag = null;
+    this.editor.snap.clearGlyphs();
+
+    // Record the whole drag (and any constraints from its snaps) as one undo step
+    if (moved) {
+      if (vertices.length === 1) {
+        this.editor.snap.applyConstraints(vertices[0].vertex.id, snaps);
+      }
+      this.editor.sketchChangeLabel = label;
+      this.editor.updateSketchVisualization();
+      this.editor.generateSelectionMeshes();
+    }
+  }
+
+  endDrag() {
+    if (!this.drag) return;
+    this.onMouseUp({ button: 0 });
+  }
+}
@@ -0,0 +1,202 @@
+// Expression - Safe arithmetic evaluator for sketch parameters and dimensions
+// Supports numbers, named parameters, + - * / ^, parentheses, unary minus,
+// the constant pi and a few math functions, e.g. "2*bore + 4" or "sqrt(w^2 + h^2)"
+// No eval() - expressions come from user input and saved files.
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  // Trigonometry in degrees, matching angle dimensions
+  sin: deg => Math.sin(deg * Math.PI / 180),
+  cos: deg => Math.cos(deg * Math.PI / 180),
+  tan: deg => Math.tan(deg * Math.PI / 180)
+};
+
+const CONSTANTS = {
+  pi: Math.PI
+};
+
+// Evaluate an expression string (or number)
+// resolveName(name) returns the value of a named parameter or throws
+export function evaluateExpression(expression, resolveName = null) {
+  if (typeof expression === 'number') return expression;
+
+  const parser = new ExpressionParser(String(expression), resolveName);
+  const value = parser.parse();
+
+  if (!Number.isFinite(value)) {
+    throw new Error(`Expression "${expression}" does not evaluate to a finite number`);
+  }
+
+  return value;
+}
+
+// List the parameter names an expression refers to
+export function getExpressionNames(expression) {
+  if (typeof expression === 'number') return [];
+
+  const names = new Set();
+  const parser = new ExpressionParser(String(expression), name => {
+    names.add(name);
+    return 1;
+  });
+  parser.parse();
+  return [...names];
+}
+
+// True if the expression is just a number (no parameters or operators)
+export function isNumericExpression(expression) {
+  if (typeof expression === 'number') return true;
+  return /^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(expression);
+}
+
+// Recursive descent parser
+//   expression := term (('+' | '-') term)*
+//   term       := power (('*' | '/') power)*
+//   power      := unary ('^' power)?
+//   unary      := '-' unary | primary
+//   primary    := number | name | name '(' args ')' | '(' expression ')'
+class ExpressionParser {
+  constructor(text, resolveName) {
+    this.text = text;
+    this.resolveName = resolveName;
+    this.tokens = this.tokenize(text);
+    this.position = 0;
+  }
+
+  tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/gy;
+    let match;
+
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'name', value: match[2] });
+      } else if (match[3] !== undefined) {
+        if (!'+-*/^(),'.includes(match[3])) {
+          throw new Error(`Unexpected character "${match[3]}" in "${text}"`);
+        }
+        tokens.push({ type: 'op', value: match[3] });
+      }
+    }
+
+    return tokens;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new Error('Empty expression');
+    }
+
+    const value = this.parseExpression();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected "${this.peek().value}" in "${this.text}"`);
+    }
+    return value;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  accept(op) {
+    const token = this.peek();
+    if (token && token.type === 'op' && token.value === op) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(op) {
+    if (!this.accept(op)) {
+      throw new Error(`Expected "${op}" in "${this.text}"`);
+    }
+  }
+
+  parseExpression() {
+    let value = this.parseTerm();
+    while (true) {
+      if (this.accept('+')) value += this.parseTerm();
+      else if (this.accept('-')) value -= this.parseTerm();
+      else return value;
+    }
+  }
+
+  parseTerm() {
+    let value = this.parsePower();
+    while (true) {
+      if (this.accept('*')) value *= this.parsePower();
+      else if (this.accept('/')) value /= this.parsePower();
+      else return value;
+    }
+  }
+
+  parsePower() {
+    const base = this.parseUnary();
+    if (this.accept('^')) {
+      return Math.pow(base, this.parsePower()); // Right associative
+    }
+    return base;
+  }
+
+  parseUnary() {
+    if (this.accept('-')) return -this.parseUnary();
+    if (this.accept('+')) return this.parseUnary();
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      throw new Error(`Unexpected end of "${this.text}"`);
+    }
+
+    if (token.type === 'number') {
+      this.position++;
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      this.position++;
+
+      // Function call
+      if (this.accept('(')) {
+        const fn = FUNCTIONS[token.value];
+        if (!fn) {
+          throw new Error(`Unknown function "${token.value}"`);
+        }
+        const args = [this.parseExpression()];
+        while (this.accept(',')) {
+          args.push(this.parseExpression());
+        }
+        this.expect(')');
+        return fn(...args);
+      }
+
+      if (token.value in CONSTANTS) {
+        return CONSTANTS[token.value];
+      }
+
+      if (!this.resolveName) {
+        throw new Error(`Unknown parameter "${token.value}"`);
+      }
+      return this.resolveName(token.value);
+    }
+
+    if (this.accept('(')) {
+      const value = this.parseExpression();
+      this.expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in "${this.text}"`);
+  }
+}
@@ -1,56 +1,87 @@
 // Extrude - Creates 3D geometry by extruding a 2D sketch profile
+// Also a feature in a body's FeatureHistory (see feature-history.js)
 import * as THREE from 'three';
+import { unionGeometry } from './csg.js';
 
 export class Extrude {
-  constructor(sketch, distance = 1, direction = 1) {
-    this.sketch = sketch; // Reference to the Sketch object
+  constructor(sketch, distance = 1, direction = 1, regions = null) {
+    this.type = 'extrude';
+    this.label = 'Extrude';
+    this.sketch = sketch; // Live reference to the Sketch object
     this.distance = distance; // Extrusion distance
     this.direction = direction; // 1 for normal direction, -1 for reverse
+    this.regions = regions; // Region keys to extrude (see Sketch.detectRegions), null for all
+  }
+
+  // Feature step: add the extruded profile to the geometry built so far
+  execute(geometry) {
+    const extruded = this.toGeometry();
+    if (!extruded || !geometry) return extruded;
+
+    const merged = unionGeometry(geometry, extruded);
+    extruded.dispose();
+    return merged;
+  }
+
+  // Short parameter summary for the objects browser
+  describe() {
+    const parts = [String(this.distance)];
+    if (this.direction < 0) parts.push('reversed');
+    if (this.regions) parts.push(`${this.regions.length} region${this.regions.length === 1 ? '' : 's'}`);
+    return parts.join(', ');
+  }
+
+  clone() {
+    return new Extrude(this.sketch, this.distance, this.direction, this.regions ? [...this.regions] : null);
+  }
+
+  // Regions of the sketch this extrude uses
+  getRegions() {
+    const regions = this.sketch.detectRegions();
+    if (!this.regions) return regions;
+    return regions.filter(region => this.regions.includes(region.key));
   }
 
   // Generate 3D geometry from the sketch
+  // Every selected region becomes one shape, with its inner loops as holes
   toGeometry() {
-    const loops = this.sketch.detectClosedLoops();
+    const regions = this.getRegions();
 
-    if (loops.length === 0) {
-      console.warn('No closed loops found in sketch');
+    if (regions.length === 0) {
+      console.warn('No closed regions found in sketch');
       return null;
     }
 
-    // For now, extrude the first closed loop
-    // TODO: Handle multiple loops (holes, multiple profiles)
-    const loop = loops[0];
-    const loopVertices = this.sketch.getLoopVertices(loop);
-
-    if (loopVertices.length < 3) {
-      console.warn('Loop has less than 3 vertices');
+    // Lines become lineTo, arcs and circles become absarc
+    const shapes = regions
+      .map(region => this.sketch.regionToShape(region))
+      .filter(shape => shape !== null);
+    if (shapes.length === 0) {
+      console.warn('Regions do not enclose an area');
       return null;
     }
 
-    return this.extrudeLoop(loopVertices);
+    return this.extrudeShape(shapes);
   }
 
-  // Extrude a single loop to create 3D geometry
-  extrudeLoop(loopVertices) {
-    // Create shape from 2D vertices (in plane coordinates)
-    const shape = new THREE.Shape();
-    loopVertices.forEach((vertex, i) => {
-      if (i === 0) {
-        shape.moveTo(vertex.u, vertex.v);
-      } else {
-        shape.lineTo(vertex.u, vertex.v);
-      }
-    });
-
+  // Extrude a shape or array of shapes (in plane coordinates) to create 3D geometry
+  extrudeShape(shape) {
     // Extrude settings
     const extrudeSettings = {
-      depth: this.distance * this.direction, // Can be negative for reverse
-      bevelEnabled: false
+      depth: this.distance,
+      bevelEnabled: false,
+      curveSegments: 32 // Smoothness of arcs and circles
     };
 
     // Create extruded geometry
     const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
 
+    // A negative depth would turn the mesh inside out, so reverse extrusions
+    // are built forward and moved behind the sketch plane instead
+    if (this.direction < 0) {
+      geometry.translate(0, 0, -this.distance);
+    }
+
     // Transform geometry to align with sketch plane
     // ExtrudeGeometry extrudes in +Z direction from XY plane
     // We need to transform to sketch plane's coordinate system
@@ -85,14 +116,14 @@ export class Extrude {
   // Serialize to JSON
   toJSON() {
     return {
-      sketchId: this.sketch.id, // Will need to add ID to sketches
       distance: this.distance,
-      direction: this.direction
+      direction: this.direction,
+      regions: this.regions
     };
   }
 
-  // Create from JSON (needs sketch reference)
+  // Create from JSON (the sketch is resolved by FeatureHistory.fromJSON)
   static fromJSON(data, sketch) {
-    return new Extrude(sketch, data.distance, data.direction);
+    return new Extrude(sketch, data.distance, data.direction, data.regions ?? null);
   }
 }
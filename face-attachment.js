@@ -0,0 +1,189 @@
+// Face Attachment - Keeps a sketch on a planar body face when the body is rebuilt
+// The sketch plane is stored in the body's coordinates. After the body regenerates, the
+// attachment finds the face again (the face with the same normal under the sketch origin,
+// nearest to where it was) and slides the sketch plane along its normal onto it.
+import * as THREE from 'three';
+import { Plane } from './plane.js';
+
+// Triangle normals closer than this (dot product) count as facing the same way
+const NORMAL_TOLERANCE = 0.9999;
+
+// Plane moves smaller than this (mm) are ignored
+const MOVE_TOLERANCE = 1e-9;
+
+// Distance along normal of the face through origin (with that normal) in geometry, or null if
+// there is no face facing that way any more
+// Faces under the origin win; among those, the one nearest the current plane
+export function findFaceOffset(geometry, origin, normal) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count : position.count;
+  const vertexAt = i => (index ? index.getX(i) : i);
+
+  const current = origin.dot(normal);
+  const triangle = new THREE.Triangle();
+  const triangleNormal = new THREE.Vector3();
+  const projected = new THREE.Vector3();
+
+  let best = null;
+  for (let i = 0; i + 2 < count; i += 3) {
+    triangle.setFromAttributeAndIndices(position, vertexAt(i), vertexAt(i + 1), vertexAt(i + 2));
+    if (triangle.getNormal(triangleNormal).dot(normal) < NORMAL_TOLERANCE) continue;
+
+    const offset = triangle.a.dot(normal);
+    projected.copy(origin).addScaledVector(normal, offset - current);
+    const candidate = {
+      offset,
+      under: triangle.containsPoint(projected),
+      distance: Math.abs(offset - current)
+    };
+
+    if (!best || (candidate.under && !best.under) ||
+        (candidate.under === best.under && candidate.distance < best.distance)) {
+      best = candidate;
+    }
+  }
+
+  return best ? best.offset : null;
+}
+
+export class FaceAttachment {
+  // origin, normal, uAxis, vAxis: the sketch plane in body coordinates (THREE.Vector3)
+  constructor(body, origin, normal, uAxis, vAxis) {
+    this.body = body; // Live reference to the body mesh (null until linked after loading)
+    this.bodyName = body ? body.name : null; // Used to link the body after loading
+    this.origin = origin.clone();
+    this.normal = normal.clone().normalize();
+    this.uAxis = uAxis.clone().normalize();
+    this.vAxis = vAxis.clone().normalize();
+
+    // Set when the plane follows its face to a new place, until the sketch is rebuilt
+    this.moved = false;
+  }
+
+  // Attachment for a world-space Plane lying on one of body's faces
+  static fromPlane(body, plane) {
+    body.updateMatrixWorld();
+    const inverse = body.matrixWorld.clone().invert();
+    return new FaceAttachment(
+      body,
+      plane.origin.clone().applyMatrix4(inverse),
+      plane.normal.clone().transformDirection(inverse),
+      plane.uAxis.clone().transformDirection(inverse),
+      plane.vAxis.clone().transformDirection(inverse)
+    );
+  }
+
+  // Attachment for a face group (see FaceSelector.buildFaceGroups) of body
+  // The origin is the face's centroid, or the center of its largest triangle when the centroid
+  // falls outside the face (e.g. in a hole). The v axis follows viewUp (e.g. the camera's up
+  // vector) when it isn't along the normal.
+  static fromFaceGroup(body, faceGroup, viewUp = new THREE.Vector3(0, 1, 0)) {
+    const position = body.geometry.attributes.position;
+    const triangles = faceGroup.faceIndices.map(faceIndex => new THREE.Triangle()
+      .setFromAttributeAndIndices(position, faceIndex * 3, faceIndex * 3 + 1, faceIndex * 3 + 2));
+
+    const centroid = new THREE.Vector3();
+    let totalArea = 0;
+    let largest = triangles[0];
+    triangles.forEach(triangle => {
+      const area = triangle.getArea();
+      centroid.addScaledVector(triangle.getMidpoint(new THREE.Vector3()), area);
+      totalArea += area;
+      if (area > largest.getArea()) largest = triangle;
+    });
+    centroid.divideScalar(totalArea || 1);
+
+    const localOrigin = triangles.some(triangle => triangle.containsPoint(centroid))
+      ? centroid
+      : largest.getMidpoint(new THREE.Vector3());
+
+    body.updateMatrixWorld();
+    const origin = localOrigin.applyMatrix4(body.matrixWorld);
+    const normal = largest.getNormal(new THREE.Vector3()).transformDirection(body.matrixWorld);
+
+    const plane = Math.abs(viewUp.clone().normalize().dot(normal)) < 0.99
+      ? Plane.fromCameraView(normal, viewUp, origin)
+      : new Plane(origin, normal);
+
+    return FaceAttachment.fromPlane(body, plane);
+  }
+
+  // Sketch plane in world coordinates, or in the body's coordinates with local = true
+  getPlane(local = false) {
+    const matrix = this.body && !local ? this.body.matrixWorld : new THREE.Matrix4();
+    const plane = new Plane(
+      this.origin.clone().applyMatrix4(matrix),
+      this.normal.clone().transformDirection(matrix)
+    );
+    plane.uAxis = this.uAxis.clone().transformDirection(matrix);
+    plane.vAxis = this.vAxis.clone().transformDirection(matrix);
+    return plane;
+  }
+
+  // Distance along the normal of the face to follow in body geometry, or null if it is gone
+  findFaceOffset(geometry) {
+    return findFaceOffset(geometry, this.origin, this.normal);
+  }
+
+  // Move a Sketch's plane onto the face in rebuilt body geometry (body coordinates)
+  // Returns true if the plane moved
+  followFace(sketch, geometry) {
+    const offset = this.findFaceOffset(geometry);
+    if (offset === null) {
+      console.warn('Sketch face not found on', this.bodyName, '- the sketch stays where it is');
+      return false;
+    }
+
+    const move = offset - this.origin.dot(this.normal);
+    if (Math.abs(move) < MOVE_TOLERANCE) return false;
+
+    this.origin.addScaledVector(this.normal, move);
+    sketch.plane = this.getPlane();
+    this.moved = true;
+    return true;
+  }
+
+  // Move a Sketch's plane with the body after the body was moved or rotated
+  // Returns true if the plane moved
+  followBody(sketch) {
+    const plane = this.getPlane();
+    const same = plane.origin.distanceTo(sketch.plane.origin) < MOVE_TOLERANCE &&
+      plane.normal.distanceTo(sketch.plane.normal) < MOVE_TOLERANCE &&
+      plane.uAxis.distanceTo(sketch.plane.uAxis) < MOVE_TOLERANCE;
+    if (same) return false;
+
+    sketch.plane = plane;
+    this.moved = true;
+    return true;
+  }
+
+  // The body is written by name and linked again with link() after loading
+  toJSON() {
+    return {
+      body: this.body ? this.body.name : this.bodyName,
+      origin: this.origin.toArray(),
+      normal: this.normal.toArray(),
+      uAxis: this.uAxis.toArray(),
+      vAxis: this.vAxis.toArray()
+    };
+  }
+
+  static fromJSON(data) {
+    const attachment = new FaceAttachment(
+      null,
+      new THREE.Vector3().fromArray(data.origin),
+      new THREE.Vector3().fromArray(data.normal),
+      new THREE.Vector3().fromArray(data.uAxis),
+      new THREE.Vector3().fromArray(data.vAxis)
+    );
+    attachment.bodyName = data.body;
+    return attachment;
+  }
+
+  // Connect to the body mesh once it exists
+  link(body) {
+    this.body = body;
+    this.bodyName = body.name;
+  }
+}
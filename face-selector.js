@@ -1,5 +1,16 @@
 // Face Selector - Hover and select faces from sketches using raycasting
 import * as THREE from 'three';
+import { findCreaseEdges } from './mesh-edges.js';
+
+// Screen distance (pixels) within which the mouse picks a body vertex or edge
+const VERTEX_PICK_PIXELS = 8;
+const EDGE_PICK_PIXELS = 6;
+
+// Edges and vertices this close behind the first surface hit still count as visible
+const VISIBILITY_TOLERANCE = 1e-3;
+
+const ITEM_HOVER_COLOR = 0xff8c00; // Orange
+const ITEM_SELECTION_COLOR = 0x4287f5; // Same blue as selected faces
 
 export class FaceSelector {
   constructor(camera, domElement, scene, renderCallback) {
@@ -17,6 +28,8 @@ export class FaceSelector {
     this.hoveredFace = null;
     this.selectedFace = null;
     this.selectedFaceGroup = null; // Store the complete face group data
+    this.midplaneFace = null; // First face plane while waiting for the second face of a midplane
+    this.mateFace = null; // First { mesh, faceGroup } while waiting for the second face of a mate
 
     // Highlight meshes
     this.hoverHighlight = null;
@@ -25,6 +38,14 @@ export class FaceSelector {
     // Cache for unified face groups (maps mesh UUID to face groups)
     this.faceGroupsCache = new Map();
 
+    // Body edges and vertices: { type: 'edge' | 'vertex', mesh, index } items
+    // Hover is a single item, selection is a multi-selection other tools can read
+    this.edgesCache = new Map(); // mesh UUID -> { edges, vertices }
+    this.hoveredItem = null;
+    this.itemHoverHighlight = null;
+    this.selectedItems = [];
+    this.itemSelectionHighlights = new Map(); // item key -> highlight object
+
     this.setupEventListeners();
   }
 
@@ -138,9 +159,123 @@ export class FaceSelector {
     return result;
   }
 
+  // Crease edges of a body mesh (see mesh-edges.js) and the corner vertices where they end
+  // Both are in the mesh's local coordinates
+  buildEdges(mesh) {
+    if (this.edgesCache.has(mesh.uuid)) {
+      return this.edgesCache.get(mesh.uuid);
+    }
+
+    const edges = findCreaseEdges(mesh.geometry);
+
+    const vertices = [];
+    const vertexKeys = new Set();
+    edges.forEach(edge => {
+      [edge.start, edge.end].forEach(point => {
+        const key = `${point.x.toFixed(4)}_${point.y.toFixed(4)}_${point.z.toFixed(4)}`;
+        if (vertexKeys.has(key)) return;
+        vertexKeys.add(key);
+        vertices.push(point.clone());
+      });
+    });
+
+    const result = { edges, vertices };
+    this.edgesCache.set(mesh.uuid, result);
+    return result;
+  }
+
+  getBodyMeshes() {
+    const meshes = [];
+    const bodiesFolder = this.scene.children.find(obj => obj.name === 'bodies');
+    if (bodiesFolder) {
+      bodiesFolder.traverseVisible((obj) => {
+        if (obj.isMesh) {
+          meshes.push(obj);
+        }
+      });
+    }
+    return meshes;
+  }
+
+  // Body vertex or edge under the mouse, or null
+  // Vertices win over edges so corners stay pickable, and items hidden behind a surface are skipped
+  pickItem(clientX, clientY) {
+    const rect = this.domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(clientX - rect.left, clientY - rect.top);
+    const toScreen = (point) => {
+      const ndc = point.clone().project(this.camera);
+      return new THREE.Vector2((ndc.x + 1) / 2 * rect.width, (1 - ndc.y) / 2 * rect.height);
+    };
+
+    const meshes = this.getBodyMeshes();
+    const candidates = [];
+
+    meshes.forEach(mesh => {
+      mesh.updateMatrixWorld();
+      const { edges, vertices } = this.buildEdges(mesh);
+
+      vertices.forEach((vertex, index) => {
+        const world = vertex.clone().applyMatrix4(mesh.matrixWorld);
+        const pixels = toScreen(world).distanceTo(mouse);
+        if (pixels <= VERTEX_PICK_PIXELS) {
+          candidates.push({ item: { type: 'vertex', mesh, index }, pixels, world });
+        }
+      });
+
+      edges.forEach((edge, index) => {
+        const start = edge.start.clone().applyMatrix4(mesh.matrixWorld);
+        const end = edge.end.clone().applyMatrix4(mesh.matrixWorld);
+        const a = toScreen(start);
+        const b = toScreen(end);
+
+        // Closest point on the projected segment (the camera is orthographic, so it maps back linearly)
+        const ab = new THREE.Vector2().subVectors(b, a);
+        const lengthSq = ab.lengthSq();
+        const t = lengthSq > 0 ? THREE.MathUtils.clamp(new THREE.Vector2().subVectors(mouse, a).dot(ab) / lengthSq, 0, 1) : 0;
+        const pixels = a.clone().addScaledVector(ab, t).distanceTo(mouse);
+        if (pixels <= EDGE_PICK_PIXELS) {
+          candidates.push({ item: { type: 'edge', mesh, index }, pixels, world: start.lerp(end, t) });
+        }
+      });
+    });
+
+    candidates.sort((c1, c2) => {
+      if (c1.item.type !== c2.item.type) return c1.item.type === 'vertex' ? -1 : 1;
+      return c1.pixels - c2.pixels;
+    });
+
+    const visible = candidates.find(candidate => this.isPointVisible(candidate.world, meshes));
+    return visible ? visible.item : null;
+  }
+
+  // True if no body surface lies in front of the world point
+  isPointVisible(point, meshes) {
+    const ndc = point.clone().project(this.camera);
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(ndc.x, ndc.y), this.camera);
+
+    const hit = raycaster.intersectObjects(meshes, false)[0];
+    if (!hit) return true;
+
+    const distance = raycaster.ray.origin.distanceTo(point);
+    return hit.distance >= distance - Math.max(VISIBILITY_TOLERANCE, distance * 1e-5);
+  }
+
   onMouseMove(event) {
     if (!this.enabled) return;
 
+    // Body vertices and edges take priority over the faces around them
+    const item = this.pickItem(event.clientX, event.clientY);
+    if (item) {
+      if (!this.isSameItem(item, this.hoveredItem)) {
+        this.setHoveredItem(item);
+      }
+      return;
+    }
+    if (this.hoveredItem) {
+      this.clearHover();
+    }
+
     // Calculate mouse position in normalized device coordinates (-1 to +1)
     const rect = this.domElement.getBoundingClientRect();
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -223,12 +358,64 @@ export class FaceSelector {
     // Ignore if right-click or middle-click
     if (event.button !== 0) return;
 
-    if (this.hoveredFace) {
+    // The click that ends a gizmo drag is not a selection
+    if (window.KIVI?.system?.transformGizmo?.consumeClick()) return;
+
+    // Shift/Ctrl/Cmd-click adds to the edge and vertex selection instead of replacing it
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+
+    // Second face of a midplane (any other click cancels it)
+    if (this.midplaneFace) {
+      const first = this.midplaneFace;
+      this.midplaneFace = null;
+      this.domElement.style.cursor = '';
+
+      if (this.hoveredFace && !this.hoveredFace.userData.sketchFace && !this.hoveredItem) {
+        this.selectFace(this.hoveredFace, this.hoveredFaceIndex);
+        const second = this.getSelectedFacePlane();
+        if (second && window.KIVI?.system?.datumPlanes) {
+          window.KIVI.system.datumPlanes.addMidPlane(first, second);
+        }
+        return;
+      }
+      console.log('Midplane cancelled');
+    }
+
+    // Second face of a mate (any other click cancels it)
+    if (this.mateFace) {
+      const first = this.mateFace;
+      this.mateFace = null;
+      this.domElement.style.cursor = '';
+
+      const mesh = this.hoveredFace;
+      if (mesh && !mesh.userData.sketchFace && !this.hoveredItem && mesh !== first.mesh) {
+        const faceGroup = this.buildFaceGroups(mesh).groups[this.hoveredFaceIndex];
+        if (window.KIVI?.system?.objectsBrowser) {
+          window.KIVI.system.objectsBrowser.showMateDialog(first, { mesh, faceGroup });
+        }
+        return;
+      }
+      console.log(mesh === first.mesh ? 'Mate needs a face on another body' : 'Mate cancelled');
+    }
+
+    if (this.hoveredItem) {
+      if (additive) {
+        this.toggleItem(this.hoveredItem);
+      } else {
+        this.deselectFace();
+        this.clearItemSelection();
+        this.selectItem(this.hoveredItem);
+      }
+    } else if (this.hoveredFace) {
       // Click on a face - select it with the face index
+      if (!additive) {
+        this.clearItemSelection();
+      }
       this.selectFace(this.hoveredFace, this.hoveredFaceIndex);
     } else {
       // Click on empty space - deselect
       this.deselectFace();
+      this.clearItemSelection();
     }
   }
 
@@ -259,6 +446,170 @@ export class FaceSelector {
     return faces;
   }
 
+  // Plane of the selected body face in world coordinates, or null
+  // Returns { point: Vector3, normal: Vector3 } taken from the face's first triangle
+  getSelectedFacePlane() {
+    if (!this.selectedFace || this.selectedFace.userData.sketchFace || !this.selectedFaceGroup) {
+      return null;
+    }
+
+    const mesh = this.selectedFace;
+    const position = mesh.geometry.attributes.position;
+    const i = this.selectedFaceGroup.faceIndices[0] * 3;
+
+    mesh.updateMatrixWorld();
+    const v1 = new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+    const v2 = new THREE.Vector3().fromBufferAttribute(position, i + 1).applyMatrix4(mesh.matrixWorld);
+    const v3 = new THREE.Vector3().fromBufferAttribute(position, i + 2).applyMatrix4(mesh.matrixWorld);
+
+    const normal = new THREE.Vector3()
+      .crossVectors(new THREE.Vector3().subVectors(v2, v1), new THREE.Vector3().subVectors(v3, v1))
+      .normalize();
+
+    return { point: v1, normal };
+  }
+
+  // Selected body edges as [{ mesh, edge }] (edge as returned by findCreaseEdges, in the mesh's coordinates)
+  getSelectedEdges() {
+    return this.selectedItems
+      .filter(item => item.type === 'edge')
+      .map(item => ({ mesh: item.mesh, edge: this.buildEdges(item.mesh).edges[item.index] }));
+  }
+
+  // Selected body vertices as [{ mesh, point }] (point is a Vector3 in world coordinates)
+  getSelectedVertices() {
+    return this.selectedItems
+      .filter(item => item.type === 'vertex')
+      .map(item => {
+        item.mesh.updateMatrixWorld();
+        const point = this.buildEdges(item.mesh).vertices[item.index].clone().applyMatrix4(item.mesh.matrixWorld);
+        return { mesh: item.mesh, point };
+      });
+  }
+
+  // Call when a mesh's geometry is replaced or the mesh is removed - cached face groups,
+  // edges and highlights are stale
+  invalidateMesh(mesh) {
+    this.faceGroupsCache.delete(mesh.uuid);
+    this.edgesCache.delete(mesh.uuid);
+
+    if (this.hoveredFace === mesh || this.hoveredItem?.mesh === mesh) {
+      this.clearHover();
+    }
+    if (this.selectedFace === mesh) {
+      this.deselectFace();
+    }
+    this.selectedItems
+      .filter(item => item.mesh === mesh)
+      .forEach(item => this.deselectItem(item));
+  }
+
+  itemKey(item) {
+    return `${item.mesh.uuid}:${item.type}:${item.index}`;
+  }
+
+  isSameItem(item1, item2) {
+    return !!item1 && !!item2 && this.itemKey(item1) === this.itemKey(item2);
+  }
+
+  isItemSelected(item) {
+    return this.itemSelectionHighlights.has(this.itemKey(item));
+  }
+
+  setHoveredItem(item) {
+    // Clear previous hover (face or item)
+    this.clearHover();
+
+    this.hoveredItem = item;
+    console.log(`${item.type === 'edge' ? 'Edge' : 'Vertex'} hovered:`, `${item.mesh.name || 'body'} ${item.type} ${item.index}`);
+
+    this.itemHoverHighlight = this.createItemHighlight(item, ITEM_HOVER_COLOR);
+    this.itemHoverHighlight.renderOrder = 1001; // Above selected items
+
+    if (this.renderCallback) {
+      this.renderCallback();
+    }
+  }
+
+  selectItem(item) {
+    if (this.isItemSelected(item)) return;
+
+    this.selectedItems.push(item);
+    this.itemSelectionHighlights.set(this.itemKey(item), this.createItemHighlight(item, ITEM_SELECTION_COLOR));
+    console.log(`${item.type === 'edge' ? 'Edge' : 'Vertex'} selected:`, `${item.mesh.name || 'body'} ${item.type} ${item.index}`);
+
+    if (this.renderCallback) {
+      this.renderCallback();
+    }
+  }
+
+  deselectItem(item) {
+    const key = this.itemKey(item);
+    if (!this.itemSelectionHighlights.has(key)) return;
+
+    this.removeHighlight(this.itemSelectionHighlights.get(key));
+    this.itemSelectionHighlights.delete(key);
+    this.selectedItems = this.selectedItems.filter(selected => this.itemKey(selected) !== key);
+
+    if (this.renderCallback) {
+      this.renderCallback();
+    }
+  }
+
+  toggleItem(item) {
+    if (this.isItemSelected(item)) {
+      this.deselectItem(item);
+    } else {
+      this.selectItem(item);
+    }
+  }
+
+  clearItemSelection() {
+    [...this.selectedItems].forEach(item => this.deselectItem(item));
+  }
+
+  // Thick line along an edge, or a dot on a vertex, drawn on top of the body
+  createItemHighlight(item, color) {
+    const { edges, vertices } = this.buildEdges(item.mesh);
+    let highlight;
+
+    if (item.type === 'edge') {
+      const edge = edges[item.index];
+      const geometry = new THREE.BufferGeometry().setFromPoints([edge.start, edge.end]);
+      const material = new THREE.LineBasicMaterial({
+        color: color,
+        linewidth: 4,
+        depthTest: false,
+        depthWrite: false,
+      });
+      highlight = new THREE.Line(geometry, material);
+    } else {
+      const geometry = new THREE.BufferGeometry().setFromPoints([vertices[item.index]]);
+      const material = new THREE.PointsMaterial({
+        color: color,
+        size: 10,
+        sizeAttenuation: false,
+        depthTest: false,
+        depthWrite: false,
+      });
+      highlight = new THREE.Points(geometry, material);
+    }
+
+    highlight.renderOrder = 1000;
+    highlight.position.copy(item.mesh.position);
+    highlight.rotation.copy(item.mesh.rotation);
+    highlight.scale.copy(item.mesh.scale);
+
+    this.scene.add(highlight);
+    return highlight;
+  }
+
+  removeHighlight(highlight) {
+    this.scene.remove(highlight);
+    highlight.geometry.dispose();
+    highlight.material.dispose();
+  }
+
   setHoveredFace(face, faceIndex = null) {
     // Clear previous hover
     this.clearHover();
@@ -285,6 +636,12 @@ export class FaceSelector {
       this.hoveredFace = null;
     }
 
+    if (this.hoveredItem) {
+      this.hoveredItem = null;
+      this.removeHighlight(this.itemHoverHighlight);
+      this.itemHoverHighlight = null;
+    }
+
     // Remove hover highlight
     if (this.hoverHighlight) {
       this.scene.remove(this.hoverHighlight);
@@ -385,7 +742,37 @@ export class FaceSelector {
     const normal = new THREE.Vector3().crossVectors(edge1, edge2).normalize();
 
     // Don't use offset - instead rely on renderOrder and depthTest to render on top
-    // Collect all unique edges from all triangles in the group
+    const perimeterEdges = this.getFacePerimeter(bodyMesh, group);
+
+    // Create line segments for perimeter (no offset, just render on top)
+    const highlightGroup = new THREE.Group();
+    perimeterEdges.forEach(([v1, v2]) => {
+      const points = [v1, v2];
+      const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
+      const lineMaterial = new THREE.LineBasicMaterial({
+        color: color,
+        linewidth: 3,
+        depthTest: false,
+        depthWrite: false,
+      });
+
+      const line = new THREE.Line(lineGeometry, lineMaterial);
+      line.renderOrder = 999;
+      highlightGroup.add(line);
+    });
+
+    highlightGroup.position.copy(bodyMesh.position);
+    highlightGroup.rotation.copy(bodyMesh.rotation);
+    highlightGroup.scale.copy(bodyMesh.scale);
+
+    this.hoverHighlight = highlightGroup;
+    this.scene.add(this.hoverHighlight);
+  }
+
+  // Outline of a face group: triangle edges used by only one of its triangles
+  // Returns [[Vector3, Vector3], ...] in the mesh's coordinates
+  getFacePerimeter(mesh, group) {
+    const position = mesh.geometry.attributes.position;
     const edgeMap = new Map(); // key: "v1_v2", value: count
 
     const vertexKey = (v) => `${v.x.toFixed(6)}_${v.y.toFixed(6)}_${v.z.toFixed(6)}`;
@@ -416,7 +803,6 @@ export class FaceSelector {
       });
     });
 
-    // Only draw edges that appear once (perimeter edges)
     const perimeterEdges = [];
     const vertexCache = new Map();
 
@@ -430,35 +816,12 @@ export class FaceSelector {
 
     edgeMap.forEach((count, edgeKey) => {
       if (count === 1) {
-        // This is a perimeter edge
         const [keyA, keyB] = edgeKey.split('|');
         perimeterEdges.push([getVertex(keyA), getVertex(keyB)]);
       }
     });
 
-    // Create line segments for perimeter (no offset, just render on top)
-    const highlightGroup = new THREE.Group();
-    perimeterEdges.forEach(([v1, v2]) => {
-      const points = [v1, v2];
-      const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-      const lineMaterial = new THREE.LineBasicMaterial({
-        color: color,
-        linewidth: 3,
-        depthTest: false,
-        depthWrite: false,
-      });
-
-      const line = new THREE.Line(lineGeometry, lineMaterial);
-      line.renderOrder = 999;
-      highlightGroup.add(line);
-    });
-
-    highlightGroup.position.copy(bodyMesh.position);
-    highlightGroup.rotation.copy(bodyMesh.rotation);
-    highlightGroup.scale.copy(bodyMesh.scale);
-
-    this.hoverHighlight = highlightGroup;
-    this.scene.add(this.hoverHighlight);
+    return perimeterEdges;
   }
 
   createSketchEdgeHighlight(face, color) {
@@ -475,15 +838,9 @@ export class FaceSelector {
       const edge = sketchData.edges.find(e => e.id === edgeId);
       if (!edge) return;
 
-      const v1 = sketchData.getVertex(edge.v1);
-      const v2 = sketchData.getVertex(edge.v2);
-      if (!v1 || !v2) return;
-
-      // Convert plane coordinates to world coordinates
-      const points = [
-        sketchData.plane.toWorld(v1.u, v1.v),
-        sketchData.plane.toWorld(v2.u, v2.v)
-      ];
+      // Convert plane coordinates to world coordinates (arcs are tessellated)
+      const points = sketchData.getEdgeWorldPoints(edge);
+      if (points.length < 2) return;
 
       const geometry = new THREE.BufferGeometry().setFromPoints(points);
       const material = new THREE.LineBasicMaterial({
@@ -568,6 +925,28 @@ export class FaceSelector {
   onContextMenu(event) {
     if (!this.enabled) return;
 
+    // Right-click on a body edge or vertex
+    const item = this.pickItem(event.clientX, event.clientY);
+    if (item) {
+      event.preventDefault();
+      this.hideContextMenu();
+      if (window.KIVI?.system?.objectsBrowser) {
+        window.KIVI.system.objectsBrowser.hideContextMenu();
+      }
+
+      // Keep an existing multi-selection if the item is part of it
+      if (!this.isItemSelected(item)) {
+        this.deselectFace();
+        this.clearItemSelection();
+        this.selectItem(item);
+      }
+
+      if (item.type === 'edge') {
+        this.showEdgeContextMenu(item.mesh, event.clientX, event.clientY);
+      }
+      return;
+    }
+
     // Check if we're right-clicking on a face
     const rect = this.domElement.getBoundingClientRect();
     const mouse = new THREE.Vector2();
@@ -644,6 +1023,7 @@ export class FaceSelector {
       }
 
       this.deselectFace();
+      this.clearItemSelection();
     }
   }
 
@@ -668,7 +1048,97 @@ export class FaceSelector {
       targetObject = face;
     }
 
-    // Create context menu
+    const menuItems = [];
+
+    menuItems.push(this.createMenuItem('Extrude', () => {
+      if (isSketchFace) {
+        // Extrude sketch face - start with just the clicked region selected
+        if (window.KIVI?.system?.objectsBrowser) {
+          window.KIVI.system.objectsBrowser.showExtrudeDialog(targetObject, null, [face.userData.regionKey]);
+        }
+      } else {
+        // Extrude body face - pass the stored face group directly
+        if (window.KIVI?.system?.objectsBrowser) {
+          window.KIVI.system.objectsBrowser.showExtrudeBodyFaceDialog(targetObject, this.selectedFaceGroup);
+        }
+      }
+    }));
+
+    // Sketch on the face's plane, attached so it follows the face when the body is rebuilt
+    if (!isSketchFace) {
+      const faceGroup = this.selectedFaceGroup;
+      menuItems.push(this.createMenuItem('Sketch on Face', () => {
+        if (window.KIVI?.system?.sketchEditor) {
+          window.KIVI.system.sketchEditor.createSketchOnFace(targetObject, faceGroup);
+        }
+      }));
+
+      // Datum planes (see datum-planes.js)
+      const facePlane = this.getSelectedFacePlane();
+      menuItems.push(this.createMenuItem('Plane on Face', () => {
+        if (window.KIVI?.system?.datumPlanes && facePlane) {
+          window.KIVI.system.datumPlanes.addFacePlane(facePlane);
+        }
+      }));
+
+      menuItems.push(this.createMenuItem('Midplane With Face...', () => {
+        this.midplaneFace = facePlane;
+        this.domElement.style.cursor = 'crosshair';
+        console.log('Click a parallel face for the midplane');
+      }));
+
+      // Assembly mates (see assembly.js)
+      menuItems.push(this.createMenuItem('Mate With Face...', () => {
+        this.mateFace = { mesh: targetObject, faceGroup };
+        this.domElement.style.cursor = 'crosshair';
+        console.log('Click a face on another body to mate with');
+      }));
+    }
+
+    // Blend the edges around a body face (needs a body with feature history)
+    if (!isSketchFace && targetObject.userData?.kivi?.history) {
+      const faceGroup = this.selectedFaceGroup;
+      menuItems.push(this.createMenuItem('Fillet / Chamfer Edges...', () => {
+        const faceTriangles = new Set(faceGroup.faceIndices);
+        const edges = this.buildEdges(targetObject).edges
+          .filter(edge => [...edge.triangles].some(t => faceTriangles.has(t)));
+        if (window.KIVI?.system?.objectsBrowser) {
+          window.KIVI.system.objectsBrowser.showBlendDialog(targetObject, edges);
+        }
+      }));
+    }
+
+    this.renderContextMenu(x, y, menuItems);
+  }
+
+  // Menu for the selected edges of a body
+  showEdgeContextMenu(mesh, x, y) {
+    const edges = this.getSelectedEdges()
+      .filter(selected => selected.mesh === mesh)
+      .map(selected => selected.edge);
+
+    const menuItems = [];
+
+    // Blend needs a body with feature history
+    if (mesh.userData?.kivi?.history) {
+      menuItems.push(this.createMenuItem(`Fillet / Chamfer ${edges.length} Edge${edges.length === 1 ? '' : 's'}...`, () => {
+        if (window.KIVI?.system?.objectsBrowser) {
+          window.KIVI.system.objectsBrowser.showBlendDialog(mesh, edges);
+        }
+      }));
+    }
+
+    menuItems.push(this.createMenuItem('Clear Selection', () => {
+      this.clearItemSelection();
+    }));
+
+    this.renderContextMenu(x, y, menuItems);
+  }
+
+  // Show a context menu made of createMenuItem elements
+  renderContextMenu(x, y, menuItems) {
+    this.hideContextMenu();
+
     this.contextMenu = document.createElement('div');
     this.contextMenu.style.cssText = `
       position: fixed;
@@ -681,39 +1151,8 @@ export class FaceSelector {
       z-index: 10000;
       min-width: 120px;
     `;
+    menuItems.forEach(item => this.contextMenu.appendChild(item));
 
-    // Create menu item
-    const extrudeItem = document.createElement('div');
-    extrudeItem.textContent = 'Extrude';
-    extrudeItem.style.cssText = `
-      padding: 8px 12px;
-      cursor: pointer;
-      transition: background 0.2s;
-    `;
-
-    extrudeItem.addEventListener('mouseenter', () => {
-      extrudeItem.style.background = '#f0f0f0';
-    });
-    extrudeItem.addEventListener('mouseleave', () => {
-      extrudeItem.style.background = 'transparent';
-    });
-    extrudeItem.addEventListener('click', () => {
-      this.hideContextMenu();
-
-      if (isSketchFace) {
-        // Extrude sketch face
-        if (window.KIVI?.system?.objectsBrowser) {
-          window.KIVI.system.objectsBrowser.showExtrudeDialog(targetObject);
-        }
-      } else {
-        // Extrude body face - pass the stored face group directly
-        if (window.KIVI?.system?.objectsBrowser) {
-          window.KIVI.system.objectsBrowser.showExtrudeBodyFaceDialog(targetObject, this.selectedFaceGroup);
-        }
-      }
-    });
-
-    this.contextMenu.appendChild(extrudeItem);
     document.body.appendChild(this.contextMenu);
 
     // Close menu when clicking elsewhere
@@ -728,6 +1167,29 @@ export class FaceSelector {
     }, 0);
   }
 
+  createMenuItem(label, action) {
+    const item = document.createElement('div');
+    item.textContent = label;
+    item.style.cssText = `
+      padding: 8px 12px;
+      cursor: pointer;
+      transition: background 0.2s;
+    `;
+
+    item.addEventListener('mouseenter', () => {
+      item.style.background = '#f0f0f0';
+    });
+    item.addEventListener('mouseleave', () => {
+      item.style.background = 'transparent';
+    });
+    item.addEventListener('click', () => {
+      this.hideContextMenu();
+      action();
+    });
+
+    return item;
+  }
+
   hideContextMenu() {
     if (this.contextMenu) {
       this.contextMenu.remove();
@@ -738,6 +1200,7 @@ export class FaceSelector {
   dispose() {
     this.clearHover();
     this.deselectFace();
+    this.clearItemSelection();
     this.hideContextMenu();
   }
 }
@@ -0,0 +1,191 @@
+// Feature History - Ordered list of modeling features that build a body
+// Each feature takes the geometry produced by the features before it and returns new geometry.
+// Features keep live references to their inputs (e.g. the Sketch of an Extrude),
+// so the body can be rebuilt whenever an input changes.
+import * as THREE from 'three';
+import { Extrude } from './extrude.js';
+import { Revolve } from './revolve.js';
+import { Cut } from './cut.js';
+import { Blend } from './blend.js';
+import { Mirror, LinearPattern, CircularPattern } from './pattern.js';
+import { Plane } from './plane.js';
+
+// Feature classes by type, for loading saved histories
+const FEATURE_CLASSES = {
+  extrude: Extrude,
+  revolve: Revolve,
+  cut: Cut,
+  blend: Blend,
+  mirror: Mirror,
+  linearPattern: LinearPattern,
+  circularPattern: CircularPattern
+};
+
+export class FeatureHistory {
+  constructor() {
+    this.features = [];
+    this.nextFeatureId = 1;
+
+    // Feature id -> Matrix4 from world to body coordinates, for sketch features added to a body
+    // that had been moved (sketch planes are in world coordinates, the body geometry in the body's)
+    this.placements = new Map();
+  }
+
+  // bodyMatrix: world matrix of the body the feature is added to; its sketch is placed on the
+  // body as it is now, and stays there when the body is moved later
+  addFeature(feature, bodyMatrix = null) {
+    feature.id = this.nextFeatureId++;
+    this.features.push(feature);
+    if (feature.sketch && bodyMatrix && !bodyMatrix.equals(new THREE.Matrix4())) {
+      this.placements.set(feature.id, bodyMatrix.clone().invert());
+    }
+    return feature;
+  }
+
+  removeFeature(feature) {
+    const index = this.features.indexOf(feature);
+    if (index === -1) return false;
+    this.features.splice(index, 1);
+    return true;
+  }
+
+  getFeature(id) {
+    return this.features.find(f => f.id === id);
+  }
+
+  // Display name such as "Extrude 1", numbered per feature label
+  getFeatureName(feature) {
+    const sameType = this.features.filter(f => f.label === feature.label);
+    return `${feature.label} ${sameType.indexOf(feature) + 1}`;
+  }
+
+  // True if any feature uses this Sketch
+  dependsOn(sketch) {
+    return this.features.some(f => f.sketch === sketch);
+  }
+
+  // Run all features in order
+  // Returns the final geometry, or null if a feature fails
+  regenerate() {
+    let geometry = null;
+
+    for (const feature of this.features) {
+      // A sketch on one of this body's faces follows the face as built by the features before it
+      if (geometry && this.isAttachedToBody(feature)) {
+        feature.sketch.attachment.followFace(feature.sketch, geometry);
+      }
+
+      // Patterns look up the feature they copy in the history
+      const result = this.inBodyCoordinates(feature, () => feature.execute(geometry, this));
+      if (!result) {
+        console.warn('Feature failed:', this.getFeatureName(feature));
+        if (geometry) geometry.dispose();
+        return null;
+      }
+
+      if (geometry && result !== geometry) {
+        geometry.dispose();
+      }
+      geometry = result;
+    }
+
+    return geometry;
+  }
+
+  // True if the feature's sketch is on one of this body's faces
+  isAttachedToBody(feature) {
+    return feature.sketch?.attachment?.body?.userData?.kivi?.history === this;
+  }
+
+  // Run build (which makes geometry from the feature's sketch) with the sketch placed in the body's
+  // coordinates, where the body geometry is: a sketch on one of this body's faces through the
+  // attachment, any other sketch through the feature's placement. Patterns copying the feature
+  // and STEP export use this too.
+  inBodyCoordinates(feature, build) {
+    const sketch = feature.sketch;
+    const worldPlane = sketch?.plane;
+    let localPlane = null;
+    if (this.isAttachedToBody(feature)) {
+      localPlane = sketch.attachment.getPlane(true);
+    } else if (this.placements.has(feature.id)) {
+      localPlane = transformPlane(worldPlane, this.placements.get(feature.id));
+    }
+    if (!localPlane) return build();
+
+    sketch.plane = localPlane;
+    const result = build();
+    sketch.plane = worldPlane;
+    return result;
+  }
+
+  // Copy with cloned features (inputs such as sketches stay shared)
+  clone() {
+    const history = new FeatureHistory();
+    history.features = this.features.map(f => {
+      const copy = f.clone();
+      copy.id = f.id;
+      return copy;
+    });
+    history.nextFeatureId = this.nextFeatureId;
+    history.placements = new Map([...this.placements].map(([id, matrix]) => [id, matrix.clone()]));
+    return history;
+  }
+
+  // Sketch inputs are written as ids: sketchIds maps each Sketch to the id it is saved under
+  // (not toJSON: JSON.stringify passes it the property name, e.g. when Object3D.clone() copies userData)
+  serialize(sketchIds = new Map()) {
+    return {
+      features: this.features.map(f => {
+        const data = { id: f.id, type: f.type, ...f.toJSON() };
+        if (f.sketch) {
+          data.sketch = sketchIds.get(f.sketch) ?? null;
+        }
+        if (this.placements.has(f.id)) {
+          data.placement = this.placements.get(f.id).toArray();
+        }
+        return data;
+      })
+    };
+  }
+
+  // sketches maps saved sketch ids back to Sketch objects
+  // Returns null if a feature type is unknown or its sketch is missing
+  static fromJSON(data, sketches = new Map()) {
+    const history = new FeatureHistory();
+
+    for (const featureData of data.features || []) {
+      const FeatureClass = FEATURE_CLASSES[featureData.type];
+      if (!FeatureClass) {
+        console.warn('Unknown feature type:', featureData.type);
+        return null;
+      }
+
+      let sketch = null;
+      if (featureData.sketch !== undefined) {
+        sketch = sketches.get(featureData.sketch);
+        if (!sketch) {
+          console.warn('Missing sketch for feature:', featureData.type, featureData.id);
+          return null;
+        }
+      }
+
+      const feature = FeatureClass.fromJSON(featureData, sketch);
+      feature.id = featureData.id ?? history.nextFeatureId;
+      history.features.push(feature);
+      if (featureData.placement) {
+        history.placements.set(feature.id, new THREE.Matrix4().fromArray(featureData.placement));
+      }
+      history.nextFeatureId = Math.max(history.nextFeatureId, feature.id + 1);
+    }
+
+    return history;
+  }
+}
+
+// Copy of a Plane with its origin and axes transformed by a Matrix4
+function transformPlane(plane, matrix) {
+  const copy = new Plane(plane.origin.clone().applyMatrix4(matrix), plane.normal.clone().transformDirection(matrix));
+  copy.uAxis = plane.uAxis.clone().transformDirection(matrix);
+  copy.vAxis = plane.vAxis.clone().transformDirection(matrix);
+  return copy;
+}
@@ -0,0 +1,112 @@
+// glTF Export - Writes bodies as GLB (or .gltf) for game engines
+// The exported node tree mirrors KIVI.objects: one node per folder holding its bodies, named
+// as in the objects browser, with each body's MeshStandardMaterial. glTF is Y-up like the
+// internal frame, so no axis conversion is needed; the root node scales mm to meters.
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { isBodyMesh, getExportMeshes } from './stl-export.js';
+import { findCreaseEdges } from './mesh-edges.js';
+import { downloadFile } from './download.js';
+
+// glTF units are meters, model units are mm
+const MM_TO_METERS = 0.001;
+
+const EDGE_COLOR = 0x000000;
+
+// Copy of a body for the export scene (shares geometry and material, leaves out userData)
+function createExportBody(mesh, edges) {
+  const body = new THREE.Mesh(mesh.geometry, mesh.material);
+  body.name = mesh.name;
+  body.position.copy(mesh.position);
+  body.quaternion.copy(mesh.quaternion);
+  body.scale.copy(mesh.scale);
+
+  // Crease edges as a line child, so outlines survive in engines without edge rendering
+  if (edges) {
+    const points = [];
+    findCreaseEdges(mesh.geometry).forEach(edge => points.push(edge.start, edge.end));
+
+    // glTF has no line material; MeshBasicMaterial is written as an unlit one
+    const outline = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.MeshBasicMaterial({ color: EDGE_COLOR })
+    );
+    outline.name = `${mesh.name} edges`;
+    body.add(outline);
+  }
+
+  return body;
+}
+
+// Scene to export for a list of folders and/or bodies
+// Folders become nodes with their visible bodies; bodies are added at the root
+export function buildExportScene(objects, { edges = false, scale = MM_TO_METERS } = {}) {
+  const root = new THREE.Group();
+  root.name = 'KIVI';
+  root.scale.setScalar(scale);
+
+  objects.forEach(object => {
+    if (isBodyMesh(object)) {
+      root.add(createExportBody(object, edges));
+      return;
+    }
+
+    const meshes = getExportMeshes(object);
+    if (meshes.length === 0) return;
+
+    const folder = new THREE.Group();
+    folder.name = object.name;
+    folder.position.copy(object.position);
+    folder.quaternion.copy(object.quaternion);
+    folder.scale.copy(object.scale);
+    meshes.forEach(mesh => folder.add(createExportBody(mesh, edges)));
+    root.add(folder);
+  });
+
+  return root;
+}
+
+// Free the outline geometries and materials made by buildExportScene
+function disposeExportScene(root) {
+  root.traverse(node => {
+    if (node.isLineSegments) {
+      node.geometry.dispose();
+      node.material.dispose();
+    }
+  });
+}
+
+// Resolves to an ArrayBuffer (binary) or glTF JSON object
+export function buildGLTF(objects, { binary = true, edges = false, scale = MM_TO_METERS } = {}) {
+  const root = buildExportScene(objects, { edges, scale });
+  if (root.children.length === 0) {
+    return Promise.resolve(null);
+  }
+
+  return new GLTFExporter().parseAsync(root, { binary })
+    .finally(() => disposeExportScene(root));
+}
+
+// Download objects as a .glb (binary) or .gltf file
+// options: { binary, edges, scale, filename }
+export function exportGLTF(objects, { binary = true, edges = false, scale = MM_TO_METERS, filename } = {}) {
+  filename = filename || (binary ? 'scene.glb' : 'scene.gltf');
+
+  return buildGLTF(objects, { binary, edges, scale })
+    .then(result => {
+      if (!result) {
+        console.warn('No bodies to export');
+        return;
+      }
+
+      if (binary) {
+        downloadFile(result, filename, 'model/gltf-binary');
+      } else {
+        downloadFile(JSON.stringify(result), filename, 'model/gltf+json');
+      }
+      console.log('Exported glTF:', filename);
+    })
+    .catch(error => {
+      console.error('glTF export failed:', error);
+    });
+}
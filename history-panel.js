@@ -0,0 +1,196 @@
+// History Panel - UI panel listing undoable commands
+// Click an entry to undo or redo up to it
+
+export class HistoryPanel {
+  constructor(kiviInstance) {
+    this.kivi = kiviInstance;
+    this.panel = null;
+
+    this.createPanel();
+  }
+
+  createPanel() {
+    // Create panel container
+    this.panel = document.createElement('div');
+    this.panel.id = 'history-panel';
+    this.panel.style.cssText = `
+      position: absolute;
+      bottom: 20px;
+      left: 20px;
+      width: 280px;
+      background: rgba(240, 240, 240, 0.9);
+      border: 1px solid #ccc;
+      border-radius: 4px;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      overflow: hidden;
+      z-index: 10;
+    `;
+
+    // Create header
+    const header = document.createElement('div');
+    header.style.cssText = `
+      padding: 8px 12px;
+      background: #e0e0e0;
+      border-bottom: 1px solid #ccc;
+      font-weight: bold;
+      color: #333;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+    `;
+
+    const title = document.createElement('span');
+    title.textContent = 'History';
+    header.appendChild(title);
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = `
+      display: flex;
+      gap: 8px;
+    `;
+    this.undoButton = this.createHeaderButton('undo-2', 'Undo (Ctrl+Z)', () => this.kivi.undo());
+    this.redoButton = this.createHeaderButton('redo-2', 'Redo (Ctrl+Shift+Z)', () => this.kivi.redo());
+    buttons.appendChild(this.undoButton);
+    buttons.appendChild(this.redoButton);
+    header.appendChild(buttons);
+
+    this.panel.appendChild(header);
+
+    // Create entries list container
+    this.listContainer = document.createElement('div');
+    this.listContainer.style.cssText = `
+      max-height: 160px;
+      overflow-y: auto;
+    `;
+    this.panel.appendChild(this.listContainer);
+
+    // Add to body
+    document.body.appendChild(this.panel);
+
+    // Disable default context menu on the panel
+    this.panel.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+    });
+
+    this.render();
+  }
+
+  // Small icon button for the panel header
+  createHeaderButton(icon, title, action) {
+    const button = document.createElement('span');
+    button.title = title;
+    button.style.cssText = `
+      display: inline-flex;
+      cursor: pointer;
+    `;
+
+    const iconElement = document.createElement('i');
+    iconElement.setAttribute('data-lucide', icon);
+    iconElement.style.cssText = `
+      width: 14px;
+      height: 14px;
+    `;
+    button.appendChild(iconElement);
+
+    button.addEventListener('click', action);
+    return button;
+  }
+
+  render() {
+    const commands = this.kivi.system.commands;
+    if (!commands) return;
+
+    this.listContainer.innerHTML = '';
+    this.undoButton.style.color = commands.canUndo() ? '#666' : '#ccc';
+    this.redoButton.style.color = commands.canRedo() ? '#666' : '#ccc';
+
+    // Oldest first: applied commands, then the ones that can be redone
+    const applied = commands.undoStack;
+    const undone = [...commands.redoStack].reverse();
+
+    // "Start" row undoes everything
+    this.listContainer.appendChild(this.createEntry('Start', applied.length === 0, false, () => {
+      this.undoTo(0);
+    }));
+
+    applied.forEach((command, index) => {
+      const isCurrent = index === applied.length - 1;
+      this.listContainer.appendChild(this.createEntry(command.label, isCurrent, false, () => {
+        this.undoTo(index + 1);
+      }));
+    });
+
+    undone.forEach((command, index) => {
+      this.listContainer.appendChild(this.createEntry(command.label, false, true, () => {
+        this.redoTimes(index + 1);
+      }));
+    });
+
+    // Keep the current entry in view
+    this.listContainer.scrollTop = this.listContainer.scrollHeight;
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+  }
+
+  createEntry(label, isCurrent, isUndone, onClick) {
+    const item = document.createElement('div');
+    item.style.cssText = `
+      padding: 4px 12px;
+      border-bottom: 1px solid #ddd;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      cursor: pointer;
+      color: ${isUndone ? '#aaa' : '#333'};
+      font-style: ${isUndone ? 'italic' : 'normal'};
+      background: ${isCurrent ? '#c0c0c0' : 'transparent'};
+    `;
+    item.textContent = label;
+
+    // Hover effect
+    item.addEventListener('mouseenter', () => {
+      if (!isCurrent) item.style.background = '#d0d0d0';
+    });
+    item.addEventListener('mouseleave', () => {
+      if (!isCurrent) item.style.background = 'transparent';
+    });
+
+    item.addEventListener('click', onClick);
+    return item;
+  }
+
+  // Undo until only count commands are applied
+  undoTo(count) {
+    const commands = this.kivi.system.commands;
+    while (commands.undoStack.length > count && commands.undo()) {
+      // Each undo re-renders the panel
+    }
+  }
+
+  redoTimes(times) {
+    const commands = this.kivi.system.commands;
+    for (let i = 0; i < times && commands.redo(); i++) {
+      // Each redo re-renders the panel
+    }
+  }
+
+  update() {
+    this.render();
+  }
+
+  // Show/hide panel
+  show() {
+    this.panel.style.display = 'block';
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+  }
+}
@@ -0,0 +1,166 @@
+// Line Tool - Click-to-place polyline drawing in the sketch editor
+// Each click adds a vertex on the sketch plane and chains an edge from the previous one.
+// Escape ends the chain; clicking the first vertex closes the loop.
+
+import * as THREE from 'three';
+
+export class LineTool {
+  constructor(sketchEditor) {
+    this.editor = sketchEditor;
+    this.kivi = sketchEditor.kivi;
+    this.active = false;
+
+    // Chain state (vertex IDs in the active sketch)
+    this.firstVertexId = null;
+    this.lastVertexId = null;
+
+    // Rubber-band line from last vertex to cursor
+    this.previewLine = null;
+
+    // Bind handlers so they can be removed later
+    this.onClick = this.onClick.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  activate() {
+    if (this.active) return;
+    this.active = true;
+
+    const domElement = this.kivi.renderer.domElement;
+    domElement.addEventListener('click', this.onClick);
+    domElement.addEventListener('mousemove', this.onMouseMove);
+    window.addEventListener('keydown', this.onKeyDown);
+
+    console.log('Line tool activated');
+  }
+
+  deactivate() {
+    if (!this.active) return;
+    this.active = false;
+
+    this.endChain();
+    this.editor.snap.clearGlyphs();
+
+    const domElement = this.kivi.renderer.domElement;
+    domElement.removeEventListener('click', this.onClick);
+    domElement.removeEventListener('mousemove', this.onMouseMove);
+    window.removeEventListener('keydown', this.onKeyDown);
+
+    console.log('Line tool deactivated');
+  }
+
+  onClick(event) {
+    // Left click only (right/middle are used by the camera controller)
+    if (event.button !== 0) return;
+
+    const sketchData = this.editor.getActiveSketchData();
+    if (!sketchData) return;
+
+    const cursor = this.editor.getSketchPoint(event);
+    if (!cursor) return;
+    const point = this.editor.snapPoint(cursor, event);
+
+    // Reuse an existing vertex if the click lands on one
+    const vertexSnap = point.snaps.find(snap => snap.type === 'vertex');
+    const existing = vertexSnap
+      ? sketchData.getVertex(vertexSnap.vertex)
+      : sketchData.findVertexNear(point.u, point.v, this.editor.getPickTolerance());
+    const vertex = existing || sketchData.addVertex(point.u, point.v);
+    if (!existing) {
+      this.editor.snap.applyConstraints(vertex.id, point.snaps);
+    }
+
+    if (this.lastVertexId === null) {
+      // Start a new chain
+      this.firstVertexId = vertex.id;
+      this.lastVertexId = vertex.id;
+    } else if (vertex.id !== this.lastVertexId) {
+      sketchData.addEdge(this.lastVertexId, vertex.id);
+
+      if (vertex.id === this.firstVertexId) {
+        // Clicked the first point - loop is closed
+        console.log('Line tool: closed loop');
+        this.endChain();
+      } else {
+        this.lastVertexId = vertex.id;
+      }
+    }
+
+    this.editor.updateSketchVisualization();
+    this.updatePreview(point);
+  }
+
+  onMouseMove(event) {
+    const cursor = this.editor.getSketchPoint(event);
+    if (!cursor) return;
+
+    // Show where a click would place the point
+    const point = this.editor.snapPoint(cursor, event);
+    this.editor.snap.showGlyphs(point);
+
+    if (this.lastVertexId === null) return;
+    this.updatePreview(point);
+  }
+
+  onKeyDown(event) {
+    if (event.key !== 'Escape') return;
+
+    if (this.lastVertexId !== null) {
+      // First Escape ends the current chain, tool stays active
+      this.endChain();
+    } else {
+      // Second Escape leaves the tool
+      this.editor.setTool(null);
+    }
+  }
+
+  endChain() {
+    this.firstVertexId = null;
+    this.lastVertexId = null;
+    this.removePreview();
+  }
+
+  updatePreview(point) {
+    const sketchData = this.editor.getActiveSketchData();
+    if (!sketchData || this.lastVertexId === null) {
+      this.removePreview();
+      return;
+    }
+
+    const lastVertex = sketchData.getVertex(this.lastVertexId);
+    const points = [
+      sketchData.plane.toWorld(lastVertex.u, lastVertex.v),
+      sketchData.plane.toWorld(point.u, point.v)
+    ];
+
+    if (!this.previewLine) {
+      const geometry = new THREE.BufferGeometry().setFromPoints(points);
+      const material = new THREE.LineDashedMaterial({
+        color: 0x00bcd4,
+        dashSize: 0.2,
+        gapSize: 0.1,
+        depthTest: false,
+        depthWrite: false
+      });
+      this.previewLine = new THREE.Line(geometry, material);
+      this.previewLine.renderOrder = 1000;
+      this.kivi.scene.add(this.previewLine);
+    } else {
+      this.previewLine.geometry.setFromPoints(points);
+    }
+
+    this.previewLine.computeLineDistances();
+    this.kivi.render();
+  }
+
+  removePreview() {
+    if (!this.previewLine) return;
+
+    this.kivi.scene.remove(this.previewLine);
+    this.previewLine.geometry.dispose();
+    this.previewLine.material.dispose();
+    this.previewLine = null;
+    this.kivi.render();
+  }
+}
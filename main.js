@@ -12,6 +12,16 @@ import { SmartGrid } from './smart-grid.js';
 import { SketchEditor } from './sketch-editor.js';
 import { FaceSelector } from './face-selector.js';
 import { Plane } from './plane.js';
+import { Project } from './project.js';
+import { Autosave } from './autosave.js';
+import { CommandHistory } from './command-history.js';
+import { HistoryPanel } from './history-panel.js';
+import { DatumPlanes } from './datum-planes.js';
+import { TransformGizmo } from './transform-gizmo.js';
+import { Assembly } from './assembly.js';
+import { getExportMeshes, exportSTL } from './stl-export.js';
+import { exportSTEP } from './step-export.js';
+import { exportGLTF } from './gltf-export.js';
 
 // Create renderer
 const renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -190,7 +200,14 @@ window.KIVI = {
     viewCube,
     cameraController,
     objectsBrowser: null,  // Will be set below
-    sketchEditor: null  // Will be set below
+    sketchEditor: null,  // Will be set below
+    project: null,  // Will be set below
+    autosave: null,  // Will be set below
+    commands: null,  // Will be set below
+    historyPanel: null,  // Will be set below
+    datumPlanes: null,  // Will be set below
+    transformGizmo: null,  // Will be set below
+    assembly: null  // Will be set below
   },
 
   // Helper methods
@@ -244,6 +261,46 @@ window.KIVI = {
     return object;
   },
 
+  // Download the scene as a .kivi project file
+  saveProject(filename) {
+    this.system.project.save(filename);
+  },
+
+  // Pick a .kivi project file and load it
+  openProject() {
+    this.system.project.open();
+  },
+
+  // File exporters
+  export: {
+    // Download bodies as STL, e.g. KIVI.export.stl(KIVI.objects.bodies, { binary: false })
+    // object is a body or a folder (its visible bodies are exported)
+    stl(object = window.KIVI.objects.bodies, options = {}) {
+      exportSTL(getExportMeshes(object), { filename: `${object.name || 'bodies'}.stl`, ...options });
+    },
+
+    // Download Extrude bodies as STEP AP214 solids
+    step(object = window.KIVI.objects.bodies, filename = `${object.name || 'bodies'}.step`) {
+      exportSTEP(getExportMeshes(object), filename);
+    },
+
+    // Download bodies as GLB, grouped by folder; without an object the whole scene is exported
+    // options: { binary, edges (bake outlines), scale, filename }
+    gltf(object = null, options = {}) {
+      const objects = object ? [object] : window.KIVI.system.project.getFolders().map(folder => folder.object);
+      return exportGLTF(objects, { filename: object ? `${object.name}.glb` : 'scene.glb', ...options });
+    }
+  },
+
+  // Undo/redo the last document change
+  undo() {
+    return this.system.commands.undo();
+  },
+
+  redo() {
+    return this.system.commands.redo();
+  },
+
   // Remove object from registry
   removeObject(name) {
     const object = this.objects[name];
@@ -260,6 +317,9 @@ window.KIVI = {
   }
 };
 
+// Undo/redo stack (used by the objects browser and sketch editor)
+window.KIVI.system.commands = new CommandHistory(window.KIVI);
+
 // Initialize objects browser now that KIVI exists
 objectsBrowser = new ObjectsBrowser(window.KIVI);
 window.KIVI.system.objectsBrowser = objectsBrowser;
@@ -272,6 +332,54 @@ window.KIVI.system.sketchEditor = sketchEditor;
 const faceSelector = new FaceSelector(camera, renderer.domElement, scene, render);
 window.KIVI.system.faceSelector = faceSelector;
 
+// Initialize history panel
+window.KIVI.system.historyPanel = new HistoryPanel(window.KIVI);
+
+// Initialize project save/load
+window.KIVI.system.project = new Project(window.KIVI);
+
+// Construction planes folder with the origin planes
+window.KIVI.system.datumPlanes = new DatumPlanes(window.KIVI);
+
+// Assembly folder with the mates between bodies
+window.KIVI.system.assembly = new Assembly(window.KIVI);
+
+// Move/rotate gizmo and transform panel for the selected body
+window.KIVI.system.transformGizmo = new TransformGizmo(window.KIVI);
+
+// Snapshot to IndexedDB after changes and offer to restore an unsaved session
+const autosave = new Autosave(window.KIVI);
+window.KIVI.system.autosave = autosave;
+autosave.start();
+
+// Ctrl/Cmd+S saves the project, Ctrl/Cmd+O opens one
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes
+window.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+
+  // Leave text fields their own undo
+  if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) {
+      window.KIVI.redo();
+    } else {
+      window.KIVI.undo();
+    }
+  } else if (key === 'y') {
+    e.preventDefault();
+    window.KIVI.redo();
+  } else if (key === 's') {
+    e.preventDefault();
+    window.KIVI.saveProject();
+  } else if (key === 'o') {
+    e.preventDefault();
+    window.KIVI.openProject();
+  }
+});
+
 // Keep KIVI_DRAFT for backward compatibility
 window.KIVI_DRAFT = window.KIVI;
 
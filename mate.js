@@ -0,0 +1,372 @@
+// Mate - Assembly constraint between faces of two bodies (components)
+// Each side references a body face group (see FaceSelector.buildFaceGroups) as a plane or an axis,
+// stored in the body's coordinates when the mate is made and found again on the new geometry
+// when the body regenerates (see Mate.followBody). The assembly solver (assembly.js) moves one
+// side's body until the mate holds.
+import * as THREE from 'three';
+import { findFaceOffset } from './face-attachment.js';
+
+// coincident: planes touch, facing each other (flip: facing the same way)
+// concentric: axes on one line
+// distance: planes parallel and value mm apart, facing each other (flip: facing the same way)
+// angle: plane normals value degrees apart
+export const MATE_TYPES = ['coincident', 'concentric', 'distance', 'angle'];
+
+const MATE_LABELS = {
+  coincident: 'Coincident',
+  concentric: 'Concentric',
+  distance: 'Distance',
+  angle: 'Angle'
+};
+
+// Neighbouring triangles turning less than this (degrees) belong to the same curved face
+const SMOOTH_ANGLE = 30;
+
+// Triangles whose normal is closer than this (dot product) to perpendicular to an axis can be
+// facets of a cylinder around it
+const CYLINDER_TOLERANCE = 0.1;
+
+// Triangles of a face group: [{ triangle, normal, centroid, area }] in body coordinates
+function groupTriangles(geometry, faceIndices) {
+  const position = geometry.attributes.position;
+  return faceIndices.map(faceIndex => {
+    const triangle = new THREE.Triangle()
+      .setFromAttributeAndIndices(position, faceIndex * 3, faceIndex * 3 + 1, faceIndex * 3 + 2);
+    return {
+      triangle,
+      normal: triangle.getNormal(new THREE.Vector3()),
+      centroid: triangle.getMidpoint(new THREE.Vector3()),
+      area: triangle.getArea()
+    };
+  });
+}
+
+// Area-weighted centroid of triangles
+function areaCentroid(triangles) {
+  const centroid = new THREE.Vector3();
+  let totalArea = 0;
+  triangles.forEach(({ centroid: c, area }) => {
+    centroid.addScaledVector(c, area);
+    totalArea += area;
+  });
+  return centroid.divideScalar(totalArea || 1);
+}
+
+// Triangle indices of the smooth surface around a face group: neighbours across shared edges
+// are added while they turn less than SMOOTH_ANGLE (e.g. all the facets of a cylinder)
+function smoothRegion(geometry, faceIndices) {
+  const position = geometry.attributes.position;
+  const triangleCount = position.count / 3;
+  const key = i => `${position.getX(i).toFixed(4)},${position.getY(i).toFixed(4)},${position.getZ(i).toFixed(4)}`;
+
+  // Shared edge -> triangles
+  const edges = new Map();
+  for (let t = 0; t < triangleCount; t++) {
+    const keys = [key(t * 3), key(t * 3 + 1), key(t * 3 + 2)];
+    for (let k = 0; k < 3; k++) {
+      const edgeKey = [keys[k], keys[(k + 1) % 3]].sort().join('|');
+      if (!edges.has(edgeKey)) edges.set(edgeKey, []);
+      edges.get(edgeKey).push(t);
+    }
+  }
+
+  const normalOf = t => new THREE.Triangle()
+    .setFromAttributeAndIndices(position, t * 3, t * 3 + 1, t * 3 + 2)
+    .getNormal(new THREE.Vector3());
+  const minDot = Math.cos(THREE.MathUtils.degToRad(SMOOTH_ANGLE));
+
+  const region = new Set(faceIndices);
+  const queue = [...faceIndices];
+  while (queue.length > 0) {
+    const t = queue.shift();
+    const normal = normalOf(t);
+    const keys = [key(t * 3), key(t * 3 + 1), key(t * 3 + 2)];
+    for (let k = 0; k < 3; k++) {
+      const edgeKey = [keys[k], keys[(k + 1) % 3]].sort().join('|');
+      edges.get(edgeKey).forEach(other => {
+        if (region.has(other) || normalOf(other).dot(normal) < minDot) return;
+        region.add(other);
+        queue.push(other);
+      });
+    }
+  }
+
+  return [...region];
+}
+
+// Plane of a face group in body coordinates: { kind: 'plane', point, direction (normal) }
+export function facePlane(geometry, faceGroup) {
+  const triangles = groupTriangles(geometry, faceGroup.faceIndices);
+  return {
+    kind: 'plane',
+    point: areaCentroid(triangles).toArray(),
+    direction: triangles[0].normal.toArray()
+  };
+}
+
+// Axis of a face group in body coordinates: { kind: 'axis', point, direction, radius }
+// A facet of a curved (cylindrical) surface gives the surface's axis and radius, a flat face its
+// normal through the face centroid (e.g. the end of a shaft) and no radius
+export function faceAxis(geometry, faceGroup) {
+  const triangles = groupTriangles(geometry, smoothRegion(geometry, faceGroup.faceIndices));
+
+  // The axis is perpendicular to all normals of a cylinder: take the most different pair
+  let direction = null;
+  let best = 1e-6;
+  triangles.forEach(({ normal: n1 }) => {
+    triangles.forEach(({ normal: n2 }) => {
+      const cross = new THREE.Vector3().crossVectors(n1, n2);
+      if (cross.length() > best) {
+        best = cross.length();
+        direction = cross.normalize();
+      }
+    });
+  });
+
+  const isCylinder = direction && triangles.every(({ normal }) => Math.abs(normal.dot(direction)) < CYLINDER_TOLERANCE);
+  if (!isCylinder) {
+    const plane = facePlane(geometry, faceGroup);
+    return { kind: 'axis', point: plane.point, direction: plane.direction };
+  }
+
+  // Point nearest to all the lines through the facet centers along their normals (least squares):
+  // sum of (I - n n^T) x = sum of (I - n n^T) c, weighted by area
+  const matrix = new THREE.Matrix3().set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+  const rhs = new THREE.Vector3();
+  triangles.forEach(({ normal: n, centroid: c, area }) => {
+    const projector = new THREE.Matrix3().set(
+      1 - n.x * n.x, -n.x * n.y, -n.x * n.z,
+      -n.y * n.x, 1 - n.y * n.y, -n.y * n.z,
+      -n.z * n.x, -n.z * n.y, 1 - n.z * n.z
+    );
+    projector.elements.forEach((value, i) => {
+      matrix.elements[i] += value * area;
+    });
+    rhs.addScaledVector(c.clone().applyMatrix3(projector), area);
+  });
+  const point = rhs.applyMatrix3(matrix.invert());
+
+  const radius = areaWeighted(triangles, ({ centroid }) => distanceToLine(centroid, point, direction));
+  return { kind: 'axis', point: point.toArray(), direction: direction.toArray(), radius };
+}
+
+// Area-weighted mean of value(triangle)
+function areaWeighted(triangles, value) {
+  let sum = 0;
+  let totalArea = 0;
+  triangles.forEach(triangle => {
+    sum += value(triangle) * triangle.area;
+    totalArea += triangle.area;
+  });
+  return sum / (totalArea || 1);
+}
+
+function distanceToLine(p, point, direction) {
+  const delta = new THREE.Vector3().subVectors(p, point);
+  return delta.addScaledVector(direction, -delta.dot(direction)).length();
+}
+
+// Find a mate side's face again in rebuilt body geometry and update the side in place
+// Planes (and flat axis faces) slide along their normal onto the face under them, like sketches
+// on faces (see FaceAttachment). Cylinders are fitted again from the facet with the same
+// direction that is closest to the old radius from the old axis.
+// Returns false if the face is gone (the side is left as it was)
+function followFace(side, geometry) {
+  const point = new THREE.Vector3().fromArray(side.point);
+  const direction = new THREE.Vector3().fromArray(side.direction);
+
+  if (side.radius === undefined) {
+    const offset = findFaceOffset(geometry, point, direction);
+    if (offset === null) return false;
+    side.point = point.addScaledVector(direction, offset - point.dot(direction)).toArray();
+    return true;
+  }
+
+  const position = geometry.attributes.position;
+  let best = null;
+  let bestError = Infinity;
+  for (let t = 0; t < position.count / 3; t++) {
+    const triangle = new THREE.Triangle().setFromAttributeAndIndices(position, t * 3, t * 3 + 1, t * 3 + 2);
+    if (Math.abs(triangle.getNormal(new THREE.Vector3()).dot(direction)) >= CYLINDER_TOLERANCE) continue;
+
+    const error = Math.abs(distanceToLine(triangle.getMidpoint(new THREE.Vector3()), point, direction) - side.radius);
+    if (error < bestError) {
+      best = t;
+      bestError = error;
+    }
+  }
+  if (best === null) return false;
+
+  const axis = faceAxis(geometry, { faceIndices: [best] });
+  if (axis.radius === undefined) return false;
+
+  // Keep the direction the mate was made with
+  const newDirection = new THREE.Vector3().fromArray(axis.direction);
+  if (newDirection.dot(direction) < 0) newDirection.negate();
+  side.point = axis.point;
+  side.direction = newDirection.toArray();
+  side.radius = axis.radius;
+  return true;
+}
+
+export class Mate {
+  // a, b: { body, kind: 'plane' | 'axis', point: [x, y, z], direction: [x, y, z], radius }
+  //   (body coordinates; direction is the plane normal for planes; radius only for cylinders)
+  // options.value: distance (mm) or angle (degrees)
+  // options.flip: coincident/distance faces point the same way instead of facing each other
+  constructor(type, a, b, options = {}) {
+    this.type = type;
+    this.a = { ...a, bodyName: a.body ? a.body.name : a.bodyName };
+    this.b = { ...b, bodyName: b.body ? b.body.name : b.bodyName };
+    this.value = options.value ?? 0;
+    this.flip = options.flip ?? false;
+  }
+
+  get label() {
+    return MATE_LABELS[this.type];
+  }
+
+  // Short summary for the objects browser
+  describe() {
+    const name = side => (side.body ? side.body.name : side.bodyName);
+    const parts = [`${name(this.a)} ↔ ${name(this.b)}`];
+    if (this.type === 'distance') parts.push(`${this.value} mm`);
+    if (this.type === 'angle') parts.push(`${this.value}°`);
+    if (this.flip && (this.type === 'coincident' || this.type === 'distance')) parts.push('flipped');
+    return parts.join(', ');
+  }
+
+  // True while both bodies are in the scene
+  isLinked() {
+    return !!(this.a.body?.parent && this.b.body?.parent);
+  }
+
+  // Side of the mate as { point, direction } in world coordinates
+  getWorld(side) {
+    const body = side.body;
+    body.updateMatrixWorld();
+    return {
+      point: new THREE.Vector3().fromArray(side.point).applyMatrix4(body.matrixWorld),
+      direction: new THREE.Vector3().fromArray(side.direction).transformDirection(body.matrixWorld)
+    };
+  }
+
+  // Direction side b should point in, given side a's direction (null for angle mates)
+  getTargetDirection(a, b) {
+    if (this.type === 'angle') return null;
+    if (this.type === 'concentric') {
+      return a.direction.dot(b.direction) < 0 ? a.direction.clone().negate() : a.direction.clone();
+    }
+    return this.flip ? a.direction.clone() : a.direction.clone().negate();
+  }
+
+  // How far the mate is from holding (0 when it holds)
+  getError() {
+    const a = this.getWorld(this.a);
+    const b = this.getWorld(this.b);
+
+    if (this.type === 'angle') {
+      const angle = THREE.MathUtils.radToDeg(a.direction.angleTo(b.direction));
+      return Math.abs(angle - this.value) * Math.PI / 180;
+    }
+
+    const turn = 1 - b.direction.dot(this.getTargetDirection(a, b));
+    return turn + this.getOffset(a, b).length();
+  }
+
+  // Distance of side b's plane in front of side a's (from side b's point of view when reversed)
+  getDistance(reversed = false) {
+    if (this.type !== 'distance') return 0;
+    // Facing planes are symmetric; planes facing the same way swap sides
+    return reversed && this.flip ? -this.value : this.value;
+  }
+
+  // Translation that moves side b into place (after its direction is right)
+  getOffset(a, b, distance = this.getDistance()) {
+    const delta = new THREE.Vector3().subVectors(a.point, b.point);
+    if (this.type === 'concentric') {
+      // Onto side a's axis line
+      return delta.addScaledVector(a.direction, -delta.dot(a.direction));
+    }
+
+    // Along side a's normal, onto its plane or distance away from it
+    return a.direction.clone().multiplyScalar(delta.dot(a.direction) + distance);
+  }
+
+  // Move side b's body (side a's when reversed) the least it takes to make the mate hold
+  apply(reversed = false) {
+    const [fixedSide, movingSide] = reversed ? [this.b, this.a] : [this.a, this.b];
+    const body = movingSide.body;
+    const a = this.getWorld(fixedSide);
+    const b = this.getWorld(movingSide);
+
+    // Turn about side b's point
+    let rotation;
+    if (this.type === 'angle') {
+      let axis = new THREE.Vector3().crossVectors(a.direction, b.direction);
+      if (axis.lengthSq() < 1e-12) {
+        // Parallel: any axis across the normal will do
+        axis = new THREE.Vector3(1, 0, 0).cross(a.direction);
+        if (axis.lengthSq() < 1e-12) axis = new THREE.Vector3(0, 1, 0).cross(a.direction);
+      }
+      const turn = THREE.MathUtils.degToRad(this.value) - a.direction.angleTo(b.direction);
+      rotation = new THREE.Quaternion().setFromAxisAngle(axis.normalize(), turn);
+    } else {
+      rotation = new THREE.Quaternion().setFromUnitVectors(b.direction, this.getTargetDirection(a, b));
+    }
+
+    body.position.sub(b.point).applyQuaternion(rotation).add(b.point);
+    body.quaternion.premultiply(rotation);
+    body.updateMatrixWorld();
+
+    if (this.type !== 'angle') {
+      body.position.add(this.getOffset(a, this.getWorld(movingSide), this.getDistance(reversed)));
+      body.updateMatrixWorld();
+    }
+  }
+
+  // Find the faces of a regenerated body again (body coordinates don't move, the faces may)
+  followBody(body) {
+    [this.a, this.b].forEach(side => {
+      if (side.body !== body) return;
+      if (!followFace(side, body.geometry)) {
+        console.warn(`${this.label} mate face not found on`, body.name, '- the mate keeps its old face');
+      }
+    });
+  }
+
+  // Bodies are written by name and linked again with link() after loading
+  toJSON() {
+    const side = ({ bodyName, body, kind, point, direction, radius }) => ({
+      body: body ? body.name : bodyName,
+      kind,
+      point,
+      direction,
+      radius
+    });
+    return {
+      type: this.type,
+      a: side(this.a),
+      b: side(this.b),
+      value: this.value,
+      flip: this.flip
+    };
+  }
+
+  static fromJSON(data) {
+    const side = ({ body, kind, point, direction, radius }) => ({ body: null, bodyName: body, kind, point, direction, radius });
+    return new Mate(data.type, side(data.a), side(data.b), data);
+  }
+
+  // Connect both sides to their body meshes (bodies maps names to meshes)
+  link(bodies) {
+    [this.a, this.b].forEach(side => {
+      const body = bodies.get(side.bodyName);
+      if (body) {
+        side.body = body;
+      } else {
+        console.warn('Body of mate not found:', side.bodyName);
+      }
+    });
+  }
+}
@@ -0,0 +1,136 @@
+// Mesh Edges - Crease edges of a triangle mesh
+// A crease is where two triangles that are not coplanar meet, i.e. the border between
+// two face groups as built by FaceSelector.buildFaceGroups. Collinear pieces of the
+// same crease are merged into one straight edge.
+import * as THREE from 'three';
+
+// Same coplanarity test as FaceSelector.buildFaceGroups (~0.8 degrees)
+const ANGLE_THRESHOLD = 0.9999;
+
+// Vertices closer than this are treated as the same point
+const WELD_TOLERANCE = 1e-4;
+
+// Returns [{ start, end, direction, length, faces: [{ normal, centroid }, { normal, centroid }], triangles }]
+// start/end/direction/normal/centroid are Vector3s, triangles is a Set of triangle indices on either side
+export function findCreaseEdges(geometry) {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const position = source.attributes.position;
+  const triangleCount = position.count / 3;
+
+  // Weld vertices so neighbouring triangles share vertex ids
+  const points = [];
+  const pointIds = new Map();
+  const vertexIds = new Array(position.count);
+  for (let i = 0; i < position.count; i++) {
+    const p = new THREE.Vector3().fromBufferAttribute(position, i);
+    const key = `${Math.round(p.x / WELD_TOLERANCE)},${Math.round(p.y / WELD_TOLERANCE)},${Math.round(p.z / WELD_TOLERANCE)}`;
+    if (!pointIds.has(key)) {
+      pointIds.set(key, points.length);
+      points.push(p);
+    }
+    vertexIds[i] = pointIds.get(key);
+  }
+
+  // Triangle normals and centroids
+  const normals = [];
+  const centroids = [];
+  for (let t = 0; t < triangleCount; t++) {
+    const [a, b, c] = [0, 1, 2].map(k => points[vertexIds[t * 3 + k]]);
+    normals.push(new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).normalize());
+    centroids.push(new THREE.Vector3().add(a).add(b).add(c).divideScalar(3));
+  }
+
+  // Triangles on each (undirected) edge
+  const edgeTriangles = new Map();
+  for (let t = 0; t < triangleCount; t++) {
+    for (let k = 0; k < 3; k++) {
+      const a = vertexIds[t * 3 + k];
+      const b = vertexIds[t * 3 + (k + 1) % 3];
+      if (a === b) continue;
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+      if (!edgeTriangles.has(key)) edgeTriangles.set(key, { a: Math.min(a, b), b: Math.max(a, b), triangles: [] });
+      edgeTriangles.get(key).triangles.push(t);
+    }
+  }
+
+  // Crease segments: exactly two triangles that are not coplanar
+  const segments = [];
+  edgeTriangles.forEach(({ a, b, triangles }) => {
+    if (triangles.length !== 2) return;
+    const [t1, t2] = triangles;
+    if (normals[t1].dot(normals[t2]) > ANGLE_THRESHOLD) return;
+    segments.push({ a, b, triangles, used: false });
+  });
+
+  // Segments meeting at each point
+  const segmentsAt = new Map();
+  segments.forEach(segment => {
+    [segment.a, segment.b].forEach(id => {
+      if (!segmentsAt.has(id)) segmentsAt.set(id, []);
+      segmentsAt.get(id).push(segment);
+    });
+  });
+
+  const sameFaces = (s1, s2) => {
+    const [n1, n2] = s1.triangles.map(t => normals[t]);
+    const [m1, m2] = s2.triangles.map(t => normals[t]);
+    return (n1.dot(m1) > ANGLE_THRESHOLD && n2.dot(m2) > ANGLE_THRESHOLD) ||
+      (n1.dot(m2) > ANGLE_THRESHOLD && n2.dot(m1) > ANGLE_THRESHOLD);
+  };
+
+  // Merge collinear segments of the same crease into edges
+  const edges = [];
+  segments.forEach(first => {
+    if (first.used) return;
+    first.used = true;
+
+    const direction = new THREE.Vector3().subVectors(points[first.b], points[first.a]).normalize();
+    const triangles = new Set(first.triangles);
+    let startId = first.a;
+    let endId = first.b;
+
+    // Walk forward from the end, then backward from the start
+    [true, false].forEach(forward => {
+      let current = forward ? endId : startId;
+      while (true) {
+        const next = (segmentsAt.get(current) || []).find(segment => {
+          if (segment.used || !sameFaces(segment, first)) return false;
+          const other = segment.a === current ? segment.b : segment.a;
+          const step = new THREE.Vector3().subVectors(points[other], points[current]).normalize();
+          return step.dot(direction) * (forward ? 1 : -1) > ANGLE_THRESHOLD;
+        });
+        if (!next) break;
+
+        next.used = true;
+        next.triangles.forEach(t => triangles.add(t));
+        current = next.a === current ? next.b : next.a;
+      }
+      if (forward) {
+        endId = current;
+      } else {
+        startId = current;
+      }
+    });
+
+    const start = points[startId].clone();
+    const end = points[endId].clone();
+    edges.push({
+      start,
+      end,
+      direction,
+      length: start.distanceTo(end),
+      faces: first.triangles.map(t => ({ normal: normals[t].clone(), centroid: centroids[t].clone() })),
+      triangles
+    });
+  });
+
+  if (source !== geometry) source.dispose();
+  return edges;
+}
+
+// Distance from a point to the segment start-end
+export function distanceToEdge(point, edge) {
+  const offset = new THREE.Vector3().subVectors(point, edge.start);
+  const t = THREE.MathUtils.clamp(offset.dot(edge.direction), 0, edge.length);
+  return edge.start.clone().addScaledVector(edge.direction, t).distanceTo(point);
+}
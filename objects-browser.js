@@ -1,5 +1,15 @@
 // Objects Browser - UI panel for viewing and selecting objects
 import * as THREE from 'three';
+import { insertChild } from './command-history.js';
+import { isBodyMesh, getExportMeshes, exportSTL } from './stl-export.js';
+import { canExportSTEP, exportSTEP } from './step-export.js';
+import { exportGLTF } from './gltf-export.js';
+import { Sketch } from './sketch.js';
+import { Plane } from './plane.js';
+import { coordinateSystem } from './coordinate-system.js';
+import { MATE_TYPES, facePlane, faceAxis } from './mate.js';
+import { parseSketchFile, addToSketch } from './sketch-import.js';
+import { sketchToPrimitives, sectionToPrimitives, exportDrawing } from './sketch-export.js';
 
 export class ObjectsBrowser {
   constructor(kiviInstance) {
@@ -41,8 +51,25 @@ export class ObjectsBrowser {
       border-bottom: 1px solid #ccc;
       font-weight: bold;
       color: #333;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+    `;
+
+    const title = document.createElement('span');
+    title.textContent = 'Objects';
+    header.appendChild(title);
+
+    // Project file buttons
+    const fileButtons = document.createElement('div');
+    fileButtons.style.cssText = `
+      display: flex;
+      gap: 8px;
     `;
-    header.textContent = 'Objects';
+    fileButtons.appendChild(this.createHeaderButton('save', 'Save project (Ctrl+S)', () => this.kivi.saveProject()));
+    fileButtons.appendChild(this.createHeaderButton('folder-open', 'Open project (Ctrl+O)', () => this.kivi.openProject()));
+    header.appendChild(fileButtons);
+
     this.panel.appendChild(header);
 
     // Create objects list container
@@ -64,6 +91,28 @@ export class ObjectsBrowser {
     this.render();
   }
 
+  // Small icon button for the panel header
+  createHeaderButton(icon, title, action) {
+    const button = document.createElement('span');
+    button.title = title;
+    button.style.cssText = `
+      display: inline-flex;
+      cursor: pointer;
+      color: #666;
+    `;
+
+    const iconElement = document.createElement('i');
+    iconElement.setAttribute('data-lucide', icon);
+    iconElement.style.cssText = `
+      width: 14px;
+      height: 14px;
+    `;
+    button.appendChild(iconElement);
+
+    button.addEventListener('click', action);
+    return button;
+  }
+
   setupEventListeners() {
     // Listen for object changes
     // We'll manually call render() when objects change
@@ -214,12 +263,8 @@ export class ObjectsBrowser {
     eyeIconContainer.addEventListener('click', (e) => {
       e.stopPropagation();
 
-      // Toggle the folder's own visibility
-      folderData.object.visible = !folderData.object.visible;
-
-      // Re-render to update the icon state
-      this.render();
-      this.kivi.render();
+      // Toggle the folder's own visibility (re-renders to update the icon state)
+      this.toggleVisibility(folderData.object);
     });
 
     // Folder name
@@ -268,6 +313,14 @@ export class ObjectsBrowser {
         }
         const childItem = this.createObjectItem(childObject, depth + 1, name);
         childrenContainer.appendChild(childItem);
+
+        // Bodies list their features in history order
+        const history = childObject.userData?.kivi?.history;
+        if (history) {
+          history.features.forEach(feature => {
+            childrenContainer.appendChild(this.createFeatureItem(childObject, feature, depth + 2));
+          });
+        }
       });
       folderContainer.appendChild(childrenContainer);
     }
@@ -328,23 +381,7 @@ export class ObjectsBrowser {
     // Toggle visibility on eye click
     eyeIconContainer.addEventListener('click', (e) => {
       e.stopPropagation(); // Don't trigger item selection
-      object.visible = !object.visible;
-
-      // Replace icon with appropriate one (eye or eye-off)
-      const newIcon = document.createElement('i');
-      newIcon.setAttribute('data-lucide', object.visible ? 'eye' : 'eye-off');
-      newIcon.style.cssText = `
-        width: 16px;
-        height: 16px;
-        color: ${object.visible ? '#666' : '#ccc'};
-      `;
-      newIcon.title = object.visible ? 'Hide object' : 'Show object';
-
-      eyeIconContainer.innerHTML = '';
-      eyeIconContainer.appendChild(newIcon);
-      lucide.createIcons();
-
-      this.kivi.render(); // Re-render
+      this.toggleVisibility(object); // Re-renders the list with the new icon
     });
 
     item.appendChild(eyeIconContainer);
@@ -362,6 +399,14 @@ export class ObjectsBrowser {
     // Click to select (on content, not eye icon)
     contentContainer.addEventListener('click', () => {
       this.selectObject(object.name);
+
+      // A selected body gets the move/rotate gizmo
+      const transformGizmo = this.kivi.system.transformGizmo;
+      if (isBodyMesh(object) && !this.kivi.system.sketchEditor?.isEditing) {
+        transformGizmo?.attach(object);
+      } else {
+        transformGizmo?.detach();
+      }
     });
 
     // Right-click for context menu
@@ -390,7 +435,8 @@ export class ObjectsBrowser {
       font-size: 10px;
       color: #999;
     `;
-    typeSpan.textContent = `(${object.type || 'Object3D'})`;
+    const mate = object.userData?.kivi?.type === 'mate' ? object.userData.kivi.mate : null;
+    typeSpan.textContent = mate ? `(${mate.describe()})` : `(${object.type || 'Object3D'})`;
     contentContainer.appendChild(typeSpan);
 
     item.appendChild(contentContainer);
@@ -398,6 +444,130 @@ export class ObjectsBrowser {
     return item;
   }
 
+  createFeatureItem(body, feature, depth) {
+    const history = body.userData.kivi.history;
+
+    const item = document.createElement('div');
+    item.className = 'feature-item';
+    item.style.cssText = `
+      padding: 4px 12px;
+      padding-left: ${12 + depth * 32}px;
+      border-bottom: 1px solid #ddd;
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      transition: background 0.2s;
+      white-space: nowrap;
+      cursor: default;
+    `;
+
+    // Hover effect
+    item.addEventListener('mouseenter', () => {
+      item.style.background = '#d0d0d0';
+    });
+    item.addEventListener('mouseleave', () => {
+      item.style.background = 'transparent';
+    });
+
+    // Double-click or right-click to edit
+    item.addEventListener('dblclick', () => {
+      this.editFeature(body, feature);
+    });
+    item.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.showFeatureContextMenu(e.clientX, e.clientY, body, feature);
+    });
+
+    // Feature name
+    const nameSpan = document.createElement('span');
+    nameSpan.style.cssText = `
+      color: #333;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      flex-shrink: 1;
+    `;
+    nameSpan.textContent = `⚙ ${history.getFeatureName(feature)}`;
+    item.appendChild(nameSpan);
+
+    // Source sketch and parameters (smaller, muted)
+    const details = [];
+    if (feature.sketch) {
+      const sketchObject = this.findSketchObject(feature.sketch);
+      details.push(sketchObject ? sketchObject.name : 'missing sketch');
+    }
+    if (feature.source) {
+      const source = history.getFeature(feature.source);
+      details.push(source ? history.getFeatureName(source) : 'missing feature');
+    }
+    if (feature.describe) {
+      details.push(feature.describe());
+    }
+
+    const detailSpan = document.createElement('span');
+    detailSpan.style.cssText = `
+      font-size: 10px;
+      color: #999;
+    `;
+    detailSpan.textContent = `(${details.join(', ')})`;
+    item.appendChild(detailSpan);
+
+    return item;
+  }
+
+  // Find the sketch container holding this Sketch data
+  findSketchObject(sketchData) {
+    return this.kivi.objects.sketches.children.find(
+      child => child.userData?.kivi?.sketchData === sketchData
+    ) || null;
+  }
+
+  showFeatureContextMenu(x, y, body, feature) {
+    const menuItems = [];
+    const isEditing = this.kivi.system.sketchEditor?.isEditing;
+
+    menuItems.push({
+      label: 'Edit Feature',
+      disabled: isEditing,
+      action: () => {
+        this.editFeature(body, feature);
+        this.hideContextMenu();
+      }
+    });
+
+    const sketchObject = feature.sketch ? this.findSketchObject(feature.sketch) : null;
+    menuItems.push({
+      label: 'Edit Sketch',
+      disabled: isEditing || !sketchObject,
+      action: () => {
+        this.kivi.system.sketchEditor.openSketchEditor(sketchObject);
+        this.hideContextMenu();
+      }
+    });
+
+    this.renderContextMenu(x, y, menuItems);
+  }
+
+  // Reopen the dialog that created the feature
+  editFeature(body, feature) {
+    if (this.kivi.system.sketchEditor?.isEditing) return;
+
+    if (feature.type === 'extrude') {
+      this.showExtrudeDialog(this.findSketchObject(feature.sketch), { body, feature });
+    } else if (feature.type === 'revolve') {
+      this.showRevolveDialog(this.findSketchObject(feature.sketch), { body, feature });
+    } else if (feature.type === 'cut') {
+      this.showCutDialog(this.findSketchObject(feature.sketch), { body, feature });
+    } else if (feature.type === 'blend') {
+      this.showBlendDialog(body, null, { body, feature });
+    } else if (['mirror', 'linearPattern', 'circularPattern'].includes(feature.type)) {
+      this.showPatternDialog(body, feature.type, { body, feature });
+    } else {
+      console.warn('No editor for feature type:', feature.type);
+    }
+  }
+
   selectObject(name) {
     // Deselect previous
     if (this.selectedObject) {
@@ -418,9 +588,22 @@ export class ObjectsBrowser {
     console.log('Selected object:', name, this.kivi.objects[name]);
   }
 
+  // Show or hide an object or folder (undoable)
+  toggleVisibility(object) {
+    const visible = !object.visible;
+    this.kivi.system.commands.execute({
+      label: `${visible ? 'Show' : 'Hide'} ${object.name}`,
+      do: () => { object.visible = visible; },
+      undo: () => { object.visible = !visible; }
+    });
+  }
+
   // Update the list when objects change
   update() {
     this.render();
+
+    // Every change to the document refreshes the browser, so autosave listens here
+    this.kivi.system.autosave?.scheduleSnapshot();
   }
 
   // Show/hide panel
@@ -464,17 +647,20 @@ export class ObjectsBrowser {
     // Clear existing menu items
     this.contextMenu.innerHTML = '';
 
-    // Check if this is a system folder or system item
-    const isSystemItem = object.name === 'system' || parentFolder === 'system';
+    // Check if this is a system folder or system item (origin planes count as system items)
+    const isSystemItem = object.name === 'system' || parentFolder === 'system' || !!object.userData?.kivi?.origin;
 
-    // Check if this is a protected folder (system, bodies, sketches)
-    const isProtectedFolder = isFolder && (object.name === 'system' || object.name === 'bodies' || object.name === 'sketches');
+    // Check if this is a protected folder (system, bodies, sketches, planes, assembly)
+    const isProtectedFolder = isFolder && ['system', 'bodies', 'sketches', 'planes', 'assembly'].includes(object.name);
+
+    const isPlane = !isFolder && object.userData?.kivi?.type === 'plane';
+    const isMate = !isFolder && object.userData?.kivi?.type === 'mate';
 
     // Create menu items
     const menuItems = [];
 
-    // Copy (for non-folder items)
-    if (object.type !== 'Group') {
+    // Copy (for non-folder items; planes are made with the plane commands instead)
+    if (object.type !== 'Group' && !isPlane && !isMate) {
       menuItems.push({
         label: 'Copy',
         action: () => {
@@ -500,6 +686,13 @@ export class ObjectsBrowser {
           // Keep the same position (don't offset)
           clone.position.copy(this.clipboard.object.position);
 
+          // clone() copies userData through JSON, which drops the feature history
+          const history = this.clipboard.object.userData?.kivi?.history;
+          if (history) {
+            clone.userData.kivi.history = history.clone();
+            clone.geometry = clone.geometry.clone();
+          }
+
           // Generate new name based on original copied object's name
           const originalName = this.clipboard.originalName || 'object';
           clone.name = this.generateUniqueName(originalName, targetFolder);
@@ -507,11 +700,13 @@ export class ObjectsBrowser {
           // Add to target folder
           const parent = this.kivi.objects[targetFolder];
           if (parent && parent.children) {
-            parent.children.push(clone);
+            this.kivi.system.commands.execute({
+              label: `Paste ${clone.name}`,
+              do: () => parent.add(clone),
+              undo: () => parent.remove(clone)
+            });
           }
 
-          this.update();
-          this.kivi.render();
           this.hideContextMenu();
         }
       });
@@ -522,21 +717,28 @@ export class ObjectsBrowser {
       menuItems.push({
         label: 'Delete',
         action: () => {
+          // Drop cached edges and selection highlights of a deleted body
+          this.kivi.system.faceSelector?.invalidateMesh(object);
+
           // If this is a child of a folder, remove from parent's children
           if (parentFolder) {
             const parent = this.kivi.objects[parentFolder];
-            if (parent && parent.children) {
-              const childIndex = parent.children.indexOf(object);
-              if (childIndex !== -1) {
-                parent.children.splice(childIndex, 1);
-              }
+            const childIndex = parent?.children ? parent.children.indexOf(object) : -1;
+            if (childIndex !== -1) {
+              this.kivi.system.commands.execute({
+                label: `Delete ${object.name}`,
+                do: () => parent.remove(object),
+                undo: () => insertChild(parent, object, childIndex)
+              });
             }
           } else {
             // Top-level object, remove from KIVI registry
-            this.kivi.removeObject(objectName);
+            this.kivi.system.commands.execute({
+              label: `Delete ${objectName}`,
+              do: () => this.kivi.removeObject(objectName),
+              undo: () => this.kivi.addObject(objectName, object)
+            });
           }
-          this.update();
-          this.kivi.render();
           this.hideContextMenu();
         }
       });
@@ -546,9 +748,7 @@ export class ObjectsBrowser {
     menuItems.push({
       label: object.visible ? 'Hide' : 'Show',
       action: () => {
-        object.visible = !object.visible;
-        this.kivi.render();
-        this.update();
+        this.toggleVisibility(object);
         this.hideContextMenu();
       }
     });
@@ -561,13 +761,13 @@ export class ObjectsBrowser {
           const newName = prompt('Enter new name:', object.name);
           if (newName && newName !== object.name) {
             // Generate unique name if there's a conflict
-            if (parentFolder) {
-              object.name = this.generateUniqueNameForRename(newName, object, parentFolder);
-            } else {
-              object.name = newName;
-            }
-            this.update();
-            this.kivi.render();
+            const oldName = object.name;
+            const name = parentFolder ? this.generateUniqueNameForRename(newName, object, parentFolder) : newName;
+            this.kivi.system.commands.execute({
+              label: `Rename ${oldName} to ${name}`,
+              do: () => { object.name = name; },
+              undo: () => { object.name = oldName; }
+            });
           }
           this.hideContextMenu();
         }
@@ -588,6 +788,97 @@ export class ObjectsBrowser {
           this.hideContextMenu();
         }
       });
+
+      menuItems.push({
+        label: 'Import SVG / DXF...',
+        disabled: isEditing,
+        action: () => {
+          this.showImportSketchDialog();
+          this.hideContextMenu();
+        }
+      });
+    }
+
+    // Datum plane commands for the planes folder, using the body vertices and edges selected in the view
+    if (isFolder && object.name === 'planes') {
+      const faceSelector = this.kivi.system.faceSelector;
+      const vertices = faceSelector?.getSelectedVertices() || [];
+      const edges = faceSelector?.getSelectedEdges() || [];
+
+      menuItems.push({
+        label: 'Offset Plane...',
+        action: () => {
+          this.showOffsetPlaneDialog();
+          this.hideContextMenu();
+        }
+      });
+
+      menuItems.push({
+        label: 'Plane Through 3 Points',
+        disabled: vertices.length !== 3,
+        action: () => {
+          const [a, b, c] = vertices.map(vertex => vertex.point);
+          this.kivi.system.datumPlanes.addThreePointPlane(a, b, c);
+          this.hideContextMenu();
+        }
+      });
+
+      menuItems.push({
+        label: 'Angled Plane...',
+        disabled: edges.length !== 1,
+        action: () => {
+          const { mesh, edge } = edges[0];
+          mesh.updateMatrixWorld();
+          this.showAngledPlaneDialog({
+            start: edge.start.clone().applyMatrix4(mesh.matrixWorld),
+            end: edge.end.clone().applyMatrix4(mesh.matrixWorld)
+          });
+          this.hideContextMenu();
+        }
+      });
+    }
+
+    // Solve the assembly again after bodies were moved by hand
+    if (isFolder && object.name === 'assembly') {
+      menuItems.push({
+        label: 'Solve Assembly',
+        action: () => {
+          this.kivi.system.assembly.solveCommand();
+          this.hideContextMenu();
+        }
+      });
+    }
+
+    // Change a mate's distance, angle or flip
+    if (isMate) {
+      menuItems.push({
+        label: 'Edit Mate...',
+        action: () => {
+          this.showMateDialog(null, null, object);
+          this.hideContextMenu();
+        }
+      });
+    }
+
+    // Sketch on a plane, or offset a new plane from it
+    if (isPlane) {
+      const isEditing = this.kivi.system.sketchEditor?.isEditing;
+      menuItems.push({
+        label: 'Sketch on Plane',
+        disabled: isEditing,
+        action: () => {
+          this.kivi.system.sketchEditor.createSketch(null, object.name);
+          this.hideContextMenu();
+        }
+      });
+
+      menuItems.push({
+        label: 'Offset Plane...',
+        action: () => {
+          this.showOffsetPlaneDialog(object.name);
+          this.hideContextMenu();
+        }
+      });
     }
 
     // Add "Edit Sketch" and "Extrude" for sketch objects
@@ -619,8 +910,110 @@ export class ObjectsBrowser {
           this.hideContextMenu();
         }
       });
+
+      menuItems.push({
+        label: 'Revolve...',
+        disabled: !hasClosedLoops,
+        action: () => {
+          this.showRevolveDialog(object);
+          this.hideContextMenu();
+        }
+      });
+
+      const hasBodies = this.kivi.objects.bodies.children.some(body => body.userData?.kivi?.history);
+      menuItems.push({
+        label: 'Cut...',
+        disabled: !hasClosedLoops || !hasBodies,
+        action: () => {
+          this.showCutDialog(object);
+          this.hideContextMenu();
+        }
+      });
+
+      menuItems.push({
+        label: 'Parameters...',
+        action: () => {
+          this.showParametersDialog(object);
+          this.hideContextMenu();
+        }
+      });
+
+      menuItems.push({
+        label: 'Export DXF / SVG...',
+        action: () => {
+          this.showExportDrawingDialog(object);
+          this.hideContextMenu();
+        }
+      });
+    }
+
+    // Position a body with the gizmo and transform panel
+    if (!isFolder && isBodyMesh(object)) {
+      menuItems.push({
+        label: 'Move / Rotate...',
+        disabled: this.kivi.system.sketchEditor?.isEditing,
+        action: () => {
+          this.kivi.system.transformGizmo.attach(object);
+          this.hideContextMenu();
+        }
+      });
+    }
+
+    // Mirror and pattern features need a body with feature history
+    if (!isFolder && object.userData?.kivi?.history) {
+      const isEditing = this.kivi.system.sketchEditor?.isEditing;
+      [['mirror', 'Mirror...'], ['linearPattern', 'Linear Pattern...'], ['circularPattern', 'Circular Pattern...']]
+        .forEach(([type, label]) => {
+          menuItems.push({
+            label,
+            disabled: isEditing,
+            action: () => {
+              this.showPatternDialog(object, type);
+              this.hideContextMenu();
+            }
+          });
+        });
+    }
+
+    // Export bodies, or the bodies inside a folder
+    const isBody = !isFolder && isBodyMesh(object);
+    const isBodyFolder = isFolder && !isSystemItem && getExportMeshes(object).length > 0;
+    if (isBody || isBodyFolder) {
+      menuItems.push({
+        label: 'Export STL...',
+        action: () => {
+          this.showExportSTLDialog(object);
+          this.hideContextMenu();
+        }
+      });
+
+      // STEP needs exact geometry, which only Extrude bodies have so far
+      const stepMeshes = getExportMeshes(object).filter(mesh => canExportSTEP(mesh));
+      menuItems.push({
+        label: 'Export STEP',
+        disabled: stepMeshes.length === 0,
+        action: () => {
+          exportSTEP(stepMeshes, `${object.name}.step`);
+          this.hideContextMenu();
+        }
+      });
+
+      menuItems.push({
+        label: 'Export GLB...',
+        action: () => {
+          this.showExportGLTFDialog(object);
+          this.hideContextMenu();
+        }
+      });
     }
 
+    this.renderContextMenu(x, y, menuItems);
+  }
+
+  // Fill the context menu with {label, disabled, action} items and show it
+  renderContextMenu(x, y, menuItems) {
+    this.contextMenu.innerHTML = '';
+
     menuItems.forEach(item => {
       const menuItem = document.createElement('div');
       menuItem.textContent = item.label;
@@ -707,7 +1100,47 @@ export class ObjectsBrowser {
     return newName;
   }
 
-  showExtrudeDialog(sketch) {
+  // Checkbox list for picking sketch regions (hidden when there is only one region)
+  // checkedRegions: region keys to check, null for all
+  createRegionOptions(regions, checkedRegions = null) {
+    const options = regions.map((region, index) => {
+      const checked = !checkedRegions || checkedRegions.includes(region.key);
+      const holes = region.holes.length;
+      const holeText = holes > 0 ? ` (${holes} hole${holes === 1 ? '' : 's'})` : '';
+      return `
+        <label style="display: block; font-size: 13px; margin-bottom: 2px;">
+          <input type="checkbox" class="sketch-region" value="${region.key}" ${checked ? 'checked' : ''}>
+          Region ${index + 1}${holeText}
+        </label>`;
+    }).join('');
+
+    return `
+      <div style="margin-bottom: 16px; display: ${regions.length > 1 ? 'block' : 'none'};">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Regions:</label>
+        ${options}
+      </div>`;
+  }
+
+  // Region keys checked in a dialog built with createRegionOptions
+  // Returns null when all are checked ("every region", including ones added to the sketch later)
+  // and undefined when none are
+  getCheckedRegions(dialog, regions) {
+    const checkedKeys = [...dialog.querySelectorAll('.sketch-region:checked')].map(input => input.value);
+    if (checkedKeys.length === 0) return undefined;
+    return checkedKeys.length === regions.length ? null : checkedKeys;
+  }
+
+  // Pass { body, feature } to edit an existing extrude feature instead of creating a body
+  // selectedRegions: region keys to pre-check (e.g. the face that was right-clicked), null for all
+  showExtrudeDialog(sketch, edit = null, selectedRegions = null) {
+    const distance = edit ? edit.feature.distance : 5;
+    const direction = edit ? edit.feature.direction : 1;
+
+    // Regions (outer loops with their holes) to choose from
+    const sketchData = edit ? edit.feature.sketch : sketch.userData.kivi.sketchData;
+    const regions = sketchData.detectRegions();
+    const checkedRegions = edit ? edit.feature.regions : selectedRegions;
+
     // Create modal dialog for extrude parameters
     const dialog = document.createElement('div');
     dialog.style.cssText = `
@@ -724,19 +1157,20 @@ export class ObjectsBrowser {
     `;
 
     dialog.innerHTML = `
-      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Extrude Sketch</h3>
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">${edit ? 'Edit Extrude' : 'Extrude Sketch'}</h3>
       <div style="margin-bottom: 16px;">
         <label style="display: block; margin-bottom: 4px; font-size: 13px;">Distance:</label>
-        <input type="number" id="extrude-distance" value="5" step="0.5" min="0.1"
+        <input type="number" id="extrude-distance" value="${distance}" step="0.5" min="0.1"
           style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
       </div>
       <div style="margin-bottom: 16px;">
         <label style="display: block; margin-bottom: 4px; font-size: 13px;">Direction:</label>
         <select id="extrude-direction" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
-          <option value="1">Normal (forward)</option>
-          <option value="-1">Reverse (backward)</option>
+          <option value="1" ${direction > 0 ? 'selected' : ''}>Normal (forward)</option>
+          <option value="-1" ${direction < 0 ? 'selected' : ''}>Reverse (backward)</option>
         </select>
       </div>
+      ${this.createRegionOptions(regions, checkedRegions)}
       <div style="display: flex; gap: 8px;">
         <button id="extrude-ok" class="btn btn-primary" style="flex: 1;">OK</button>
         <button id="extrude-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
@@ -763,8 +1197,24 @@ export class ObjectsBrowser {
       const distance = parseFloat(dialog.querySelector('#extrude-distance').value);
       const direction = parseInt(dialog.querySelector('#extrude-direction').value);
 
-      // Perform extrude
-      this.kivi.system.sketchEditor.extrudeSketch(sketch, distance, direction);
+      if (!(distance > 0)) {
+        console.warn('Extrude distance must be positive');
+        return;
+      }
+
+      const regionKeys = this.getCheckedRegions(dialog, regions);
+      if (regionKeys === undefined) {
+        console.warn('Select at least one region to extrude');
+        return;
+      }
+
+      if (edit) {
+        // Update the feature and replay the body's history
+        this.kivi.system.sketchEditor.editFeature(edit.body, edit.feature, { distance, direction, regions: regionKeys });
+      } else {
+        // Perform extrude
+        this.kivi.system.sketchEditor.extrudeSketch(sketch, distance, direction, regionKeys);
+      }
 
       // Close dialog
       document.body.removeChild(dialog);
@@ -784,8 +1234,35 @@ export class ObjectsBrowser {
     });
   }
 
-  showExtrudeBodyFaceDialog(bodyMesh, faceIndex) {
-    // Create modal dialog for body face extrude parameters
+  // Pass { body, feature } to edit an existing revolve feature instead of creating a body
+  showRevolveDialog(sketch, edit = null) {
+    const sketchData = edit ? edit.feature.sketch : sketch.userData.kivi.sketchData;
+    const regions = sketchData.detectRegions();
+
+    // Axis choices: the sketch plane axes and every sketch line
+    const lines = sketchData.edges.filter(edge => edge.type === 'line');
+    const loopEdges = new Set(sketchData.detectClosedLoops().flat());
+    const axisValue = axis => axis.type === 'edge' ? `edge:${axis.edge}` : axis.type;
+
+    // Default to a line outside the profile (a drawn axis), otherwise the V axis
+    const freeLine = lines.find(edge => !loopEdges.has(edge.id));
+    const axis = edit ? edit.feature.axis : (freeLine ? { type: 'edge', edge: freeLine.id } : { type: 'v' });
+    const angle = edit ? edit.feature.angle : 360;
+    const symmetric = edit ? edit.feature.symmetric : false;
+
+    const axisOptions = [
+      { value: 'u', label: 'Sketch U axis' },
+      { value: 'v', label: 'Sketch V axis' },
+      ...lines.map(edge => {
+        const a = sketchData.getVertex(edge.v1);
+        const b = sketchData.getVertex(edge.v2);
+        const length = Math.hypot(b.u - a.u, b.v - a.v);
+        const role = loopEdges.has(edge.id) ? 'profile edge' : 'axis line';
+        return { value: `edge:${edge.id}`, label: `Line ${edge.id} (${role}, length ${parseFloat(length.toFixed(2))})` };
+      })
+    ].map(option => `<option value="${option.value}" ${option.value === axisValue(axis) ? 'selected' : ''}>${option.label}</option>`)
+      .join('');
+
     const dialog = document.createElement('div');
     dialog.style.cssText = `
       position: fixed;
@@ -801,22 +1278,28 @@ export class ObjectsBrowser {
     `;
 
     dialog.innerHTML = `
-      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Extrude Body Face</h3>
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">${edit ? 'Edit Revolve' : 'Revolve Sketch'}</h3>
       <div style="margin-bottom: 16px;">
-        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Distance:</label>
-        <input type="number" id="extrude-distance" value="5" step="0.5" min="0.1"
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Axis:</label>
+        <select id="revolve-axis" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${axisOptions}
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Angle (degrees):</label>
+        <input type="number" id="revolve-angle" value="${angle}" step="15" min="-360" max="360"
           style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
       </div>
       <div style="margin-bottom: 16px;">
-        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Direction:</label>
-        <select id="extrude-direction" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
-          <option value="1">Normal (outward)</option>
-          <option value="-1">Reverse (inward)</option>
-        </select>
+        <label style="font-size: 13px;">
+          <input type="checkbox" id="revolve-symmetric" ${symmetric ? 'checked' : ''}>
+          Symmetric (half the angle to each side)
+        </label>
       </div>
+      ${this.createRegionOptions(regions, edit ? edit.feature.regions : null)}
       <div style="display: flex; gap: 8px;">
-        <button id="extrude-ok" class="btn btn-primary" style="flex: 1;">OK</button>
-        <button id="extrude-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+        <button id="revolve-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="revolve-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
       </div>
     `;
 
@@ -835,18 +1318,1276 @@ export class ObjectsBrowser {
     document.body.appendChild(backdrop);
     document.body.appendChild(dialog);
 
-    // Handle OK button
-    dialog.querySelector('#extrude-ok').addEventListener('click', () => {
-      const distance = parseFloat(dialog.querySelector('#extrude-distance').value);
-      const direction = parseInt(dialog.querySelector('#extrude-direction').value);
-
-      // Perform body face extrude
-      this.kivi.system.sketchEditor.extrudeBodyFace(bodyMesh, faceIndex, distance, direction);
-
-      // Close dialog
+    const close = () => {
       document.body.removeChild(dialog);
       document.body.removeChild(backdrop);
-    });
+    };
+
+    // Handle OK button
+    dialog.querySelector('#revolve-ok').addEventListener('click', () => {
+      const axisChoice = dialog.querySelector('#revolve-axis').value;
+      const options = {
+        axis: axisChoice.startsWith('edge:')
+          ? { type: 'edge', edge: parseInt(axisChoice.slice(5)) }
+          : { type: axisChoice },
+        angle: parseFloat(dialog.querySelector('#revolve-angle').value),
+        symmetric: dialog.querySelector('#revolve-symmetric').checked,
+        regions: this.getCheckedRegions(dialog, regions)
+      };
+
+      if (!options.angle || Math.abs(options.angle) > 360) {
+        console.warn('Revolve angle must be between -360 and 360 degrees (and not 0)');
+        return;
+      }
+      if (options.regions === undefined) {
+        console.warn('Select at least one region to revolve');
+        return;
+      }
+
+      if (edit) {
+        // Update the feature and replay the body's history
+        this.kivi.system.sketchEditor.editFeature(edit.body, edit.feature, options);
+      } else {
+        this.kivi.system.sketchEditor.revolveSketch(sketch, options);
+      }
+
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#revolve-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // Pass { body, feature } to edit an existing cut feature
+  showCutDialog(sketch, edit = null) {
+    const sketchData = edit ? edit.feature.sketch : sketch.userData.kivi.sketchData;
+    const regions = sketchData.detectRegions();
+    const mode = edit ? edit.feature.mode : 'throughAll';
+    const distance = edit ? edit.feature.distance : 5;
+    const direction = edit ? edit.feature.direction : -1;
+
+    // Bodies with a feature history can take a cut
+    const bodies = this.kivi.objects.bodies.children.filter(body => body.userData?.kivi?.history);
+    if (!edit && bodies.length === 0) {
+      console.warn('No bodies to cut');
+      return;
+    }
+    const bodyOptions = (edit ? [edit.body] : bodies)
+      .map(body => `<option value="${body.uuid}">${body.name}</option>`)
+      .join('');
+
+    // Up to face uses the body face selected in the viewport (or keeps the feature's face)
+    const facePlane = this.kivi.system.faceSelector?.getSelectedFacePlane() || null;
+    const hasFace = facePlane !== null || (edit && edit.feature.face !== null);
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">${edit ? 'Edit Cut' : 'Cut'}</h3>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Body:</label>
+        <select id="cut-body" ${edit ? 'disabled' : ''} style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${bodyOptions}
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Extent:</label>
+        <select id="cut-mode" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="throughAll" ${mode === 'throughAll' ? 'selected' : ''}>Through all</option>
+          <option value="blind" ${mode === 'blind' ? 'selected' : ''}>Blind (depth)</option>
+          <option value="upToFace" ${mode === 'upToFace' ? 'selected' : ''} ${hasFace ? '' : 'disabled'}>Up to selected face</option>
+        </select>
+      </div>
+      <div id="cut-distance-row" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Depth:</label>
+        <input type="number" id="cut-distance" value="${distance}" step="0.5" min="0.1"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+      </div>
+      <div id="cut-direction-row" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Direction:</label>
+        <select id="cut-direction" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="-1" ${direction < 0 ? 'selected' : ''}>Into the body (against normal)</option>
+          <option value="1" ${direction > 0 ? 'selected' : ''}>Along normal</option>
+        </select>
+      </div>
+      ${this.createRegionOptions(regions, edit ? edit.feature.regions : null)}
+      <div style="display: flex; gap: 8px;">
+        <button id="cut-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="cut-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // Depth only applies to blind cuts, direction is implied by the face for up-to-face
+    const modeSelect = dialog.querySelector('#cut-mode');
+    const updateRows = () => {
+      dialog.querySelector('#cut-distance-row').style.display = modeSelect.value === 'blind' ? 'block' : 'none';
+      dialog.querySelector('#cut-direction-row').style.display = modeSelect.value === 'upToFace' ? 'none' : 'block';
+    };
+    modeSelect.addEventListener('change', updateRows);
+    updateRows();
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle OK button
+    dialog.querySelector('#cut-ok').addEventListener('click', () => {
+      const options = {
+        mode: modeSelect.value,
+        distance: parseFloat(dialog.querySelector('#cut-distance').value),
+        direction: parseInt(dialog.querySelector('#cut-direction').value),
+        regions: this.getCheckedRegions(dialog, regions)
+      };
+
+      if (options.mode === 'blind' && !(options.distance > 0)) {
+        console.warn('Cut depth must be positive');
+        return;
+      }
+      if (options.regions === undefined) {
+        console.warn('Select at least one region to cut');
+        return;
+      }
+
+      const sketchEditor = this.kivi.system.sketchEditor;
+      if (edit) {
+        // A newly selected face replaces the stored one
+        if (options.mode === 'upToFace' && facePlane) {
+          options.face = sketchEditor.toBodyFacePlane(edit.body, facePlane);
+        }
+        sketchEditor.editFeature(edit.body, edit.feature, options);
+      } else {
+        const uuid = dialog.querySelector('#cut-body').value;
+        const body = bodies.find(b => b.uuid === uuid);
+        if (options.mode === 'upToFace') {
+          options.face = facePlane;
+        }
+        sketchEditor.cutSketch(sketch, body, options);
+      }
+
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#cut-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // Fillet or chamfer body edges
+  // edges: crease edges from findCreaseEdges (mesh-edges.js); pass { body, feature } to edit an existing blend
+  showBlendDialog(body, edges, edit = null) {
+    const feature = edit ? edit.feature : null;
+    const edgeCount = edit ? feature.edges.length : edges.length;
+    if (edgeCount === 0) {
+      console.warn('No edges to blend');
+      return;
+    }
+
+    const mode = feature ? feature.mode : 'fillet';
+    const radius = feature ? feature.radius : 1;
+    const distance = feature ? feature.distance : 1;
+    const angle = feature ? feature.angle : 45;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">${edit ? `Edit ${feature.label}` : 'Fillet / Chamfer Edges'}</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        ${edgeCount} edge${edgeCount === 1 ? '' : 's'} of ${body.name}
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Type:</label>
+        <select id="blend-mode" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="fillet" ${mode === 'fillet' ? 'selected' : ''}>Fillet (constant radius)</option>
+          <option value="chamfer" ${mode === 'chamfer' ? 'selected' : ''}>Chamfer (distance and angle)</option>
+        </select>
+      </div>
+      <div id="blend-fillet-options" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Radius:</label>
+        <input type="number" id="blend-radius" value="${radius}" step="0.1" min="0.01"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+      </div>
+      <div id="blend-chamfer-options" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Distance:</label>
+        <input type="number" id="blend-distance" value="${distance}" step="0.1" min="0.01"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; margin-bottom: 8px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Angle (degrees):</label>
+        <input type="number" id="blend-angle" value="${angle}" step="5" min="1" max="89"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="blend-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="blend-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // Only show the inputs of the chosen type
+    const modeSelect = dialog.querySelector('#blend-mode');
+    const updateMode = () => {
+      const isChamfer = modeSelect.value === 'chamfer';
+      dialog.querySelector('#blend-fillet-options').style.display = isChamfer ? 'none' : 'block';
+      dialog.querySelector('#blend-chamfer-options').style.display = isChamfer ? 'block' : 'none';
+    };
+    modeSelect.addEventListener('change', updateMode);
+    updateMode();
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle OK button
+    dialog.querySelector('#blend-ok').addEventListener('click', () => {
+      const options = {
+        mode: modeSelect.value,
+        radius: parseFloat(dialog.querySelector('#blend-radius').value),
+        distance: parseFloat(dialog.querySelector('#blend-distance').value),
+        angle: parseFloat(dialog.querySelector('#blend-angle').value)
+      };
+
+      if (options.mode === 'fillet' && !(options.radius > 0)) {
+        console.warn('Fillet radius must be positive');
+        return;
+      }
+      if (options.mode === 'chamfer' && (!(options.distance > 0) || !(options.angle > 0 && options.angle < 90))) {
+        console.warn('Chamfer distance must be positive and the angle between 0 and 90 degrees');
+        return;
+      }
+
+      if (edit) {
+        // Update the feature and replay the body's history
+        this.kivi.system.sketchEditor.editFeature(edit.body, edit.feature, options);
+      } else {
+        this.kivi.system.sketchEditor.blendEdges(body, edges, options);
+      }
+
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#blend-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // Mirror, linear pattern or circular pattern of a body or one of its features
+  // type: 'mirror', 'linearPattern' or 'circularPattern' (see pattern.js)
+  // Pass { body, feature } to edit an existing pattern feature
+  showPatternDialog(body, type, edit = null) {
+    const feature = edit ? edit.feature : null;
+    const history = body.userData.kivi.history;
+    const isMirror = type === 'mirror';
+    const isCircular = type === 'circularPattern';
+    const titles = { mirror: 'Mirror', linearPattern: 'Linear Pattern', circularPattern: 'Circular Pattern' };
+
+    // Features whose copies can be merged on their own, before the edited feature
+    const end = feature ? history.features.indexOf(feature) : history.features.length;
+    const sourceOptions = history.features.slice(0, end)
+      .filter(f => ['extrude', 'revolve', 'cut'].includes(f.type))
+      .map(f => `<option value="${f.id}" ${feature?.source === f.id ? 'selected' : ''}>${history.getFeatureName(f)}</option>`)
+      .join('');
+
+    // Reference geometry picked in the viewport: a face for the mirror plane, an edge for the axis
+    const faceSelector = this.kivi.system.faceSelector;
+    const facePlane = faceSelector?.selectedFace === body ? faceSelector.getSelectedFacePlane() : null;
+    const selectedEdge = (faceSelector?.getSelectedEdges() || []).find(selected => selected.mesh === body)?.edge || null;
+
+    let referenceOptions = edit ? '<option value="current" selected>Current</option>' : '';
+    if (isMirror) {
+      if (facePlane) referenceOptions += '<option value="face">Selected face</option>';
+      referenceOptions += this.getPlaneOptions(edit ? null : (facePlane ? null : 'YZ'));
+    } else {
+      referenceOptions += ['X', 'Y', 'Z']
+        .map(axis => `<option value="${axis}" ${!edit && axis === (isCircular ? 'Z' : 'X') ? 'selected' : ''}>${axis} axis</option>`)
+        .join('');
+      if (selectedEdge) referenceOptions += '<option value="edge">Selected edge</option>';
+    }
+
+    const count = feature ? feature.count : (isCircular ? 6 : 3);
+    const spacing = feature && !isCircular ? feature.spacing : 10;
+    const angle = feature && isCircular ? feature.angle : 360;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">${edit ? `Edit ${history.getFeatureName(feature)}` : titles[type]}</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        ${body.name}
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Copy:</label>
+        <select id="pattern-source" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="">Whole body</option>
+          ${sourceOptions}
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">${isMirror ? 'Mirror plane' : isCircular ? 'Axis' : 'Direction'}:</label>
+        <select id="pattern-reference" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${referenceOptions}
+        </select>
+      </div>
+      <div id="pattern-count-options" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Count (including the original):</label>
+        <input type="number" id="pattern-count" value="${count}" step="1" min="2"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; margin-bottom: 8px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">${isCircular ? 'Total angle (degrees, 360 spreads evenly)' : 'Spacing (mm, negative for the other way)'}:</label>
+        <input type="number" id="pattern-size" value="${isCircular ? angle : spacing}" step="${isCircular ? 15 : 0.1}"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="pattern-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="pattern-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // Mirror has a single copy
+    if (isMirror) {
+      dialog.querySelector('#pattern-count-options').style.display = 'none';
+    }
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // World directions in the body's coordinates
+    body.updateMatrixWorld();
+    const inverse = body.matrixWorld.clone().invert();
+    const axisDirection = axis => coordinateSystem
+      .externalToInternal(new THREE.Vector3(axis === 'X' ? 1 : 0, axis === 'Y' ? 1 : 0, axis === 'Z' ? 1 : 0))
+      .transformDirection(inverse);
+
+    // Handle OK button
+    dialog.querySelector('#pattern-ok').addEventListener('click', () => {
+      const sourceValue = dialog.querySelector('#pattern-source').value;
+      const reference = dialog.querySelector('#pattern-reference').value;
+      const options = { source: sourceValue ? parseInt(sourceValue, 10) : null };
+
+      if (!isMirror) {
+        options.count = parseInt(dialog.querySelector('#pattern-count').value, 10);
+        const size = parseFloat(dialog.querySelector('#pattern-size').value);
+        if (!(options.count >= 2)) {
+          console.warn('Pattern count must be at least 2');
+          return;
+        }
+        if (!Number.isFinite(size) || size === 0) {
+          console.warn(isCircular ? 'Pattern angle must be a non-zero number' : 'Pattern spacing must be a non-zero number');
+          return;
+        }
+        options[isCircular ? 'angle' : 'spacing'] = size;
+      }
+
+      if (reference === 'current') {
+        // Keep the stored plane or axis
+      } else if (isMirror) {
+        const plane = reference === 'face' ? facePlane : this.kivi.system.datumPlanes.getPlane(reference);
+        if (!plane) return;
+        options.plane = this.kivi.system.sketchEditor.toBodyFacePlane(body, {
+          point: plane.point || plane.origin,
+          normal: plane.normal
+        });
+        options.planeName = reference === 'face' ? null : reference;
+      } else if (reference === 'edge') {
+        options.axisName = 'edge';
+        if (isCircular) {
+          options.axis = { point: selectedEdge.start.toArray(), direction: selectedEdge.direction.toArray() };
+        } else {
+          options.direction = selectedEdge.direction.toArray();
+        }
+      } else {
+        options.axisName = reference;
+        if (isCircular) {
+          options.axis = {
+            point: new THREE.Vector3().applyMatrix4(inverse).toArray(),
+            direction: axisDirection(reference).toArray()
+          };
+        } else {
+          options.direction = axisDirection(reference).toArray();
+        }
+      }
+
+      const sketchEditor = this.kivi.system.sketchEditor;
+      if (edit) {
+        // Update the feature and replay the body's history
+        sketchEditor.editFeature(edit.body, edit.feature, options);
+      } else {
+        sketchEditor.patternBody(body, type, options);
+      }
+
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#pattern-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // Mate two body faces, each { mesh, faceGroup } (see FaceSelector.buildFaceGroups)
+  // Pass a mate object as edit to change its value or flip instead
+  showMateDialog(first, second, edit = null) {
+    const mate = edit ? edit.userData.kivi.mate : null;
+    const type = mate ? mate.type : 'coincident';
+    const flip = mate ? mate.flip : false;
+    const distance = mate?.type === 'distance' ? mate.value : 10;
+    const angle = mate?.type === 'angle' ? mate.value : 90;
+
+    const typeOptions = MATE_TYPES
+      .filter(mateType => !mate || mateType === mate.type)
+      .map(mateType => `<option value="${mateType}" ${mateType === type ? 'selected' : ''}>${mateType[0].toUpperCase()}${mateType.slice(1)}</option>`)
+      .join('');
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">${edit ? `Edit ${edit.name}` : 'Mate'}</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        ${edit ? mate.describe() : `${first.mesh.name} ↔ ${second.mesh.name} (${second.mesh.name} moves)`}
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Type:</label>
+        <select id="mate-type" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${typeOptions}
+        </select>
+      </div>
+      <div id="mate-distance-options" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Distance (mm):</label>
+        <input type="number" id="mate-distance" value="${distance}" step="0.1"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">
+      </div>
+      <div id="mate-angle-options" style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Angle (degrees):</label>
+        <input type="number" id="mate-angle" value="${angle}" step="15" min="0" max="180"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">
+      </div>
+      <div id="mate-flip-options" style="margin-bottom: 16px;">
+        <label style="font-size: 13px;">
+          <input type="checkbox" id="mate-flip" ${flip ? 'checked' : ''}>
+          Faces point the same way
+        </label>
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="mate-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="mate-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // Only show the inputs of the chosen type
+    const typeSelect = dialog.querySelector('#mate-type');
+    const updateType = () => {
+      const mateType = typeSelect.value;
+      dialog.querySelector('#mate-distance-options').style.display = mateType === 'distance' ? 'block' : 'none';
+      dialog.querySelector('#mate-angle-options').style.display = mateType === 'angle' ? 'block' : 'none';
+      dialog.querySelector('#mate-flip-options').style.display =
+        mateType === 'coincident' || mateType === 'distance' ? 'block' : 'none';
+    };
+    typeSelect.addEventListener('change', updateType);
+    updateType();
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle OK button
+    dialog.querySelector('#mate-ok').addEventListener('click', () => {
+      const mateType = typeSelect.value;
+      const options = { flip: dialog.querySelector('#mate-flip').checked, value: 0 };
+
+      if (mateType === 'distance') {
+        options.value = parseFloat(dialog.querySelector('#mate-distance').value);
+        if (!Number.isFinite(options.value)) {
+          console.warn('Mate distance must be a number');
+          return;
+        }
+      } else if (mateType === 'angle') {
+        options.value = parseFloat(dialog.querySelector('#mate-angle').value);
+        if (!(options.value >= 0 && options.value <= 180)) {
+          console.warn('Mate angle must be between 0 and 180 degrees');
+          return;
+        }
+      }
+
+      const assembly = this.kivi.system.assembly;
+      if (edit) {
+        assembly.editMate(edit, options);
+      } else {
+        // Concentric mates use face axes, the others face planes
+        const reference = ({ mesh, faceGroup }) => ({
+          body: mesh,
+          ...(mateType === 'concentric' ? faceAxis : facePlane)(mesh.geometry, faceGroup)
+        });
+        assembly.addMate(mateType, reference(first), reference(second), options);
+      }
+
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#mate-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // Import an SVG or DXF outline as a new sketch
+  showImportSketchDialog() {
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Import SVG / DXF</h3>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">File:</label>
+        <input type="file" id="import-file" accept=".svg,.dxf" style="width: 100%; font-size: 13px;">
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Plane:</label>
+        <select id="import-plane" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="XY" selected>XY (top)</option>
+          <option value="XZ">XZ (front)</option>
+          <option value="YZ">YZ (side)</option>
+          <option value="view">Current view</option>
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Units:</label>
+        <select id="import-units" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; margin-bottom: 8px;">
+          <option value="file" selected>From file (SVG px at 96 dpi, DXF header)</option>
+          <option value="1">Millimeters</option>
+          <option value="10">Centimeters</option>
+          <option value="25.4">Inches</option>
+          <option value="custom">Custom scale</option>
+        </select>
+        <input type="number" id="import-scale" value="1" step="0.1" min="0" placeholder="mm per file unit"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="font-size: 13px;">
+          <input type="checkbox" id="import-center" checked>
+          Center on plane origin
+        </label>
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="import-ok" class="btn btn-primary" style="flex: 1;">Import</button>
+        <button id="import-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // The scale input is only used for custom units
+    const unitsSelect = dialog.querySelector('#import-units');
+    const scaleInput = dialog.querySelector('#import-scale');
+    const updateUnits = () => {
+      scaleInput.style.display = unitsSelect.value === 'custom' ? 'block' : 'none';
+    };
+    unitsSelect.addEventListener('change', updateUnits);
+    updateUnits();
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle Import button
+    dialog.querySelector('#import-ok').addEventListener('click', () => {
+      const file = dialog.querySelector('#import-file').files[0];
+      if (!file) {
+        console.warn('Choose a file to import');
+        return;
+      }
+
+      const planeName = dialog.querySelector('#import-plane').value;
+      const center = dialog.querySelector('#import-center').checked;
+      const units = unitsSelect.value;
+      const customScale = parseFloat(scaleInput.value);
+      if (units === 'custom' && !(customScale > 0)) {
+        console.warn('Scale must be positive');
+        return;
+      }
+
+      close();
+
+      file.text().then(text => {
+        const parsed = parseSketchFile(file.name, text);
+        if (!parsed) return;
+
+        let scale = 1;
+        if (units === 'custom') {
+          scale = customScale;
+        } else if (units === 'file') {
+          scale = parsed.unitScale ?? 1;
+        } else {
+          scale = parseFloat(units);
+        }
+
+        const plane = planeName === 'view' ? this.kivi.system.sketchEditor.getViewPlane() : Plane[planeName]();
+        const sketchData = new Sketch(plane);
+        const edgeCount = addToSketch(sketchData, parsed.primitives, { scale, center });
+        if (edgeCount === 0) {
+          console.warn('No importable geometry in', file.name);
+          return;
+        }
+
+        this.kivi.system.sketchEditor.importSketch(sketchData);
+      });
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#import-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // Export a sketch, or the section of bodies cut by its plane, as a 2D drawing
+  showExportDrawingDialog(sketch) {
+    const sketchData = sketch.userData.kivi.sketchData;
+    const bodies = this.kivi.system.project.getFolders().flatMap(folder => getExportMeshes(folder.object));
+    const bodyOptions = bodies
+      .map((body, index) => `<option value="${index}">Section of ${body.name}</option>`)
+      .join('');
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Export ${sketch.name}</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        Flattened to the sketch plane, in millimeters
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Contents:</label>
+        <select id="drawing-source" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="sketch" selected>Sketch geometry</option>
+          ${bodies.length > 1 ? '<option value="all">Section of all visible bodies</option>' : ''}
+          ${bodyOptions}
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Format:</label>
+        <select id="drawing-format" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="dxf" selected>DXF (laser cutting)</option>
+          <option value="svg">SVG</option>
+        </select>
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="drawing-ok" class="btn btn-primary" style="flex: 1;">Export</button>
+        <button id="drawing-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle Export button
+    dialog.querySelector('#drawing-ok').addEventListener('click', () => {
+      const source = dialog.querySelector('#drawing-source').value;
+      const format = dialog.querySelector('#drawing-format').value;
+
+      let primitives;
+      let name = sketch.name;
+      if (source === 'sketch') {
+        primitives = sketchToPrimitives(sketchData);
+      } else {
+        const sectioned = source === 'all' ? bodies : [bodies[parseInt(source)]];
+        primitives = sectionToPrimitives(sectioned, sketchData.plane);
+        name = source === 'all' ? `${sketch.name}_section` : `${sectioned[0].name}_section`;
+        if (primitives.length === 0) {
+          console.warn(`The plane of ${sketch.name} does not cut the selected bodies`);
+          return;
+        }
+      }
+
+      exportDrawing(primitives, format, `${name}.${format}`);
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#drawing-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // Options for a plane select, with base selected
+  getPlaneOptions(base = null) {
+    return this.kivi.system.datumPlanes.getPlaneObjects()
+      .map(plane => `<option value="${plane.name}" ${plane.name === base ? 'selected' : ''}>${plane.name}</option>`)
+      .join('');
+  }
+
+  showOffsetPlaneDialog(base = null) {
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Offset Plane</h3>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">From plane:</label>
+        <select id="offset-plane-base" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${this.getPlaneOptions(base)}
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Distance (mm, negative for the other side):</label>
+        <input type="number" id="offset-plane-distance" value="5" step="0.1"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="offset-plane-ok" class="btn btn-primary" style="flex: 1;">Create</button>
+        <button id="offset-plane-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    const distanceInput = dialog.querySelector('#offset-plane-distance');
+    distanceInput.focus();
+    distanceInput.select();
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle Create button
+    dialog.querySelector('#offset-plane-ok').addEventListener('click', () => {
+      const distance = parseFloat(distanceInput.value);
+      if (!Number.isFinite(distance) || distance === 0) {
+        console.warn('Offset distance must be a non-zero number');
+        return;
+      }
+
+      this.kivi.system.datumPlanes.addOffsetPlane(dialog.querySelector('#offset-plane-base').value, distance);
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#offset-plane-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  // edge: { start, end } in world coordinates, the axis the new plane turns about
+  showAngledPlaneDialog(edge) {
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Angled Plane</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        Through the selected edge, turned from a plane about the edge
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">From plane:</label>
+        <select id="angled-plane-base" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          ${this.getPlaneOptions()}
+        </select>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Angle (degrees):</label>
+        <input type="number" id="angled-plane-angle" value="45" step="1"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="angled-plane-ok" class="btn btn-primary" style="flex: 1;">Create</button>
+        <button id="angled-plane-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    const angleInput = dialog.querySelector('#angled-plane-angle');
+    angleInput.focus();
+    angleInput.select();
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle Create button
+    dialog.querySelector('#angled-plane-ok').addEventListener('click', () => {
+      const angle = parseFloat(angleInput.value);
+      if (!Number.isFinite(angle)) {
+        console.warn('Plane angle must be a number');
+        return;
+      }
+
+      // Stays open if the edge is perpendicular to the chosen plane
+      if (this.kivi.system.datumPlanes.addAngledPlane(dialog.querySelector('#angled-plane-base').value, edge, angle)) {
+        close();
+      }
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#angled-plane-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  showExportSTLDialog(object) {
+    const meshes = getExportMeshes(object);
+    if (meshes.length === 0) {
+      console.warn('No visible bodies to export in', object.name);
+      return;
+    }
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Export STL</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        ${meshes.length === 1 ? meshes[0].name : `${meshes.length} bodies in ${object.name}`} (millimeters, Z-up)
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Format:</label>
+        <select id="stl-format" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="binary" selected>Binary</option>
+          <option value="ascii">ASCII</option>
+        </select>
+      </div>
+      <div style="margin-bottom: 16px; display: ${meshes.length > 1 ? 'block' : 'none'};">
+        <label style="font-size: 13px;">
+          <input type="checkbox" id="stl-merge" checked>
+          Merge into one file
+        </label>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">File name:</label>
+        <input type="text" id="stl-filename" value="${object.name}.stl"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="stl-ok" class="btn btn-primary" style="flex: 1;">Export</button>
+        <button id="stl-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // Separate files are named after the bodies
+    const mergeInput = dialog.querySelector('#stl-merge');
+    const filenameInput = dialog.querySelector('#stl-filename');
+    mergeInput.addEventListener('change', () => {
+      filenameInput.disabled = !mergeInput.checked;
+    });
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle Export button
+    dialog.querySelector('#stl-ok').addEventListener('click', () => {
+      let filename = filenameInput.value.trim() || `${object.name}.stl`;
+      if (!filename.toLowerCase().endsWith('.stl')) {
+        filename += '.stl';
+      }
+
+      exportSTL(meshes, {
+        binary: dialog.querySelector('#stl-format').value === 'binary',
+        merge: mergeInput.checked,
+        filename
+      });
+
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#stl-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  showExportGLTFDialog(object) {
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Export GLB</h3>
+      <div style="margin-bottom: 16px; font-size: 13px; color: #666;">
+        ${isBodyMesh(object) ? object.name : `Visible bodies in ${object.name}`} (meters, Y-up)
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="font-size: 13px;">
+          <input type="checkbox" id="gltf-edges">
+          Bake edge outlines
+        </label>
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">File name:</label>
+        <input type="text" id="gltf-filename" value="${object.name}.glb"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="gltf-ok" class="btn btn-primary" style="flex: 1;">Export</button>
+        <button id="gltf-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle Export button
+    dialog.querySelector('#gltf-ok').addEventListener('click', () => {
+      let filename = dialog.querySelector('#gltf-filename').value.trim() || `${object.name}.glb`;
+      if (!filename.toLowerCase().endsWith('.glb')) {
+        filename += '.glb';
+      }
+
+      exportGLTF([object], {
+        edges: dialog.querySelector('#gltf-edges').checked,
+        filename
+      });
+
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#gltf-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
+
+  showExtrudeBodyFaceDialog(bodyMesh, faceIndex) {
+    // Create modal dialog for body face extrude parameters
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Extrude Body Face</h3>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Distance:</label>
+        <input type="number" id="extrude-distance" value="5" step="0.5" min="0.1"
+          style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+      </div>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">Direction:</label>
+        <select id="extrude-direction" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+          <option value="1">Normal (outward)</option>
+          <option value="-1">Reverse (inward)</option>
+        </select>
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="extrude-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="extrude-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    // Handle OK button
+    dialog.querySelector('#extrude-ok').addEventListener('click', () => {
+      const distance = parseFloat(dialog.querySelector('#extrude-distance').value);
+      const direction = parseInt(dialog.querySelector('#extrude-direction').value);
+
+      // Perform body face extrude
+      this.kivi.system.sketchEditor.extrudeBodyFace(bodyMesh, faceIndex, distance, direction);
+
+      // Close dialog
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    });
 
     // Handle Cancel button
     dialog.querySelector('#extrude-cancel').addEventListener('click', () => {
@@ -860,4 +2601,103 @@ export class ObjectsBrowser {
       document.body.removeChild(backdrop);
     });
   }
+
+  showParametersDialog(sketch) {
+    const sketchData = sketch?.userData?.kivi?.sketchData;
+    if (!sketchData) return;
+
+    // Create modal dialog for editing named sketch parameters
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      z-index: 10000;
+      min-width: 300px;
+    `;
+
+    // One "name = expression" per line
+    const currentText = Object.entries(sketchData.parameters)
+      .map(([name, expression]) => `${name} = ${expression}`)
+      .join('\n');
+
+    dialog.innerHTML = `
+      <h3 style="margin: 0 0 16px 0; font-size: 16px; font-weight: 600;">Parameters: ${sketch.name}</h3>
+      <div style="margin-bottom: 16px;">
+        <label style="display: block; margin-bottom: 4px; font-size: 13px;">One per line, e.g. width = 2*bore + 4</label>
+        <textarea id="parameters-text" rows="8"
+          style="width: 100%; box-sizing: border-box; padding: 6px; border: 1px solid #ccc; border-radius: 4px; font-family: monospace;"></textarea>
+        <div id="parameters-error" style="margin-top: 4px; font-size: 12px; color: #c62828;"></div>
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button id="parameters-ok" class="btn btn-primary" style="flex: 1;">OK</button>
+        <button id="parameters-cancel" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+      </div>
+    `;
+    dialog.querySelector('#parameters-text').value = currentText;
+
+    // Create backdrop
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.3);
+      z-index: 9999;
+    `;
+
+    document.body.appendChild(backdrop);
+    document.body.appendChild(dialog);
+
+    const close = () => {
+      document.body.removeChild(dialog);
+      document.body.removeChild(backdrop);
+    };
+
+    // Handle OK button
+    dialog.querySelector('#parameters-ok').addEventListener('click', () => {
+      const errorLabel = dialog.querySelector('#parameters-error');
+      const parameters = {};
+
+      const lines = dialog.querySelector('#parameters-text').value.split('\n');
+      for (const line of lines) {
+        if (line.trim() === '') continue;
+
+        const separator = line.indexOf('=');
+        if (separator === -1) {
+          errorLabel.textContent = `Missing "=" in: ${line}`;
+          return;
+        }
+
+        const name = line.slice(0, separator).trim();
+        const expression = line.slice(separator + 1).trim();
+        parameters[name] = expression;
+      }
+
+      const sketchEditor = this.kivi.system.sketchEditor;
+      const before = sketchEditor.getSketchState(sketchData);
+      if (!sketchData.setParameters(parameters)) {
+        errorLabel.textContent = 'Invalid parameters (see console for details)';
+        return;
+      }
+
+      // Re-solve, redraw and regenerate bodies built from this sketch
+      sketchEditor.onSketchChanged(sketch);
+      sketchEditor.recordSketchChange(sketch, before, `Edit parameters of ${sketch.name}`);
+      close();
+    });
+
+    // Handle Cancel button
+    dialog.querySelector('#parameters-cancel').addEventListener('click', close);
+
+    // Close on backdrop click
+    backdrop.addEventListener('click', close);
+  }
 }
@@ -0,0 +1,269 @@
+// Pattern - Mirror, linear pattern and circular pattern features
+// Features in a body's FeatureHistory. Each one copies either the whole body built so far or
+// one earlier feature (by id) and merges the copies into the body: copies of an Extrude or
+// Revolve are added, copies of a Cut are subtracted. Planes and axes are stored in body
+// coordinates, so the copies follow when the body or the source feature changes.
+import * as THREE from 'three';
+import { subtractGeometry, unionGeometry } from './csg.js';
+
+// Feature types whose copies can be merged into the body on their own
+const SOURCE_TYPES = ['extrude', 'revolve', 'cut'];
+
+// Apply the copy transforms to the body, or to the feature with id source
+function applyCopies(pattern, geometry, history, matrices) {
+  if (!geometry) {
+    console.warn(`${pattern.label} needs an existing body`);
+    return null;
+  }
+
+  // Whole body: union the body with its copies
+  if (pattern.source === null) {
+    return mergeCopies(geometry, geometry, matrices, unionGeometry);
+  }
+
+  const source = history?.getFeature(pattern.source);
+  if (!source || history.features.indexOf(source) > history.features.indexOf(pattern)) {
+    console.warn(`${pattern.label}: feature ${pattern.source} is not before it in the history`);
+    return null;
+  }
+  if (!SOURCE_TYPES.includes(source.type)) {
+    console.warn(`${pattern.label}: ${source.label} features can't be copied`);
+    return null;
+  }
+
+  // Built where the source feature built it: sketches on the body's faces in body coordinates
+  const build = () => (source.type === 'cut' ? source.createTool(geometry) : source.toGeometry());
+  const tool = history.inBodyCoordinates(source, build);
+  if (!tool) return null;
+
+  const result = mergeCopies(geometry, tool, matrices, source.type === 'cut' ? subtractGeometry : unionGeometry);
+  tool.dispose();
+  return result;
+}
+
+// Combine a transformed copy of tool into geometry for every matrix
+function mergeCopies(geometry, tool, matrices, operation) {
+  let result = geometry;
+  matrices.forEach(matrix => {
+    const copy = transformGeometry(tool, matrix);
+    const next = operation(result, copy);
+    copy.dispose();
+    if (result !== geometry) result.dispose();
+    result = next;
+  });
+  return result;
+}
+
+// Transformed copy of geometry. Mirroring turns the triangles inside out, so their
+// winding is reversed to keep the faces pointing outwards.
+function transformGeometry(geometry, matrix) {
+  const copy = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+  copy.applyMatrix4(matrix);
+
+  if (matrix.determinant() < 0) {
+    Object.values(copy.attributes).forEach(attribute => {
+      for (let i = 0; i + 2 < attribute.count; i += 3) {
+        for (let c = 0; c < attribute.itemSize; c++) {
+          const second = attribute.getComponent(i + 1, c);
+          attribute.setComponent(i + 1, c, attribute.getComponent(i + 2, c));
+          attribute.setComponent(i + 2, c, second);
+        }
+      }
+    });
+  }
+
+  return copy;
+}
+
+export class Mirror {
+  // options.plane: mirror plane in body coordinates: { point: [x, y, z], normal: [x, y, z] }
+  // options.planeName: datum plane the mirror plane came from (for display), null for a face
+  // options.source: id of the feature to mirror, null for the whole body
+  constructor(options = {}) {
+    this.type = 'mirror';
+    this.label = 'Mirror';
+    this.plane = options.plane ?? { point: [0, 0, 0], normal: [1, 0, 0] };
+    this.planeName = options.planeName ?? null;
+    this.source = options.source ?? null;
+  }
+
+  // Feature step: merge the mirror image into the geometry built so far
+  execute(geometry, history) {
+    const point = new THREE.Vector3().fromArray(this.plane.point);
+    const normal = new THREE.Vector3().fromArray(this.plane.normal).normalize();
+    if (normal.lengthSq() === 0) {
+      console.warn('Mirror plane has no normal');
+      return null;
+    }
+
+    // Reflection x' = x - 2 ((x - p) . n) n
+    const { x, y, z } = normal;
+    const d = point.dot(normal);
+    const matrix = new THREE.Matrix4().set(
+      1 - 2 * x * x, -2 * x * y, -2 * x * z, 2 * d * x,
+      -2 * x * y, 1 - 2 * y * y, -2 * y * z, 2 * d * y,
+      -2 * x * z, -2 * y * z, 1 - 2 * z * z, 2 * d * z,
+      0, 0, 0, 1
+    );
+
+    return applyCopies(this, geometry, history, [matrix]);
+  }
+
+  // Short parameter summary for the objects browser
+  describe() {
+    return `about ${this.planeName || 'face'}`;
+  }
+
+  clone() {
+    return new Mirror({
+      plane: { point: [...this.plane.point], normal: [...this.plane.normal] },
+      planeName: this.planeName,
+      source: this.source
+    });
+  }
+
+  toJSON() {
+    return {
+      plane: this.plane,
+      planeName: this.planeName,
+      source: this.source
+    };
+  }
+
+  static fromJSON(data) {
+    return new Mirror(data);
+  }
+}
+
+export class LinearPattern {
+  // options.direction: pattern direction in body coordinates [x, y, z]
+  // options.axisName: where the direction came from (for display), e.g. 'X' or 'edge'
+  // options.count: number of instances, including the original
+  // options.spacing: distance between neighbouring instances (negative goes against the direction)
+  // options.source: id of the feature to copy, null for the whole body
+  constructor(options = {}) {
+    this.type = 'linearPattern';
+    this.label = 'Linear Pattern';
+    this.direction = options.direction ?? [1, 0, 0];
+    this.axisName = options.axisName ?? null;
+    this.count = options.count ?? 2;
+    this.spacing = options.spacing ?? 10;
+    this.source = options.source ?? null;
+  }
+
+  // Feature step: merge count - 1 shifted copies into the geometry built so far
+  execute(geometry, history) {
+    const direction = new THREE.Vector3().fromArray(this.direction).normalize();
+    const matrices = [];
+    for (let i = 1; i < this.count; i++) {
+      const offset = direction.clone().multiplyScalar(i * this.spacing);
+      matrices.push(new THREE.Matrix4().makeTranslation(offset.x, offset.y, offset.z));
+    }
+
+    return applyCopies(this, geometry, history, matrices);
+  }
+
+  // Short parameter summary for the objects browser
+  describe() {
+    const parts = [`${this.count} × ${this.spacing}`];
+    if (this.axisName) parts.push(`along ${this.axisName}`);
+    return parts.join(', ');
+  }
+
+  clone() {
+    return new LinearPattern({
+      direction: [...this.direction],
+      axisName: this.axisName,
+      count: this.count,
+      spacing: this.spacing,
+      source: this.source
+    });
+  }
+
+  toJSON() {
+    return {
+      direction: this.direction,
+      axisName: this.axisName,
+      count: this.count,
+      spacing: this.spacing,
+      source: this.source
+    };
+  }
+
+  static fromJSON(data) {
+    return new LinearPattern(data);
+  }
+}
+
+export class CircularPattern {
+  // options.axis: rotation axis in body coordinates: { point: [x, y, z], direction: [x, y, z] }
+  // options.axisName: where the axis came from (for display), e.g. 'Z' or 'edge'
+  // options.count: number of instances, including the original
+  // options.angle: total angle in degrees. A full turn spreads the instances evenly around
+  //   the axis; a smaller angle puts the first and last instance at its ends.
+  // options.source: id of the feature to copy, null for the whole body
+  constructor(options = {}) {
+    this.type = 'circularPattern';
+    this.label = 'Circular Pattern';
+    this.axis = options.axis ?? { point: [0, 0, 0], direction: [0, 1, 0] };
+    this.axisName = options.axisName ?? null;
+    this.count = options.count ?? 4;
+    this.angle = options.angle ?? 360;
+    this.source = options.source ?? null;
+  }
+
+  // Angle between neighbouring instances (degrees)
+  getStep() {
+    if (Math.abs(this.angle) >= 360) return this.angle / this.count;
+    return this.count > 1 ? this.angle / (this.count - 1) : 0;
+  }
+
+  // Feature step: merge count - 1 rotated copies into the geometry built so far
+  execute(geometry, history) {
+    const point = new THREE.Vector3().fromArray(this.axis.point);
+    const direction = new THREE.Vector3().fromArray(this.axis.direction).normalize();
+    const step = THREE.MathUtils.degToRad(this.getStep());
+
+    const matrices = [];
+    for (let i = 1; i < this.count; i++) {
+      // Rotate about the axis through point: move point to the origin, rotate, move back
+      const matrix = new THREE.Matrix4().makeTranslation(point.x, point.y, point.z)
+        .multiply(new THREE.Matrix4().makeRotationAxis(direction, i * step))
+        .multiply(new THREE.Matrix4().makeTranslation(-point.x, -point.y, -point.z));
+      matrices.push(matrix);
+    }
+
+    return applyCopies(this, geometry, history, matrices);
+  }
+
+  // Short parameter summary for the objects browser
+  describe() {
+    const parts = [`${this.count} × ${this.angle}°`];
+    if (this.axisName) parts.push(`about ${this.axisName}`);
+    return parts.join(', ');
+  }
+
+  clone() {
+    return new CircularPattern({
+      axis: { point: [...this.axis.point], direction: [...this.axis.direction] },
+      axisName: this.axisName,
+      count: this.count,
+      angle: this.angle,
+      source: this.source
+    });
+  }
+
+  toJSON() {
+    return {
+      axis: this.axis,
+      axisName: this.axisName,
+      count: this.count,
+      angle: this.angle,
+      source: this.source
+    };
+  }
+
+  static fromJSON(data) {
+    return new CircularPattern(data);
+  }
+}
@@ -119,10 +119,13 @@ export class Plane {
   }
 
   // Serialize to JSON
+  // The basis vectors are included since planes made by fromCameraView don't use the default ones
   toJSON() {
     return {
       origin: { x: this.origin.x, y: this.origin.y, z: this.origin.z },
-      normal: { x: this.normal.x, y: this.normal.y, z: this.normal.z }
+      normal: { x: this.normal.x, y: this.normal.y, z: this.normal.z },
+      uAxis: { x: this.uAxis.x, y: this.uAxis.y, z: this.uAxis.z },
+      vAxis: { x: this.vAxis.x, y: this.vAxis.y, z: this.vAxis.z }
     };
   }
 
@@ -130,6 +133,13 @@ export class Plane {
   static fromJSON(data) {
     const origin = new THREE.Vector3(data.origin.x, data.origin.y, data.origin.z);
     const normal = new THREE.Vector3(data.normal.x, data.normal.y, data.normal.z);
-    return new Plane(origin, normal);
+    const plane = new Plane(origin, normal);
+
+    if (data.uAxis && data.vAxis) {
+      plane.uAxis = new THREE.Vector3(data.uAxis.x, data.uAxis.y, data.uAxis.z);
+      plane.vAxis = new THREE.Vector3(data.vAxis.x, data.vAxis.y, data.vAxis.z);
+    }
+
+    return plane;
   }
 }
@@ -0,0 +1,433 @@
+// Project - Saves and loads the whole scene as a versioned .kivi JSON document
+// Sketches are stored with their Sketch data and bodies with their feature history, so bodies
+// are regenerated on load. Folders, names, visibility and the camera view are stored as well.
+import * as THREE from 'three';
+import { Sketch } from './sketch.js';
+import { FeatureHistory } from './feature-history.js';
+import { downloadFile } from './download.js';
+import { isBodyMesh } from './stl-export.js';
+
+// Bump when the document layout changes, and add a migration from the previous version
+export const PROJECT_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1 (version 1 is the first format)
+const MIGRATIONS = {};
+
+// Bring a parsed document up to PROJECT_VERSION
+// Returns null if it has no valid version or was written by a newer version
+export function migrateProject(data) {
+  let version = data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    console.error('Project has no valid version:', version);
+    return null;
+  }
+  if (version > PROJECT_VERSION) {
+    console.error(`Project version ${version} is newer than supported version ${PROJECT_VERSION}`);
+    return null;
+  }
+
+  while (version < PROJECT_VERSION) {
+    data = MIGRATIONS[version](data);
+    version++;
+    data.version = version;
+    console.log('Migrated project to version', version);
+  }
+
+  return data;
+}
+
+// Free the geometries of an object and everything in it
+function disposeObjects(object) {
+  object.traverse(node => {
+    if (node.geometry) node.geometry.dispose();
+  });
+}
+
+export class Project {
+  constructor(kivi) {
+    this.kivi = kivi;
+  }
+
+  // User folders (everything in KIVI.objects except the system folder)
+  getFolders() {
+    return Object.entries(this.kivi.objects)
+      .filter(([name, object]) => name !== 'system' && object.type === 'Group')
+      .map(([name, object]) => ({ name, object }));
+  }
+
+  // Build the document for the current scene
+  serialize() {
+    // Number the sketches first so features can reference sketches in any folder
+    const sketchIds = new Map();
+    this.getFolders().forEach(({ object }) => {
+      object.children.forEach(child => {
+        const sketchData = child.userData?.kivi?.sketchData;
+        if (child.userData?.kivi?.type === 'sketch' && sketchData) {
+          sketchIds.set(sketchData, sketchIds.size + 1);
+        }
+      });
+    });
+
+    // Sketches that features still use after they were deleted from the browser are saved
+    // on their own, so their bodies can be rebuilt
+    const unlisted = [];
+    this.getFolders().forEach(({ object }) => {
+      object.children.forEach(child => {
+        (child.userData?.kivi?.history?.features || []).forEach(feature => {
+          if (feature.sketch && !sketchIds.has(feature.sketch)) {
+            sketchIds.set(feature.sketch, sketchIds.size + 1);
+            unlisted.push(feature.sketch);
+          }
+        });
+      });
+    });
+
+    return {
+      format: 'kivi',
+      version: PROJECT_VERSION,
+      app: this.kivi.version,
+      camera: this.serializeCamera(),
+      folders: this.getFolders().map(({ name, object }) => ({
+        name,
+        visible: object.visible,
+        objects: object.children
+          .map(child => this.serializeObject(child, sketchIds))
+          .filter(Boolean)
+      })),
+      sketches: unlisted.map(sketchData => ({
+        id: sketchIds.get(sketchData),
+        sketch: sketchData.toJSON()
+      }))
+    };
+  }
+
+  serializeCamera() {
+    const camera = this.kivi.camera;
+    const controller = this.kivi.system.cameraController;
+
+    return {
+      position: camera.position.toArray(),
+      quaternion: camera.quaternion.toArray(),
+      up: camera.up.toArray(),
+      zoom: controller ? controller.currentZoom : camera.top - camera.bottom,
+      target: controller ? controller.target.toArray() : [0, 0, 0]
+    };
+  }
+
+  serializeObject(object, sketchIds) {
+    const kivi = object.userData?.kivi;
+
+    if (kivi?.type === 'sketch' && kivi.sketchData) {
+      return {
+        type: 'sketch',
+        id: sketchIds.get(kivi.sketchData),
+        name: object.name,
+        visible: object.visible,
+        sketch: kivi.sketchData.toJSON()
+      };
+    }
+
+    if (kivi?.type === 'plane') {
+      // Origin planes always exist
+      return kivi.origin ? null : this.kivi.system.datumPlanes.serializePlane(object);
+    }
+
+    if (kivi?.type === 'mate') {
+      return this.kivi.system.assembly.serializeMate(object);
+    }
+
+    if (kivi?.history) {
+      return {
+        type: 'body',
+        name: object.name,
+        visible: object.visible,
+        transform: this.serializeTransform(object),
+        history: kivi.history.serialize(sketchIds)
+      };
+    }
+
+    // Bodies without a history (e.g. extruded from a body face) keep their triangles
+    if (object.isMesh) {
+      const geometry = object.geometry.index ? object.geometry.toNonIndexed() : object.geometry;
+      const data = {
+        type: 'mesh',
+        name: object.name,
+        visible: object.visible,
+        transform: this.serializeTransform(object),
+        kivi: kivi ?? null,
+        geometry: {
+          position: Array.from(geometry.attributes.position.array)
+        }
+      };
+      if (geometry !== object.geometry) geometry.dispose();
+      return data;
+    }
+
+    console.warn('Skipping object that cannot be saved:', object.name);
+    return null;
+  }
+
+  serializeTransform(object) {
+    return {
+      position: object.position.toArray(),
+      quaternion: object.quaternion.toArray(),
+      scale: object.scale.toArray()
+    };
+  }
+
+  // Replace the scene with a parsed document
+  // The objects are built before the scene is cleared, so a document that fails to load
+  // leaves the current scene as it was
+  // Returns true on success
+  load(data) {
+    if (this.kivi.system.sketchEditor?.isEditing) {
+      console.warn('Close the sketch editor before loading a project');
+      return false;
+    }
+    if (data?.format !== 'kivi') {
+      console.error('Not a KIVI project');
+      return false;
+    }
+
+    const project = migrateProject(data);
+    if (!project) return false;
+
+    // Sketches first, so features can find them whatever folder they are in, or if they are in none
+    const sketches = new Map();
+    (project.sketches || []).forEach(object => {
+      sketches.set(object.id, Sketch.fromJSON(object.sketch));
+    });
+    project.folders.forEach(folder => {
+      folder.objects.forEach(object => {
+        if (object.type === 'sketch') {
+          sketches.set(object.id, Sketch.fromJSON(object.sketch));
+        }
+      });
+    });
+
+    // Each folder's objects are collected in a detached group until all of them are built
+    const loaded = [];
+    for (const folderData of project.folders) {
+      const folder = new THREE.Group();
+      loaded.push({ folderData, folder });
+
+      for (const objectData of folderData.objects) {
+        if (objectData.type === 'sketch') {
+          this.loadSketch(folder, objectData, sketches.get(objectData.id));
+        } else if (objectData.type === 'body') {
+          if (!this.loadBody(folder, objectData, sketches)) {
+            console.error('Project not loaded, the current scene is kept');
+            loaded.forEach(entry => disposeObjects(entry.folder));
+            return false;
+          }
+        } else if (objectData.type === 'mesh') {
+          this.loadMesh(folder, objectData);
+        } else if (objectData.type === 'plane') {
+          this.kivi.system.datumPlanes.loadPlane(folder, objectData);
+        } else if (objectData.type === 'mate') {
+          this.kivi.system.assembly.loadMate(folder, objectData);
+        } else {
+          console.warn('Unknown object type in project:', objectData.type);
+        }
+      }
+    }
+
+    this.clear();
+
+    loaded.forEach(({ folderData, folder: loadedFolder }) => {
+      let folder = this.kivi.objects[folderData.name];
+      if (!folder) {
+        folder = new THREE.Group();
+        folder.name = folderData.name;
+        this.kivi.addObject(folderData.name, folder);
+      }
+      folder.visible = folderData.visible ?? true;
+      [...loadedFolder.children].forEach(child => folder.add(child));
+    });
+
+    const bodies = this.getBodiesByName();
+    this.linkAttachments(sketches, bodies);
+    this.kivi.system.assembly.linkMates(bodies);
+
+    if (project.camera) {
+      this.loadCamera(project.camera);
+    }
+
+    // Commands refer to the objects that were just removed
+    this.kivi.system.commands?.clear();
+
+    this.kivi.system.objectsBrowser.update();
+    this.kivi.render();
+
+    console.log('Loaded project with', sketches.size, 'sketches');
+    return true;
+  }
+
+  // Remove all user objects (the system folder, the bodies/sketches/planes/assembly folders and the
+  // origin planes stay)
+  clear() {
+    const faceSelector = this.kivi.system.faceSelector;
+    if (faceSelector) {
+      faceSelector.clearHover();
+      faceSelector.deselectFace();
+      faceSelector.clearItemSelection();
+    }
+
+    this.getFolders().forEach(({ name, object }) => {
+      [...object.children].forEach(child => {
+        if (child.userData?.kivi?.origin) return;
+
+        if (faceSelector && child.isMesh) {
+          faceSelector.invalidateMesh(child);
+        }
+        disposeObjects(child);
+        object.remove(child);
+      });
+
+      if (!['bodies', 'sketches', 'planes', 'assembly'].includes(name)) {
+        this.kivi.removeObject(name);
+      }
+    });
+  }
+
+  // Body meshes by name (the first one wins if names repeat across folders)
+  getBodiesByName() {
+    const bodies = new Map();
+    this.getFolders().forEach(({ object }) => {
+      object.children.forEach(child => {
+        if (isBodyMesh(child) && !bodies.has(child.name)) bodies.set(child.name, child);
+      });
+    });
+    return bodies;
+  }
+
+  // Sketches on body faces name their body, which exists once all folders are loaded
+  linkAttachments(sketches, bodies) {
+    sketches.forEach(sketchData => {
+      const attachment = sketchData.attachment;
+      if (!attachment) return;
+
+      const body = bodies.get(attachment.bodyName);
+      if (body) {
+        attachment.link(body);
+      } else {
+        console.warn('Body of sketch face not found:', attachment.bodyName);
+      }
+    });
+  }
+
+  loadSketch(folder, data, sketchData) {
+    const sketchContainer = new THREE.Group();
+    sketchContainer.name = data.name;
+    sketchContainer.visible = data.visible ?? true;
+    sketchContainer.userData.kivi = {
+      type: 'sketch',
+      sketchData: sketchData
+    };
+    folder.add(sketchContainer);
+
+    // Lines and selection meshes, as after closing the sketch editor
+    this.kivi.system.sketchEditor.rebuildClosedSketch(sketchContainer);
+  }
+
+  // Returns false if the body's history could not be rebuilt
+  loadBody(folder, data, sketches) {
+    const history = FeatureHistory.fromJSON(data.history, sketches);
+    const geometry = history ? history.regenerate() : null;
+    if (!geometry) {
+      console.error('Could not rebuild body:', data.name);
+      return false;
+    }
+
+    const mesh = this.kivi.system.sketchEditor.createBodyMesh(geometry);
+    mesh.name = data.name;
+    mesh.visible = data.visible ?? true;
+    mesh.userData.kivi = {
+      type: 'body',
+      history: history
+    };
+    this.loadTransform(mesh, data.transform);
+    folder.add(mesh);
+    return true;
+  }
+
+  loadMesh(folder, data) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(data.geometry.position, 3));
+    geometry.computeVertexNormals();
+
+    const mesh = this.kivi.system.sketchEditor.createBodyMesh(geometry);
+    mesh.name = data.name;
+    mesh.visible = data.visible ?? true;
+    if (data.kivi) {
+      mesh.userData.kivi = data.kivi;
+    }
+    this.loadTransform(mesh, data.transform);
+    folder.add(mesh);
+  }
+
+  loadTransform(object, transform) {
+    if (!transform) return;
+    object.position.fromArray(transform.position);
+    object.quaternion.fromArray(transform.quaternion);
+    object.scale.fromArray(transform.scale);
+  }
+
+  loadCamera(data) {
+    const camera = this.kivi.camera;
+    camera.position.fromArray(data.position);
+    camera.quaternion.fromArray(data.quaternion);
+    camera.up.fromArray(data.up);
+
+    const controller = this.kivi.system.cameraController;
+    if (controller) {
+      controller.target.fromArray(data.target || [0, 0, 0]);
+      controller.radius = camera.position.length();
+      controller.setZoom(data.zoom);
+    }
+  }
+
+  // Download the scene as a .kivi file
+  save(filename = 'project.kivi') {
+    const json = JSON.stringify(this.serialize());
+    downloadFile(json, filename, 'application/json');
+
+    this.kivi.system.autosave?.markSaved(json);
+
+    console.log('Saved project:', filename);
+  }
+
+  // Pick a .kivi file and load it
+  open() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.kivi,application/json';
+
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      file.text()
+        .then(text => {
+          this.loadText(text);
+        })
+        .catch(error => {
+          console.error('Could not open project file:', error.message);
+        });
+    });
+
+    input.click();
+  }
+
+  // Parse and load a document string
+  loadText(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      console.error('Could not read project file:', error.message);
+      return false;
+    }
+    return this.load(data);
+  }
+}
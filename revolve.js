@@ -0,0 +1,242 @@
+// Revolve - Creates 3D geometry by spinning a 2D sketch profile around an axis
+// A feature in a body's FeatureHistory (see feature-history.js)
+import * as THREE from 'three';
+import { unionGeometry } from './csg.js';
+
+// Segments used for a full turn (partial revolves use a proportional share)
+const REVOLVE_SEGMENTS = 64;
+
+export class Revolve {
+  // options.axis: { type: 'u' } or { type: 'v' } for the sketch plane axes through its origin,
+  //               or { type: 'edge', edge: id } for a sketch line
+  // options.angle: degrees, options.symmetric: spread the angle to both sides of the sketch
+  constructor(sketch, options = {}) {
+    this.type = 'revolve';
+    this.label = 'Revolve';
+    this.sketch = sketch; // Live reference to the Sketch object
+    this.axis = options.axis ?? { type: 'v' };
+    this.angle = options.angle ?? 360;
+    this.symmetric = options.symmetric ?? false;
+    this.regions = options.regions ?? null; // Region keys to revolve (see Sketch.detectRegions), null for all
+  }
+
+  // Feature step: add the revolved profile to the geometry built so far
+  execute(geometry) {
+    const revolved = this.toGeometry();
+    if (!revolved || !geometry) return revolved;
+
+    const merged = unionGeometry(geometry, revolved);
+    revolved.dispose();
+    return merged;
+  }
+
+  // Axis in plane coordinates: { origin: {u, v}, direction: {u, v} } (direction is unit length)
+  getAxis() {
+    if (this.axis.type === 'u') {
+      return { origin: { u: 0, v: 0 }, direction: { u: 1, v: 0 } };
+    }
+    if (this.axis.type === 'v') {
+      return { origin: { u: 0, v: 0 }, direction: { u: 0, v: 1 } };
+    }
+
+    const edge = this.sketch.getEdge(this.axis.edge);
+    if (!edge || edge.type !== 'line') {
+      console.warn('Revolve axis line not found:', this.axis.edge);
+      return null;
+    }
+    const a = this.sketch.getVertex(edge.v1);
+    const b = this.sketch.getVertex(edge.v2);
+    const length = Math.hypot(b.u - a.u, b.v - a.v);
+    if (length < 1e-9) return null;
+
+    return {
+      origin: { u: a.u, v: a.v },
+      direction: { u: (b.u - a.u) / length, v: (b.v - a.v) / length }
+    };
+  }
+
+  // Regions of the sketch this revolve uses
+  getRegions() {
+    const regions = this.sketch.detectRegions();
+    if (!this.regions) return regions;
+    return regions.filter(region => this.regions.includes(region.key));
+  }
+
+  // Generate 3D geometry from the sketch
+  toGeometry() {
+    const axis = this.getAxis();
+    if (!axis) return null;
+
+    const regions = this.getRegions();
+    if (regions.length === 0) {
+      console.warn('No closed regions found in sketch');
+      return null;
+    }
+
+    const sweep = THREE.MathUtils.degToRad(Math.min(Math.abs(this.angle), 360)) * Math.sign(this.angle || 1);
+    if (Math.abs(sweep) < 1e-6) {
+      console.warn('Revolve angle must not be zero');
+      return null;
+    }
+    const start = this.symmetric ? -sweep / 2 : 0;
+    const fullTurn = Math.abs(Math.abs(sweep) - Math.PI * 2) < 1e-6;
+    const steps = Math.max(1, Math.ceil(REVOLVE_SEGMENTS * Math.abs(sweep) / (Math.PI * 2)));
+
+    // Axis in world coordinates
+    const plane = this.sketch.plane;
+    const axisOrigin = plane.toWorld(axis.origin.u, axis.origin.v);
+    const axisDirection = plane.uAxis.clone().multiplyScalar(axis.direction.u)
+      .addScaledVector(plane.vAxis, axis.direction.v)
+      .normalize();
+
+    const positions = [];
+    const addTriangle = (a, b, c) => {
+      // Skip triangles that collapse on the axis
+      const area = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).lengthSq();
+      if (area < 1e-18) return;
+      positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+    };
+
+    for (const region of regions) {
+      // Outer loop counter-clockwise, holes clockwise, so every side surface faces out the same way
+      const loops = [region.outer, ...region.holes].map((edgeIds, index) => {
+        const points = this.sketch.getLoopVertices(edgeIds);
+        const counterClockwise = polygonArea(points) > 0;
+        return counterClockwise === (index === 0) ? points : points.reverse();
+      });
+
+      // The profile may touch the axis but not cross it
+      const sides = loops.flat().map(p => {
+        const du = p.u - axis.origin.u;
+        const dv = p.v - axis.origin.v;
+        return axis.direction.u * dv - axis.direction.v * du;
+      });
+      if (sides.some(side => side > 1e-9) && sides.some(side => side < -1e-9)) {
+        console.warn('Revolve profile crosses the axis');
+        return null;
+      }
+
+      // Does the profile start moving along the plane normal (+1) or against it (-1)?
+      // Rotating (u, v) about an in-plane axis moves points on the left of the axis one way
+      // and points on the right the other way
+      const side = sides.reduce((best, value) => Math.abs(value) > Math.abs(best) ? value : best, 0);
+      const motion = Math.sign(side) * Math.sign(sweep) > 0 ? 1 : -1;
+
+      // Rings of rotated points: rings[loop][step][point]
+      const rings = loops.map(points => {
+        const world = points.map(p => plane.toWorld(p.u, p.v));
+        const loopRings = [];
+        for (let j = 0; j <= steps; j++) {
+          if (fullTurn && j === steps) {
+            loopRings.push(loopRings[0]); // Close exactly on the first ring
+            break;
+          }
+          const rotation = new THREE.Quaternion().setFromAxisAngle(axisDirection, start + sweep * j / steps);
+          loopRings.push(world.map(p => p.clone().sub(axisOrigin).applyQuaternion(rotation).add(axisOrigin)));
+        }
+        return loopRings;
+      });
+
+      // Side surfaces swept by every profile segment
+      rings.forEach(loopRings => {
+        const count = loopRings[0].length;
+        for (let j = 0; j < steps; j++) {
+          for (let i = 0; i < count; i++) {
+            const k = (i + 1) % count;
+            const a = loopRings[j][i];
+            const b = loopRings[j][k];
+            const c = loopRings[j + 1][k];
+            const d = loopRings[j + 1][i];
+            if (motion > 0) {
+              addTriangle(a, b, c);
+              addTriangle(a, c, d);
+            } else {
+              addTriangle(a, c, b);
+              addTriangle(a, d, c);
+            }
+          }
+        }
+      });
+
+      // End caps for partial revolves
+      if (!fullTurn) {
+        const contour = loops[0].map(p => new THREE.Vector2(p.u, p.v));
+        const holes = loops.slice(1).map(points => points.map(p => new THREE.Vector2(p.u, p.v)));
+        const profile = [contour, ...holes].flat();
+        const faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+
+        [0, steps].forEach(j => {
+          const capPoints = rings.flatMap(loopRings => loopRings[j]);
+
+          // The start cap faces against the motion, the end cap along it
+          const facing = j === 0 ? -motion : motion;
+
+          faces.forEach(([a, b, c]) => {
+            const counterClockwise = THREE.ShapeUtils.area([profile[a], profile[b], profile[c]]) > 0;
+            if (counterClockwise === (facing > 0)) {
+              addTriangle(capPoints[a], capPoints[b], capPoints[c]);
+            } else {
+              addTriangle(capPoints[a], capPoints[c], capPoints[b]);
+            }
+          });
+        });
+      }
+    }
+
+    if (positions.length === 0) {
+      console.warn('Revolve produced no surface');
+      return null;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(new Array(positions.length / 3 * 2).fill(0), 2));
+    geometry.computeVertexNormals();
+
+    return geometry;
+  }
+
+  // Short parameter summary for the objects browser
+  describe() {
+    const parts = [`${this.angle}°`];
+    if (this.symmetric) parts.push('symmetric');
+    parts.push(this.axis.type === 'edge' ? `axis line ${this.axis.edge}` : `${this.axis.type.toUpperCase()} axis`);
+    if (this.regions) parts.push(`${this.regions.length} region${this.regions.length === 1 ? '' : 's'}`);
+    return parts.join(', ');
+  }
+
+  clone() {
+    return new Revolve(this.sketch, {
+      axis: { ...this.axis },
+      angle: this.angle,
+      symmetric: this.symmetric,
+      regions: this.regions ? [...this.regions] : null
+    });
+  }
+
+  // Serialize to JSON
+  toJSON() {
+    return {
+      axis: this.axis,
+      angle: this.angle,
+      symmetric: this.symmetric,
+      regions: this.regions
+    };
+  }
+
+  // Create from JSON (the sketch is resolved by FeatureHistory.fromJSON)
+  static fromJSON(data, sketch) {
+    return new Revolve(sketch, data);
+  }
+}
+
+// Signed area of a polygon of {u, v} points (positive when counter-clockwise)
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.u * b.v - b.u * a.v;
+  }
+  return area / 2;
+}
@@ -0,0 +1,302 @@
+// Sketch Dimensions - Leader annotations for driving dimensions
+// Builds extension lines, dimension lines, arrows and value labels in the sketch plane
+
+import * as THREE from 'three';
+import { DIMENSION_TYPES } from './sketch-solver.js';
+import { isNumericExpression } from './expression.js';
+
+const DIMENSION_COLOR = 0x333333;
+
+// Create a THREE.Group with annotations for every dimension constraint in the sketch
+export function createDimensionAnnotations(sketch) {
+  const group = new THREE.Group();
+  group.name = 'dimensions';
+
+  const dimensions = sketch.constraints.filter(c => DIMENSION_TYPES.includes(c.type));
+  if (dimensions.length === 0) return group;
+
+  // Annotation size follows the sketch size so labels stay readable
+  const scale = getAnnotationScale(sketch);
+  const centroid = getCentroid(sketch);
+  const segments = []; // Pairs of {u, v} points
+
+  dimensions.forEach(dimension => {
+    const labelPosition = layoutDimension(sketch, dimension, scale, centroid, segments);
+    if (!labelPosition) return;
+
+    const label = createLabel(formatLabel(sketch, dimension), scale);
+    label.position.copy(sketch.plane.toWorld(labelPosition.u, labelPosition.v));
+    group.add(label);
+  });
+
+  // All lines in one LineSegments object
+  const positions = [];
+  segments.forEach(([a, b]) => {
+    const wa = sketch.plane.toWorld(a.u, a.v);
+    const wb = sketch.plane.toWorld(b.u, b.v);
+    positions.push(wa.x, wa.y, wa.z, wb.x, wb.y, wb.z);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  const material = new THREE.LineBasicMaterial({
+    color: DIMENSION_COLOR,
+    depthTest: false,
+    depthWrite: false
+  });
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.renderOrder = 1000;
+  group.add(lines);
+
+  return group;
+}
+
+function getAnnotationScale(sketch) {
+  if (sketch.vertices.length === 0) return 0.25;
+
+  let minU = Infinity, minV = Infinity, maxU = -Infinity, maxV = -Infinity;
+  sketch.vertices.forEach(vertex => {
+    minU = Math.min(minU, vertex.u);
+    minV = Math.min(minV, vertex.v);
+    maxU = Math.max(maxU, vertex.u);
+    maxV = Math.max(maxV, vertex.v);
+  });
+
+  const extent = Math.max(maxU - minU, maxV - minV);
+  return Math.max(extent * 0.06, 0.05);
+}
+
+function getCentroid(sketch) {
+  const count = sketch.vertices.length || 1;
+  const sum = sketch.vertices.reduce((acc, vertex) => {
+    acc.u += vertex.u;
+    acc.v += vertex.v;
+    return acc;
+  }, { u: 0, v: 0 });
+  return { u: sum.u / count, v: sum.v / count };
+}
+
+// Add the dimension's line segments and return where its label goes (or null)
+function layoutDimension(sketch, dimension, scale, centroid, segments) {
+  switch (dimension.type) {
+    case 'distance':
+    case 'horizontalDistance':
+    case 'verticalDistance':
+      return layoutLinear(sketch, dimension, scale, centroid, segments);
+    case 'radius':
+    case 'diameter':
+      return layoutRadial(sketch, dimension, scale, segments);
+    case 'angle':
+      return layoutAngle(sketch, dimension, scale, segments);
+    default:
+      return null;
+  }
+}
+
+function getEnds(sketch, dimension) {
+  if (dimension.edge !== undefined) {
+    const edge = sketch.getEdge(dimension.edge);
+    if (!edge || edge.type !== 'line') return null;
+    return [sketch.getVertex(edge.v1), sketch.getVertex(edge.v2)];
+  }
+  const a = sketch.getVertex(dimension.v1);
+  const b = sketch.getVertex(dimension.v2);
+  return a && b ? [a, b] : null;
+}
+
+function layoutLinear(sketch, dimension, scale, centroid, segments) {
+  const ends = getEnds(sketch, dimension);
+  if (!ends || !ends[0] || !ends[1]) return null;
+  const [a, b] = ends;
+
+  // Measurement direction
+  let dir;
+  if (dimension.type === 'horizontalDistance') {
+    dir = { u: 1, v: 0 };
+  } else if (dimension.type === 'verticalDistance') {
+    dir = { u: 0, v: 1 };
+  } else {
+    const length = Math.hypot(b.u - a.u, b.v - a.v);
+    if (length < 1e-9) return null;
+    dir = { u: (b.u - a.u) / length, v: (b.v - a.v) / length };
+  }
+
+  // Offset away from the middle of the sketch
+  let normal = { u: -dir.v, v: dir.u };
+  const mid = { u: (a.u + b.u) / 2, v: (a.v + b.v) / 2 };
+  if ((mid.u - centroid.u) * normal.u + (mid.v - centroid.v) * normal.v < 0) {
+    normal = { u: -normal.u, v: -normal.v };
+  }
+
+  const along = p => p.u * dir.u + p.v * dir.v;
+  const across = p => p.u * normal.u + p.v * normal.v;
+  const level = Math.max(across(a), across(b)) + scale * 2;
+  const at = (t, n) => ({ u: dir.u * t + normal.u * n, v: dir.v * t + normal.v * n });
+
+  const p1 = at(along(a), level);
+  const p2 = at(along(b), level);
+
+  // Extension lines (slightly past the dimension line)
+  segments.push([a, at(along(a), level + scale * 0.5)]);
+  segments.push([b, at(along(b), level + scale * 0.5)]);
+
+  // Dimension line with arrows pointing at the extension lines
+  segments.push([p1, p2]);
+  addArrow(segments, p1, p2, scale);
+  addArrow(segments, p2, p1, scale);
+
+  return at((along(a) + along(b)) / 2, level + scale);
+}
+
+function layoutRadial(sketch, dimension, scale, segments) {
+  const edge = sketch.getEdge(dimension.edge);
+  if (!edge || edge.type === 'line') return null;
+  const arc = sketch.getArcParams(edge);
+  if (!arc) return null;
+
+  // Point the leader at the middle of an arc, or at 45° on a circle
+  const angle = edge.type === 'arc' ? arc.startAngle + arc.sweep / 2 : Math.PI / 4;
+  const d = { u: Math.cos(angle), v: Math.sin(angle) };
+  const center = { u: arc.cu, v: arc.cv };
+  const onCurve = { u: center.u + d.u * arc.radius, v: center.v + d.v * arc.radius };
+  const outside = { u: onCurve.u + d.u * scale * 2, v: onCurve.v + d.v * scale * 2 };
+
+  if (dimension.type === 'diameter') {
+    const opposite = { u: center.u - d.u * arc.radius, v: center.v - d.v * arc.radius };
+    segments.push([opposite, outside]);
+    addArrow(segments, onCurve, center, scale);
+    addArrow(segments, opposite, center, scale);
+  } else {
+    segments.push([center, outside]);
+    addArrow(segments, onCurve, center, scale);
+  }
+
+  return { u: outside.u + d.u * scale, v: outside.v + d.v * scale };
+}
+
+function layoutAngle(sketch, dimension, scale, segments) {
+  const line = edgeId => {
+    const edge = sketch.getEdge(edgeId);
+    if (!edge || edge.type !== 'line') return null;
+    const a = sketch.getVertex(edge.v1);
+    const b = sketch.getVertex(edge.v2);
+    return a && b ? [a, b] : null;
+  };
+  const l1 = line(dimension.e1);
+  const l2 = line(dimension.e2);
+  if (!l1 || !l2) return null;
+
+  // Intersection of the two (infinite) lines
+  const d1 = { u: l1[1].u - l1[0].u, v: l1[1].v - l1[0].v };
+  const d2 = { u: l2[1].u - l2[0].u, v: l2[1].v - l2[0].v };
+  const denominator = d1.u * d2.v - d1.v * d2.u;
+  if (Math.abs(denominator) < 1e-9) return null; // Parallel
+  const t = ((l2[0].u - l1[0].u) * d2.v - (l2[0].v - l1[0].v) * d2.u) / denominator;
+  const corner = { u: l1[0].u + d1.u * t, v: l1[0].v + d1.v * t };
+
+  // Measure from the corner toward the far end of each line
+  const away = ([a, b]) => {
+    const far = Math.hypot(a.u - corner.u, a.v - corner.v) > Math.hypot(b.u - corner.u, b.v - corner.v) ? a : b;
+    return Math.atan2(far.v - corner.v, far.u - corner.u);
+  };
+  const start = away(l1);
+  let sweep = away(l2) - start;
+  while (sweep > Math.PI) sweep -= Math.PI * 2;
+  while (sweep < -Math.PI) sweep += Math.PI * 2;
+
+  const radius = scale * 4;
+  const steps = 16;
+  const point = angle => ({
+    u: corner.u + Math.cos(angle) * radius,
+    v: corner.v + Math.sin(angle) * radius
+  });
+  for (let i = 0; i < steps; i++) {
+    segments.push([point(start + sweep * i / steps), point(start + sweep * (i + 1) / steps)]);
+  }
+
+  const middle = start + sweep / 2;
+  return {
+    u: corner.u + Math.cos(middle) * (radius + scale),
+    v: corner.v + Math.sin(middle) * (radius + scale)
+  };
+}
+
+// Arrow head at tip, pointing away from "from"
+function addArrow(segments, tip, from, scale) {
+  const length = Math.hypot(tip.u - from.u, tip.v - from.v);
+  if (length < 1e-9) return;
+
+  const back = { u: (from.u - tip.u) / length, v: (from.v - tip.v) / length };
+  const size = scale * 0.5;
+  const spread = 0.35; // ~20 degrees
+
+  [spread, -spread].forEach(angle => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    segments.push([tip, {
+      u: tip.u + (back.u * cos - back.v * sin) * size,
+      v: tip.v + (back.u * sin + back.v * cos) * size
+    }]);
+  });
+}
+
+function formatLabel(sketch, dimension) {
+  const value = dimension.value ?? sketch.measureDimension(dimension);
+  const number = value === null || value === undefined ? '?' : String(parseFloat(value.toFixed(2)));
+
+  let text;
+  switch (dimension.type) {
+    case 'radius':
+      text = `R${number}`;
+      break;
+    case 'diameter':
+      text = `⌀${number}`;
+      break;
+    case 'angle':
+      text = `${number}°`;
+      break;
+    default:
+      text = number;
+  }
+
+  // Mark values driven by parameters
+  if (dimension.expression !== undefined && !isNumericExpression(dimension.expression)) {
+    text = `fx: ${text}`;
+  }
+
+  return text;
+}
+
+// Canvas text sprite (same approach as SmartGrid labels)
+function createLabel(text, scale) {
+  const fontSize = 48;
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  context.font = `${fontSize}px Arial`;
+  const width = Math.ceil(context.measureText(text).width) + 16;
+
+  canvas.width = width;
+  canvas.height = fontSize + 16;
+  context.font = `${fontSize}px Arial`;
+  context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#333333';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  const material = new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false
+  });
+  const sprite = new THREE.Sprite(material);
+  sprite.renderOrder = 1001;
+
+  const height = scale * 1.2;
+  sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+
+  return sprite;
+}
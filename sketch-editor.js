@@ -5,6 +5,42 @@ import * as THREE from 'three';
 import { Sketch } from './sketch.js';
 import { Plane } from './plane.js';
 import { Extrude } from './extrude.js';
+import { Revolve } from './revolve.js';
+import { Cut } from './cut.js';
+import { Blend } from './blend.js';
+import { Mirror, LinearPattern, CircularPattern } from './pattern.js';
+import { FeatureHistory } from './feature-history.js';
+import { LineTool } from './line-tool.js';
+import { DimensionTool } from './dimension-tool.js';
+import { DragTool } from './drag-tool.js';
+import { SketchSnap } from './sketch-snap.js';
+import { FaceAttachment } from './face-attachment.js';
+
+// Free the geometries, materials and textures (e.g. dimension labels) of a removed object
+function disposeObject(object) {
+  object.traverse(node => {
+    if (node.geometry) node.geometry.dispose();
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    materials.filter(Boolean).forEach(material => {
+      if (material.map) material.map.dispose();
+      material.dispose();
+    });
+  });
+}
+
+// Remove everything drawn for a sketch container (lines, points, labels, selection meshes)
+// keep: a child to leave in place
+function clearSketchObjects(sketch, keep = null) {
+  [...sketch.children].forEach(child => {
+    if (child === keep) return;
+    sketch.remove(child);
+    disposeObject(child);
+  });
+}
+
+// Minimum time between selection mesh rebuilds while dragging (ms); finding the regions
+// takes longer than drawing the lines
+const DRAG_SELECTION_INTERVAL = 100;
 
 export class SketchEditor {
   constructor(kivi) {
@@ -15,43 +51,49 @@ export class SketchEditor {
     this.savedCameraState = null;
     this.cameraAnimationFrame = null; // Track ongoing animation
     this.savedBodiesVisibility = null; // Store bodies visibility state
+
+    // Drawing tools
+    this.raycaster = new THREE.Raycaster();
+    this.lineTool = new LineTool(this);
+    this.dimensionTool = new DimensionTool(this);
+    this.dragTool = new DragTool(this); // Not a toggle: active while editing and no other tool is
+    this.snap = new SketchSnap(this);
+    this.activeTool = null;
+    this.toolButtons = {}; // Tool name -> {button, tool}
+
+    // Undo: sketch state when the last editor change was recorded (null when not editing)
+    this.editorSketchState = null;
+    this.sketchChangeLabel = null; // Label for the next recorded change, e.g. 'Draw box'
+    this.applyingSketchState = false;
+
+    // Bodies whose attached sketches are being moved (see updateAttachedSketches)
+    this.updatingAttachments = new Set();
+
+    // Time of the last selection mesh rebuild during a drag (see updateDraggedSketch)
+    this.lastDragSelectionUpdate = 0;
   }
 
-  createSketch(name = null, plane = null) {
+  // plane: a Plane or the name of a plane in the planes folder (see datum-planes.js)
+  // sketchData: a prepared Sketch to start from instead of an empty one on plane
+  createSketch(name = null, plane = null, sketchData = null) {
     // Generate unique name if not provided
     if (!name) {
       name = this.generateSketchName();
     }
 
-    // Create plane based on camera orientation if not provided
-    let sketchPlane;
-    if (plane) {
-      sketchPlane = plane;
-    } else {
-      // Get camera's looking direction (view direction)
-      const cameraDirection = new THREE.Vector3();
-      this.kivi.camera.getWorldDirection(cameraDirection);
-
-      // The sketch plane should be perpendicular to camera direction
-      // So the plane's normal is the camera's view direction
-      const planeNormal = cameraDirection.clone().negate(); // Negate so normal points toward camera
+    if (typeof plane === 'string') {
+      plane = this.kivi.system.datumPlanes.getPlane(plane);
+      if (!plane) return null;
+    }
 
-      // Create plane at origin with normal and camera-aligned basis vectors
-      sketchPlane = Plane.fromCameraView(
-        planeNormal,
-        this.kivi.camera.up.clone(),
-        new THREE.Vector3(0, 0, 0)
-      );
+    if (!sketchData) {
+      // Create plane based on camera orientation if not provided
+      const sketchPlane = plane || this.getViewPlane();
 
-      console.log('Created plane from camera view');
-      console.log('Camera direction:', cameraDirection);
-      console.log('Plane normal:', planeNormal);
-      console.log('Camera up:', this.kivi.camera.up);
+      // Create an empty sketch using Sketch class with plane
+      sketchData = new Sketch(sketchPlane);
     }
 
-    // Create an empty sketch using Sketch class with plane
-    const sketchData = new Sketch(sketchPlane);
-
     // Create THREE.js container for visualization
     const sketchContainer = new THREE.Group();
     sketchContainer.name = name;
@@ -63,11 +105,12 @@ export class SketchEditor {
     };
 
     // Add to sketches folder
-    this.kivi.objects.sketches.add(sketchContainer);
-
-    // Update objects browser
-    this.kivi.system.objectsBrowser.update();
-    this.kivi.render();
+    const sketches = this.kivi.objects.sketches;
+    this.kivi.system.commands.execute({
+      label: `New sketch ${name}`,
+      do: () => sketches.add(sketchContainer),
+      undo: () => sketches.remove(sketchContainer)
+    });
 
     console.log('Created sketch:', name);
 
@@ -77,6 +120,75 @@ export class SketchEditor {
     return sketchContainer;
   }
 
+  // Create a sketch on a planar body face (a FaceSelector face group) and open it
+  // The sketch stays attached to the face when the body is rebuilt, and the face's outline is
+  // projected in as fixed reference lines to draw against
+  createSketchOnFace(body, faceGroup) {
+    if (!body || !faceGroup) {
+      console.error('No face to sketch on');
+      return null;
+    }
+
+    const attachment = FaceAttachment.fromFaceGroup(body, faceGroup, this.kivi.camera.up);
+    const sketchData = new Sketch(attachment.getPlane());
+    sketchData.attachment = attachment;
+
+    body.updateMatrixWorld();
+    const toPlane = point => sketchData.plane.toPlane(point.clone().applyMatrix4(body.matrixWorld));
+    const outline = this.kivi.system.faceSelector.getFacePerimeter(body, faceGroup)
+      .map(([a, b]) => [toPlane(a), toPlane(b)]);
+    sketchData.addReferenceLines(outline);
+
+    console.log('Sketching on face of', body.name, 'with', outline.length, 'outline edges');
+    return this.createSketch(null, null, sketchData);
+  }
+
+  // Plane through the origin facing the camera, with its axes aligned to the view
+  getViewPlane() {
+    // Get camera's looking direction (view direction)
+    const cameraDirection = new THREE.Vector3();
+    this.kivi.camera.getWorldDirection(cameraDirection);
+
+    // The sketch plane should be perpendicular to camera direction
+    // So the plane's normal is the camera's view direction
+    const planeNormal = cameraDirection.clone().negate(); // Negate so normal points toward camera
+
+    // Create plane at origin with normal and camera-aligned basis vectors
+    const plane = Plane.fromCameraView(
+      planeNormal,
+      this.kivi.camera.up.clone(),
+      new THREE.Vector3(0, 0, 0)
+    );
+
+    console.log('Created plane from camera view');
+    console.log('Camera direction:', cameraDirection);
+    console.log('Plane normal:', planeNormal);
+    console.log('Camera up:', this.kivi.camera.up);
+
+    return plane;
+  }
+
+  // Add a Sketch built elsewhere (e.g. imported from a file) as a closed sketch
+  importSketch(sketchData, name = null) {
+    const sketchContainer = new THREE.Group();
+    sketchContainer.name = name || this.generateSketchName();
+    sketchContainer.userData.kivi = {
+      type: 'sketch',
+      sketchData: sketchData
+    };
+    this.rebuildClosedSketch(sketchContainer);
+
+    const sketches = this.kivi.objects.sketches;
+    this.kivi.system.commands.execute({
+      label: `Import sketch ${sketchContainer.name}`,
+      do: () => sketches.add(sketchContainer),
+      undo: () => sketches.remove(sketchContainer)
+    });
+
+    console.log('Imported sketch:', sketchContainer.name, 'with', sketchData.edges.length, 'edges and', sketchData.detectRegions().length, 'regions');
+    return sketchContainer;
+  }
+
   openSketchEditor(sketch) {
     if (this.isEditing) {
       console.warn('Already editing a sketch');
@@ -86,6 +198,9 @@ export class SketchEditor {
     this.activeSketch = sketch;
     this.isEditing = true;
 
+    // The gizmo's left-button drags would fight the sketch tools
+    this.kivi.system.transformGizmo?.detach();
+
     // Disable face selector while editing
     if (this.kivi.system.faceSelector) {
       this.kivi.system.faceSelector.enabled = false;
@@ -96,6 +211,7 @@ export class SketchEditor {
 
     // Update visualization (in case sketch has existing data)
     this.updateSketchVisualization();
+    this.editorSketchState = this.getSketchState(sketch.userData.kivi.sketchData);
 
     // Save current camera state
     this.saveCameraState();
@@ -115,6 +231,7 @@ export class SketchEditor {
 
     // Create sketch editor window
     this.createEditorWindow();
+    this.dragTool.activate();
   }
 
   saveCameraState() {
@@ -163,8 +280,8 @@ export class SketchEditor {
     // Position camera along the plane's normal
     const targetPosition = plane.origin.clone().addScaledVector(plane.normal, distance);
 
-    // For XY plane view (looking down Z axis), up should point in +Y direction
-    const targetUp = new THREE.Vector3(0, 1, 0);
+    // Screen up follows the plane's v axis (also for planes facing +Y, where world up is the view direction)
+    const targetUp = plane.vAxis.clone();
 
     // Calculate target rotation by looking at the plane origin with correct up vector
     const tempCamera = new THREE.OrthographicCamera();
@@ -263,6 +380,19 @@ export class SketchEditor {
     });
     toolsSection.appendChild(drawBoxButton);
 
+    // Tool buttons (toggle)
+    toolsSection.appendChild(this.createToolButton('line', 'Line', this.lineTool));
+    toolsSection.appendChild(this.createToolButton('dimension', 'Dimension', this.dimensionTool));
+
+    // Parameters button
+    const parametersButton = document.createElement('button');
+    parametersButton.className = 'btn btn-secondary btn-full-width mb-sm';
+    parametersButton.textContent = 'Parameters...';
+    parametersButton.addEventListener('click', () => {
+      this.kivi.system.objectsBrowser.showParametersDialog(this.activeSketch);
+    });
+    toolsSection.appendChild(parametersButton);
+
     content.appendChild(toolsSection);
 
     // Instructions
@@ -270,10 +400,36 @@ export class SketchEditor {
     instructions.className = 'sketch-editor-instructions mb-md';
     instructions.innerHTML = `
       <div>Use tools above to draw shapes.</div>
+      <div>Line: click to place points, click the first point to close.</div>
+      <div>Esc ends the line, Esc again leaves the tool.</div>
+      <div>Dimension: click an edge, or two vertices, and enter a value or expression.</div>
+      <div>Lines and vertex pairs can be measured horizontally or vertically; Angle... then a second line gives an angle.</div>
+      <div>With no tool active, drag points and edges to move them.</div>
+      <div>Points snap to vertices, midpoints, intersections, alignment and the grid; hold Alt to place freely.</div>
       <div>Pan/zoom available while editing.</div>
     `;
     content.appendChild(instructions);
 
+    // Whether accepted snaps add the matching constraints
+    const snapOption = document.createElement('label');
+    snapOption.className = 'sketch-editor-instructions mb-md';
+    snapOption.style.display = 'block';
+    const snapCheckbox = document.createElement('input');
+    snapCheckbox.type = 'checkbox';
+    snapCheckbox.checked = this.snap.createConstraints;
+    snapCheckbox.addEventListener('change', () => {
+      this.snap.createConstraints = snapCheckbox.checked;
+    });
+    snapOption.appendChild(snapCheckbox);
+    snapOption.appendChild(document.createTextNode(' Add constraints from snaps'));
+    content.appendChild(snapOption);
+
+    // Constraint solver status (degrees of freedom)
+    this.solverStatusLabel = document.createElement('div');
+    this.solverStatusLabel.className = 'sketch-editor-instructions mb-md';
+    content.appendChild(this.solverStatusLabel);
+    this.updateSolverStatus();
+
     // Close Sketch button at bottom
     const closeSketchButton = document.createElement('button');
     closeSketchButton.className = 'btn btn-secondary btn-full-width';
@@ -304,6 +460,7 @@ export class SketchEditor {
     sketchData.addBox(0, 0, width, height);
 
     // Update visualization
+    this.sketchChangeLabel = 'Draw box';
     this.updateSketchVisualization();
 
     console.log('Drew box:', width, 'x', height);
@@ -311,6 +468,82 @@ export class SketchEditor {
     console.log('Edges:', sketchData.edges.length);
   }
 
+  // Create a button that toggles a drawing tool
+  createToolButton(name, label, tool) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-primary btn-full-width mb-sm';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      this.setTool(this.activeTool === tool ? null : tool);
+    });
+    this.toolButtons[name] = { button, tool };
+    return button;
+  }
+
+  // Switch the active drawing tool (null for none)
+  setTool(tool) {
+    if (this.activeTool === tool) return;
+
+    if (this.activeTool) {
+      this.activeTool.deactivate();
+    }
+
+    this.activeTool = tool;
+
+    if (this.activeTool) {
+      this.activeTool.activate();
+    }
+
+    // Highlight the button of the active tool
+    Object.values(this.toolButtons).forEach(({ button, tool: buttonTool }) => {
+      button.classList.toggle('btn-active', buttonTool === this.activeTool);
+    });
+  }
+
+  getActiveSketchData() {
+    return this.activeSketch?.userData?.kivi?.sketchData || null;
+  }
+
+  // Raycast a mouse event onto the active sketch plane
+  // Returns {u, v} in plane coordinates, or null if the ray misses the plane
+  getSketchPoint(event) {
+    const sketchData = this.getActiveSketchData();
+    if (!sketchData) return null;
+
+    const domElement = this.kivi.renderer.domElement;
+    const rect = domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this.raycaster.setFromCamera(mouse, this.kivi.camera);
+
+    const plane = sketchData.plane;
+    const mathPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(plane.normal, plane.origin);
+    const hit = new THREE.Vector3();
+    if (!this.raycaster.ray.intersectPlane(mathPlane, hit)) return null;
+
+    return plane.toPlane(hit);
+  }
+
+  // Snap a plane point being placed or dragged (see sketch-snap.js); holding Alt turns snapping off
+  // exclude: IDs of the vertices being moved
+  snapPoint(point, event, exclude = []) {
+    if (event.altKey) {
+      return { u: point.u, v: point.v, snaps: [] };
+    }
+    return this.snap.snap(point, exclude);
+  }
+
+  // World-space distance covered by a few screen pixels at the current zoom
+  getPickTolerance(pixels = 8) {
+    const camera = this.kivi.camera;
+    const worldPerPixel = (camera.top - camera.bottom) / camera.zoom /
+      this.kivi.renderer.domElement.clientHeight;
+    return worldPerPixel * pixels;
+  }
+
   updateSketchVisualization() {
     if (!this.activeSketch) return;
 
@@ -318,19 +551,271 @@ export class SketchEditor {
     if (!sketchData) return;
 
     // Clear existing visualization
-    while (this.activeSketch.children.length > 0) {
-      this.activeSketch.remove(this.activeSketch.children[0]);
+    clearSketchObjects(this.activeSketch);
+
+    // Keep geometry consistent with constraints (also refreshes the DOF count)
+    sketchData.solve();
+
+    // Every edit made in the editor ends up here, so record it for undo
+    // (a drag is recorded once, when the mouse is released)
+    if (this.editorSketchState !== null && !this.applyingSketchState && !this.dragTool.dragging) {
+      const state = this.getSketchState(sketchData);
+      this.recordSketchChange(this.activeSketch, this.editorSketchState, this.sketchChangeLabel, state);
+      this.editorSketchState = state;
     }
+    this.sketchChangeLabel = null;
 
     // Generate new visualization from sketch data
     const visualization = sketchData.toGeometry();
     this.activeSketch.add(visualization);
 
+    this.updateSolverStatus();
+
     // Update objects browser and render
     this.kivi.system.objectsBrowser.update();
     this.kivi.render();
   }
 
+  // Redraw the sketch during a drag: the drag tool has already solved it, and the undo step,
+  // objects browser and autosave wait for the mouse to be released (see DragTool.onMouseUp)
+  updateDraggedSketch() {
+    const sketchData = this.getActiveSketchData();
+    if (!sketchData) return;
+
+    const selectionMeshes = this.activeSketch.children.find(child => child.name === 'selectionMeshes');
+    clearSketchObjects(this.activeSketch, selectionMeshes);
+    this.activeSketch.add(sketchData.toGeometry());
+
+    // The selection meshes follow too, a few times a second
+    const now = Date.now();
+    if (!selectionMeshes || now - this.lastDragSelectionUpdate > DRAG_SELECTION_INTERVAL) {
+      this.generateSelectionMeshes();
+      this.lastDragSelectionUpdate = now;
+    }
+
+    this.updateSolverStatus();
+    this.kivi.render();
+  }
+
+  // Call after a sketch's parameters or dimensions change
+  // Refreshes its visualization and regenerates the bodies extruded from it
+  onSketchChanged(sketch) {
+    if (sketch === this.activeSketch) {
+      this.updateSketchVisualization();
+    } else {
+      this.rebuildClosedSketch(sketch);
+    }
+
+    this.regenerateDependentBodies(sketch);
+  }
+
+  // Snapshot of a Sketch's contents for undo (the plane is left out, edits don't change it)
+  getSketchState(sketchData) {
+    const { vertices, edges, constraints, parameters } = sketchData.toJSON();
+    const { nextVertexId, nextEdgeId, nextConstraintId } = sketchData;
+    return JSON.stringify({ vertices, edges, constraints, parameters, nextVertexId, nextEdgeId, nextConstraintId });
+  }
+
+  // Record an undoable change of a sketch container's Sketch from the before state to its current state
+  recordSketchChange(sketch, before, label = null, after = this.getSketchState(sketch.userData.kivi.sketchData)) {
+    if (before === after) return;
+
+    this.kivi.system.commands.push({
+      label: label || `Edit ${sketch.name}`,
+      sketch,
+      do: () => this.applySketchState(sketch, after),
+      undo: () => this.applySketchState(sketch, before)
+    });
+  }
+
+  // Put a snapshot back into the existing Sketch object, so features using it stay connected
+  applySketchState(sketch, state) {
+    const sketchData = sketch.userData.kivi.sketchData;
+    const data = JSON.parse(state);
+
+    sketchData.vertices = data.vertices;
+    sketchData.edges = data.edges;
+    sketchData.constraints = data.constraints;
+    sketchData.parameters = data.parameters;
+    sketchData.nextVertexId = data.nextVertexId;
+    sketchData.nextEdgeId = data.nextEdgeId;
+    sketchData.nextConstraintId = data.nextConstraintId;
+
+    if (sketch === this.activeSketch) {
+      this.editorSketchState = state;
+
+      // The line being drawn may start at a vertex that no longer exists
+      if (this.lineTool.lastVertexId !== null) {
+        this.lineTool.endChain();
+      }
+    }
+
+    this.applyingSketchState = true;
+    this.onSketchChanged(sketch);
+    this.applyingSketchState = false;
+  }
+
+  // Rebuild lines and selection meshes of a sketch that is not being edited
+  rebuildClosedSketch(sketch) {
+    const sketchData = sketch.userData?.kivi?.sketchData;
+    if (!sketchData) return;
+
+    // Old selection meshes are about to go away
+    if (this.kivi.system.faceSelector) {
+      this.kivi.system.faceSelector.clearHover();
+      this.kivi.system.faceSelector.deselectFace();
+    }
+
+    clearSketchObjects(sketch);
+
+    sketchData.solve();
+
+    const visualization = sketchData.toGeometry();
+    this.hideDimensions(visualization);
+    sketch.add(visualization);
+
+    const selectionMeshes = sketchData.createSelectionMeshes();
+    selectionMeshes.name = 'selectionMeshes';
+    sketch.add(selectionMeshes);
+
+    this.kivi.render();
+  }
+
+  // Dimension annotations are only shown while editing
+  hideDimensions(object) {
+    const dimensions = object.getObjectByName('dimensions');
+    if (dimensions) {
+      dimensions.visible = false;
+    }
+  }
+
+  // Rebuild every body whose feature history uses this sketch
+  // skip: a body that is already up to date
+  regenerateDependentBodies(sketch, skip = null) {
+    const sketchData = sketch.userData?.kivi?.sketchData;
+    if (!sketchData) return;
+
+    this.kivi.objects.bodies.children.forEach(body => {
+      const history = body.userData?.kivi?.history;
+      if (body === skip || !history || !history.dependsOn(sketchData)) return;
+
+      if (this.regenerateBody(body)) {
+        console.log('Regenerated body:', body.name, 'from sketch:', sketch.name);
+      }
+    });
+
+    this.kivi.render();
+  }
+
+  // Replay a body's feature history and swap in the new geometry
+  regenerateBody(body) {
+    const history = body.userData?.kivi?.history;
+    if (!history) return false;
+
+    const geometry = history.regenerate();
+    if (!geometry) {
+      console.warn('Could not regenerate body:', body.name);
+      return false;
+    }
+
+    body.geometry.dispose();
+    body.geometry = geometry;
+
+    // Face groups and highlights were computed for the old geometry
+    if (this.kivi.system.faceSelector) {
+      this.kivi.system.faceSelector.invalidateMesh(body);
+    }
+
+    this.kivi.system.assembly?.bodyRegenerated(body);
+    this.updateAttachedSketches(body);
+    return true;
+  }
+
+  // Move sketches attached to a rebuilt body's faces onto the new faces, then rebuild what uses them
+  updateAttachedSketches(body) {
+    // Bodies sketched on each other's faces could keep moving each other
+    if (this.updatingAttachments.has(body)) return;
+    this.updatingAttachments.add(body);
+
+    this.kivi.system.project.getFolders().forEach(({ object }) => {
+      object.children.forEach(sketch => {
+        const sketchData = sketch.userData?.kivi?.sketchData;
+        const attachment = sketchData?.attachment;
+        if (attachment?.body !== body) return;
+
+        // The body may have been moved or rotated as a whole
+        attachment.followBody(sketchData);
+
+        // Sketches used by the body itself already followed the face while it was rebuilt
+        if (!body.userData.kivi.history?.dependsOn(sketchData)) {
+          attachment.followFace(sketchData, body.geometry);
+        }
+        if (!attachment.moved) return;
+        attachment.moved = false;
+
+        if (sketch === this.activeSketch) {
+          this.updateSketchVisualization();
+        } else {
+          this.rebuildClosedSketch(sketch);
+        }
+        this.regenerateDependentBodies(sketch, body);
+        console.log('Moved sketch', sketch.name, 'with its face on', body.name);
+      });
+    });
+
+    this.updatingAttachments.delete(body);
+  }
+
+  // Change a feature's parameters (e.g. { distance, direction }) and rebuild its body
+  editFeature(body, feature, params) {
+    const previous = {};
+    Object.keys(params).forEach(key => {
+      previous[key] = feature[key];
+    });
+    Object.assign(feature, params);
+
+    if (!this.regenerateBody(body)) {
+      // Keep the body valid
+      Object.assign(feature, previous);
+      this.regenerateBody(body);
+      return false;
+    }
+
+    this.kivi.system.commands.push({
+      label: `Edit ${body.userData.kivi.history.getFeatureName(feature)} of ${body.name}`,
+      do: () => {
+        Object.assign(feature, params);
+        this.regenerateBody(body);
+      },
+      undo: () => {
+        Object.assign(feature, previous);
+        this.regenerateBody(body);
+      }
+    });
+
+    console.log('Edited feature:', body.userData.kivi.history.getFeatureName(feature), 'of', body.name, params);
+    return true;
+  }
+
+  // Show constraint count and remaining degrees of freedom in the editor window
+  updateSolverStatus() {
+    const sketchData = this.getActiveSketchData();
+    if (!this.solverStatusLabel || !sketchData) return;
+
+    const status = sketchData.solverStatus;
+    if (!status) return;
+
+    let text = `Constraints: ${sketchData.constraints.length}, DOF: ${status.dof}`;
+    if (status.status === 'over-constrained') {
+      text += ' (over-constrained)';
+    } else if (status.status === 'fully-constrained') {
+      text += ' (fully constrained)';
+    }
+
+    this.solverStatusLabel.textContent = text;
+    this.solverStatusLabel.style.color = status.status === 'over-constrained' ? '#c62828' : '';
+  }
+
   createRectangleGeometry(width, height) {
     // Create a simple rectangle outline on XZ plane (Y=0)
     const points = [];
@@ -407,8 +892,19 @@ export class SketchEditor {
   closeSketchEditor() {
     if (!this.isEditing) return;
 
+    // Leave any active drawing tool
+    this.setTool(null);
+    this.dragTool.deactivate();
+    this.snap.clearGlyphs();
+    this.toolButtons = {};
+    this.solverStatusLabel = null;
+
     // Generate invisible selection meshes for face picking
     this.generateSelectionMeshes();
+    this.hideDimensions(this.activeSketch);
+
+    // Bodies built from this sketch follow the edits
+    this.regenerateDependentBodies(this.activeSketch);
 
     // Save sketch (already saved in userData)
     console.log('Sketch saved:', this.activeSketch.name);
@@ -438,6 +934,10 @@ export class SketchEditor {
     // Reset state
     this.activeSketch = null;
     this.isEditing = false;
+    this.editorSketchState = null;
+
+    // Sketch-only undo steps may have been blocked while editing
+    this.kivi.system.historyPanel?.update();
   }
 
   generateSelectionMeshes() {
@@ -452,14 +952,13 @@ export class SketchEditor {
     );
     if (oldSelectionMeshes) {
       this.activeSketch.remove(oldSelectionMeshes);
+      disposeObject(oldSelectionMeshes);
     }
 
     // Create new selection meshes
     const selectionMeshes = sketchData.createSelectionMeshes();
     selectionMeshes.name = 'selectionMeshes';
     this.activeSketch.add(selectionMeshes);
-
-    console.log('Generated selection meshes for face picking');
   }
 
   createRectangleSketch(width, height) {
@@ -586,7 +1085,8 @@ export class SketchEditor {
   }
 
   // Extrude a sketch to create a 3D body
-  extrudeSketch(sketch, distance = 5, direction = 1) {
+  // regions: region keys to extrude (see Sketch.detectRegions), null for all
+  extrudeSketch(sketch, distance = 5, direction = 1, regions = null) {
     if (!sketch || !sketch.userData?.kivi?.sketchData) {
       console.error('Invalid sketch for extrusion');
       return null;
@@ -594,40 +1094,200 @@ export class SketchEditor {
 
     const sketchData = sketch.userData.kivi.sketchData;
 
-    // Create extrude operation
-    const extrude = new Extrude(sketchData, distance, direction);
-
-    // Generate 3D mesh
-    const mesh = extrude.toMesh();
+    // The body is built by its feature history, starting with this extrude
+    const mesh = this.createBody(new Extrude(sketchData, distance, direction, regions));
     if (!mesh) {
       console.error('Failed to generate extrude mesh');
       return null;
     }
 
+    console.log('Extruded sketch:', sketch.name, '→', mesh.name, 'distance:', distance);
+
+    return mesh;
+  }
+
+  // Revolve a sketch around an axis to create a 3D body
+  // options: { axis, angle, symmetric, regions } (see revolve.js)
+  revolveSketch(sketch, options = {}) {
+    if (!sketch || !sketch.userData?.kivi?.sketchData) {
+      console.error('Invalid sketch for revolve');
+      return null;
+    }
+
+    const mesh = this.createBody(new Revolve(sketch.userData.kivi.sketchData, options));
+    if (!mesh) {
+      console.error('Failed to generate revolve mesh');
+      return null;
+    }
+
+    console.log('Revolved sketch:', sketch.name, '→', mesh.name, options);
+
+    return mesh;
+  }
+
+  // Create a body whose feature history starts with the given feature
+  createBody(feature) {
+    const history = new FeatureHistory();
+    history.addFeature(feature);
+
+    const geometry = history.regenerate();
+    if (!geometry) return null;
+
+    const mesh = this.createBodyMesh(geometry);
+
     // Generate unique name for the body
-    const bodyName = this.generateBodyName();
-    mesh.name = bodyName;
+    mesh.name = this.generateBodyName();
 
     // Store metadata
     mesh.userData.kivi = {
-      type: 'extrude',
-      sourceSketch: sketch.name,
-      distance: distance,
-      direction: direction
+      type: 'body',
+      history: history
     };
 
     // Add to bodies folder
-    this.kivi.objects.bodies.add(mesh);
+    this.addBodyCommand(mesh, `${feature.label} ${feature.sketch ? this.getSketchName(feature.sketch) : ''}`.trim());
 
-    // Update objects browser and render
-    this.kivi.system.objectsBrowser.update();
-    this.kivi.render();
+    return mesh;
+  }
+
+  // Add a new body to the bodies folder as an undoable command
+  addBodyCommand(mesh, label) {
+    const bodies = this.kivi.objects.bodies;
+    this.kivi.system.commands.execute({
+      label: `${label} → ${mesh.name}`,
+      do: () => bodies.add(mesh),
+      undo: () => bodies.remove(mesh)
+    });
+  }
 
-    console.log('Extruded sketch:', sketch.name, '→', bodyName, 'distance:', distance);
+  // Name of the sketch container holding this Sketch data
+  getSketchName(sketchData) {
+    const sketch = this.kivi.objects.sketches.children.find(
+      child => child.userData?.kivi?.sketchData === sketchData
+    );
+    return sketch ? sketch.name : 'sketch';
+  }
 
+  // Mesh with the standard body material
+  createBodyMesh(geometry) {
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+      color: 0xcccccc,
+      roughness: 0.5,
+      metalness: 0.1
+    }));
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
     return mesh;
   }
 
+  // Cut a sketch's regions out of a body
+  // options: { mode, distance, direction, regions, face } (see cut.js)
+  // face is a world-space plane { point, normal } of Vector3s, used by 'upToFace'
+  cutSketch(sketch, body, options = {}) {
+    const sketchData = sketch?.userData?.kivi?.sketchData;
+    const history = body?.userData?.kivi?.history;
+    if (!sketchData || !history) {
+      console.error('Invalid sketch or body for cut');
+      return null;
+    }
+
+    const cutOptions = { ...options, face: this.toBodyFacePlane(body, options.face) };
+    const cut = this.addBodyFeature(body, new Cut(sketchData, cutOptions));
+    if (!cut) {
+      console.error('Failed to cut', body.name, 'with sketch', sketch.name);
+      return null;
+    }
+
+    console.log('Cut sketch:', sketch.name, 'from', body.name, cutOptions);
+
+    return cut;
+  }
+
+  // Fillet or chamfer body edges
+  // edges: crease edges from findCreaseEdges (mesh-edges.js) in the body's coordinates
+  // options: { mode, radius, distance, angle } (see blend.js)
+  blendEdges(body, edges, options = {}) {
+    if (!body?.userData?.kivi?.history || edges.length === 0) {
+      console.error('Invalid body or edges for blend');
+      return null;
+    }
+
+    const blend = this.addBodyFeature(body, new Blend({
+      ...options,
+      edges: edges.map(edge => Blend.describeEdge(edge))
+    }));
+    if (!blend) {
+      console.error('Failed to blend edges of', body.name);
+      return null;
+    }
+
+    console.log('Blended', edges.length, 'edges of', body.name, options);
+
+    return blend;
+  }
+
+  // Mirror or pattern a body, or one of its features
+  // type: 'mirror', 'linearPattern' or 'circularPattern'
+  // options: feature options in the body's coordinates (see pattern.js)
+  patternBody(body, type, options = {}) {
+    const PatternClass = { mirror: Mirror, linearPattern: LinearPattern, circularPattern: CircularPattern }[type];
+    if (!body?.userData?.kivi?.history || !PatternClass) {
+      console.error('Invalid body or pattern type:', type);
+      return null;
+    }
+
+    const pattern = this.addBodyFeature(body, new PatternClass(options));
+    if (!pattern) {
+      console.error('Failed to add', type, 'to', body.name);
+      return null;
+    }
+
+    console.log('Added', body.userData.kivi.history.getFeatureName(pattern), 'to', body.name, options);
+
+    return pattern;
+  }
+
+  // The feature is removed again if the body cannot be rebuilt
+  addBodyFeature(body, feature) {
+    const history = body.userData.kivi.history;
+    body.updateMatrixWorld();
+    history.addFeature(feature, body.matrixWorld);
+
+    if (!this.regenerateBody(body)) {
+      history.removeFeature(feature);
+      this.regenerateBody(body);
+      return null;
+    }
+
+    // Already applied - redo puts the feature back at the same place in the history
+    const index = history.features.indexOf(feature);
+    this.kivi.system.commands.push({
+      label: `${history.getFeatureName(feature)} on ${body.name}`,
+      do: () => {
+        history.features.splice(index, 0, feature);
+        this.regenerateBody(body);
+      },
+      undo: () => {
+        history.removeFeature(feature);
+        this.regenerateBody(body);
+      }
+    });
+
+    return feature;
+  }
+
+  // Convert a world-space face plane to the body's local coordinates (as stored by Cut)
+  toBodyFacePlane(body, face) {
+    if (!face) return null;
+
+    body.updateMatrixWorld();
+    const inverse = body.matrixWorld.clone().invert();
+    const point = face.point.clone().applyMatrix4(inverse);
+    const normal = face.normal.clone().transformDirection(inverse);
+
+    return { point: point.toArray(), normal: normal.toArray() };
+  }
+
   generateBodyName() {
     // Generate unique body name
     const existingNames = new Set(
@@ -841,11 +1501,7 @@ export class SketchEditor {
     };
 
     // Add to bodies folder
-    this.kivi.objects.bodies.add(mesh);
-
-    // Update objects browser and render
-    this.kivi.system.objectsBrowser.update();
-    this.kivi.render();
+    this.addBodyCommand(mesh, `Extrude face of ${bodyMesh.name}`);
 
     console.log('Extruded body face:', bodyMesh.name, 'with', group.faceIndices.length, 'triangles →', bodyName, 'distance:', distance);
 
@@ -0,0 +1,296 @@
+// Sketch Export - Writes sketches and planar body sections as DXF or SVG drawings
+// Geometry is flattened to the sketch plane's (u, v) coordinates, in mm, as the same 2D
+// primitives sketch-import.js reads:
+//   { type: 'line', a, b }
+//   { type: 'arc', center, a, b, clockwise }
+//   { type: 'circle', center, radius }
+// where points are { x, y } with y up.
+import * as THREE from 'three';
+import { downloadFile } from './download.js';
+
+// Section points closer than this are joined into one outline (mm)
+const WELD_TOLERANCE = 1e-4;
+
+// Triangle vertices this close to the section plane count as in front of it, so edges
+// lying in the plane are not cut twice
+const PLANE_EPSILON = 1e-7;
+
+// Stroke width of SVG outlines (mm)
+const SVG_STROKE_WIDTH = 0.1;
+
+// Primitives for a Sketch's edges in plane coordinates
+export function sketchToPrimitives(sketch) {
+  const point = id => {
+    const vertex = sketch.getVertex(id);
+    return vertex ? { x: vertex.u, y: vertex.v } : null;
+  };
+
+  const primitives = [];
+  sketch.edges.forEach(edge => {
+    // Reference geometry (e.g. a projected face outline) is not part of the drawing
+    if (edge.reference) return;
+
+    if (edge.type === 'circle') {
+      const center = point(edge.center);
+      if (center) primitives.push({ type: 'circle', center, radius: edge.radius });
+    } else if (edge.type === 'arc') {
+      const center = point(edge.center);
+      const a = point(edge.v1);
+      const b = point(edge.v2);
+      if (center && a && b) primitives.push({ type: 'arc', center, a, b, clockwise: !!edge.clockwise });
+    } else {
+      const a = point(edge.v1);
+      const b = point(edge.v2);
+      if (a && b) primitives.push({ type: 'line', a, b });
+    }
+  });
+
+  return primitives;
+}
+
+// Outline where a Plane cuts body meshes, as lines in the plane's coordinates
+export function sectionToPrimitives(meshes, plane) {
+  const segments = [];
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+
+  meshes.forEach(mesh => {
+    mesh.updateWorldMatrix(true, false);
+    const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+    const position = geometry.attributes.position;
+
+    for (let i = 0; i < position.count; i += 3) {
+      a.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      b.fromBufferAttribute(position, i + 1).applyMatrix4(mesh.matrixWorld);
+      c.fromBufferAttribute(position, i + 2).applyMatrix4(mesh.matrixWorld);
+
+      const segment = cutTriangle([a, b, c], plane);
+      if (segment) segments.push(segment);
+    }
+
+    if (geometry !== mesh.geometry) geometry.dispose();
+  });
+
+  return joinSegments(segments).map(([p, q]) => ({ type: 'line', a: p, b: q }));
+}
+
+// Segment where a plane crosses a world-space triangle, as two {x, y} plane points, or null
+function cutTriangle(triangle, plane) {
+  const distances = triangle.map(p => {
+    const d = p.clone().sub(plane.origin).dot(plane.normal);
+    return Math.abs(d) < PLANE_EPSILON ? PLANE_EPSILON : d;
+  });
+
+  const points = [];
+  for (let i = 0; i < 3; i++) {
+    const j = (i + 1) % 3;
+    if ((distances[i] > 0) !== (distances[j] > 0)) {
+      const t = distances[i] / (distances[i] - distances[j]);
+      const world = triangle[i].clone().lerp(triangle[j], t);
+      const { u, v } = plane.toPlane(world);
+      points.push({ x: u, y: v });
+    }
+  }
+
+  return points.length === 2 ? points : null;
+}
+
+// Chain triangle segments into polylines and drop the points between collinear pieces
+// Returns the remaining segments as [a, b] point pairs
+function joinSegments(segments) {
+  const key = p => `${Math.round(p.x / WELD_TOLERANCE)},${Math.round(p.y / WELD_TOLERANCE)}`;
+
+  // Point key -> segments touching it
+  const byPoint = new Map();
+  segments.forEach((segment, index) => {
+    segment.forEach(p => {
+      const k = key(p);
+      if (!byPoint.has(k)) byPoint.set(k, []);
+      byPoint.get(k).push(index);
+    });
+  });
+
+  const used = new Set();
+  const result = [];
+
+  segments.forEach((segment, index) => {
+    if (used.has(index) || key(segment[0]) === key(segment[1])) return;
+    used.add(index);
+
+    // Grow the chain forward from the segment's end, then backward from its start
+    const chain = [segment[0], segment[1]];
+    const grow = (atEnd) => {
+      for (;;) {
+        const tip = atEnd ? chain[chain.length - 1] : chain[0];
+        const next = (byPoint.get(key(tip)) || []).find(i => !used.has(i));
+        if (next === undefined) return;
+        used.add(next);
+
+        // Pieces shorter than the tolerance don't move the tip
+        const [p, q] = segments[next];
+        const other = key(p) === key(tip) ? q : p;
+        if (key(other) === key(tip)) continue;
+        if (atEnd) chain.push(other); else chain.unshift(other);
+      }
+    };
+    grow(true);
+    grow(false);
+
+    // Keep only corners
+    const corners = chain.filter((p, i) => {
+      if (i === 0 || i === chain.length - 1) return true;
+      const prev = chain[i - 1];
+      const next = chain[i + 1];
+      const cross = (p.x - prev.x) * (next.y - p.y) - (p.y - prev.y) * (next.x - p.x);
+      const length = Math.hypot(next.x - prev.x, next.y - prev.y);
+      return Math.abs(cross) > WELD_TOLERANCE * Math.max(length, 1);
+    });
+
+    for (let i = 0; i < corners.length - 1; i++) {
+      if (key(corners[i]) !== key(corners[i + 1])) {
+        result.push([corners[i], corners[i + 1]]);
+      }
+    }
+  });
+
+  return result;
+}
+
+// Start/end angles (radians) of an arc walked counter-clockwise
+function getArcAngles(arc) {
+  const [from, to] = arc.clockwise ? [arc.b, arc.a] : [arc.a, arc.b];
+  return {
+    start: Math.atan2(from.y - arc.center.y, from.x - arc.center.x),
+    end: Math.atan2(to.y - arc.center.y, to.x - arc.center.x),
+    radius: Math.hypot(arc.a.x - arc.center.x, arc.a.y - arc.center.y)
+  };
+}
+
+function format(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+// Corners of the area the primitives cover
+function getBounds(primitives) {
+  const box = new THREE.Box2();
+  primitives.forEach(p => {
+    if (p.type === 'line') {
+      box.expandByPoint(new THREE.Vector2(p.a.x, p.a.y));
+      box.expandByPoint(new THREE.Vector2(p.b.x, p.b.y));
+    } else {
+      // Whole circle, a little generous for arcs
+      const radius = p.type === 'circle' ? p.radius : getArcAngles(p).radius;
+      box.expandByPoint(new THREE.Vector2(p.center.x - radius, p.center.y - radius));
+      box.expandByPoint(new THREE.Vector2(p.center.x + radius, p.center.y + radius));
+    }
+  });
+  return box;
+}
+
+// DXF R12 text (LINE, ARC, CIRCLE on layer 0), units mm
+export function toDXF(primitives) {
+  const out = [];
+  const pair = (code, value) => out.push(String(code), typeof value === 'number' ? format(value) : value);
+
+  pair(0, 'SECTION');
+  pair(2, 'HEADER');
+  pair(9, '$ACADVER');
+  pair(1, 'AC1009');
+  pair(9, '$INSUNITS');
+  pair(70, '4');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION');
+  pair(2, 'ENTITIES');
+  primitives.forEach(p => {
+    if (p.type === 'line') {
+      pair(0, 'LINE');
+      pair(8, '0');
+      pair(10, p.a.x);
+      pair(20, p.a.y);
+      pair(30, 0);
+      pair(11, p.b.x);
+      pair(21, p.b.y);
+      pair(31, 0);
+    } else if (p.type === 'circle') {
+      pair(0, 'CIRCLE');
+      pair(8, '0');
+      pair(10, p.center.x);
+      pair(20, p.center.y);
+      pair(30, 0);
+      pair(40, p.radius);
+    } else {
+      // DXF arcs always run counter-clockwise, in degrees
+      const { start, end, radius } = getArcAngles(p);
+      pair(0, 'ARC');
+      pair(8, '0');
+      pair(10, p.center.x);
+      pair(20, p.center.y);
+      pair(30, 0);
+      pair(40, radius);
+      pair(50, start * 180 / Math.PI);
+      pair(51, end * 180 / Math.PI);
+    }
+  });
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+
+  return out.join('\n') + '\n';
+}
+
+// SVG text sized in mm, with y flipped so the drawing reads as on the sketch plane
+export function toSVG(primitives) {
+  const box = getBounds(primitives);
+  const margin = SVG_STROKE_WIDTH * 5;
+  const minX = box.min.x - margin;
+  const minY = -box.max.y - margin;
+  const width = box.max.x - box.min.x + margin * 2;
+  const height = box.max.y - box.min.y + margin * 2;
+
+  const x = value => format(value);
+  const y = value => format(-value);
+
+  const path = [];
+  const circles = [];
+  primitives.forEach(p => {
+    if (p.type === 'line') {
+      path.push(`M ${x(p.a.x)} ${y(p.a.y)} L ${x(p.b.x)} ${y(p.b.y)}`);
+    } else if (p.type === 'circle') {
+      circles.push(`  <circle cx="${x(p.center.x)}" cy="${y(p.center.y)}" r="${format(p.radius)}"/>`);
+    } else {
+      // With y flipped, counter-clockwise becomes SVG's negative (sweep 0) direction
+      const { start, end, radius } = getArcAngles(p);
+      let sweep = end - start;
+      if (sweep <= 0) sweep += Math.PI * 2;
+      const largeArc = sweep > Math.PI ? 1 : 0;
+      path.push(`M ${x(p.a.x)} ${y(p.a.y)} A ${format(radius)} ${format(radius)} 0 ${largeArc} ${p.clockwise ? 1 : 0} ${x(p.b.x)} ${y(p.b.y)}`);
+    }
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${format(width)}mm" height="${format(height)}mm" viewBox="${format(minX)} ${format(minY)} ${format(width)} ${format(height)}">`,
+    `<g fill="none" stroke="#000" stroke-width="${SVG_STROKE_WIDTH}">`,
+    path.length > 0 ? `  <path d="${path.join(' ')}"/>` : null,
+    ...circles,
+    '</g>',
+    '</svg>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+// Download primitives as a 'dxf' or 'svg' file
+export function exportDrawing(primitives, type, filename) {
+  if (primitives.length === 0) {
+    console.warn('Nothing to export');
+    return;
+  }
+
+  if (type === 'svg') {
+    downloadFile(toSVG(primitives), filename, 'image/svg+xml');
+  } else {
+    downloadFile(toDXF(primitives), filename, 'application/dxf');
+  }
+  console.log(`Exported ${primitives.length} curves to ${filename}`);
+}
@@ -0,0 +1,341 @@
+// Sketch Import - Reads SVG paths and DXF entities into Sketch vertices and edges
+// Files are parsed into 2D primitives first (y up, file units):
+//   { type: 'line', a, b }
+//   { type: 'arc', center, a, b, clockwise }
+//   { type: 'circle', center, radius }
+// where points are { x, y }. addToSketch then scales them into plane coordinates (mm) and
+// merges coincident endpoints, so outlines become closed loops for detectClosedLoops.
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+
+// Curve subdivisions for SVG beziers and ellipses, which sketches can't represent exactly
+const CURVE_DIVISIONS = 16;
+
+// DXF $INSUNITS codes -> mm per drawing unit
+const DXF_UNITS = {
+  1: 25.4, // Inches
+  2: 304.8, // Feet
+  4: 1, // Millimeters
+  5: 10, // Centimeters
+  6: 1000 // Meters
+};
+
+// SVG user units are CSS pixels (96 per inch)
+export const SVG_PIXEL_MM = 25.4 / 96;
+
+// Parse DXF text into { primitives, unitScale }
+// unitScale is mm per drawing unit from the $INSUNITS header, or null if unknown
+// Supports LINE, ARC, CIRCLE and LWPOLYLINE (with bulges) in the ENTITIES section
+export function parseDXF(text) {
+  // Group code / value pairs
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push({ code: parseInt(lines[i].trim()), value: lines[i + 1].trim() });
+  }
+
+  let unitScale = null;
+  const insUnits = pairs.findIndex(pair => pair.code === 9 && pair.value === '$INSUNITS');
+  if (insUnits !== -1 && pairs[insUnits + 1]) {
+    unitScale = DXF_UNITS[parseInt(pairs[insUnits + 1].value)] ?? null;
+  }
+
+  // Split the ENTITIES section into entities, each a type and its pairs
+  const entities = [];
+  let inEntities = false;
+  let current = null;
+  for (let i = 0; i < pairs.length; i++) {
+    const { code, value } = pairs[i];
+    if (code === 2 && pairs[i - 1]?.code === 0 && pairs[i - 1].value === 'SECTION') {
+      inEntities = value === 'ENTITIES';
+      continue;
+    }
+    if (!inEntities) continue;
+
+    if (code === 0 && value === 'ENDSEC') {
+      inEntities = false;
+    } else if (code === 0) {
+      current = { type: value, pairs: [] };
+      entities.push(current);
+    } else if (current) {
+      current.pairs.push({ code, value });
+    }
+  }
+
+  const primitives = [];
+  const skipped = new Set();
+  entities.forEach(entity => {
+    const added = dxfEntityToPrimitives(entity);
+    if (added) {
+      primitives.push(...added);
+    } else {
+      skipped.add(entity.type);
+    }
+  });
+
+  if (skipped.size > 0) {
+    console.warn('Skipped unsupported DXF entities:', [...skipped].join(', '));
+  }
+
+  return { primitives, unitScale };
+}
+
+// Primitives for one DXF entity, or null if the type is not supported
+function dxfEntityToPrimitives(entity) {
+  const get = (code, fallback = 0) => {
+    const pair = entity.pairs.find(p => p.code === code);
+    return pair ? parseFloat(pair.value) : fallback;
+  };
+
+  // Entities drawn with extrusion direction -Z (e.g. from mirrored blocks) have a mirrored X axis
+  const flip = get(230, 1) < 0 ? -1 : 1;
+
+  switch (entity.type) {
+    case 'LINE':
+      return [{
+        type: 'line',
+        a: { x: get(10), y: get(20) },
+        b: { x: get(11), y: get(21) }
+      }];
+
+    case 'CIRCLE':
+      return [{
+        type: 'circle',
+        center: { x: flip * get(10), y: get(20) },
+        radius: get(40)
+      }];
+
+    case 'ARC': {
+      // Angles are in degrees, counter-clockwise from start to end
+      const center = { x: flip * get(10), y: get(20) };
+      const radius = get(40);
+      let start = get(50) * Math.PI / 180;
+      let end = get(51) * Math.PI / 180;
+      if (flip < 0) {
+        [start, end] = [Math.PI - end, Math.PI - start];
+      }
+      return [{
+        type: 'arc',
+        center,
+        a: { x: center.x + radius * Math.cos(start), y: center.y + radius * Math.sin(start) },
+        b: { x: center.x + radius * Math.cos(end), y: center.y + radius * Math.sin(end) },
+        clockwise: false
+      }];
+    }
+
+    case 'LWPOLYLINE': {
+      // Vertices are 10/20 pairs, each optionally followed by a 42 bulge for the segment after it
+      const vertices = [];
+      entity.pairs.forEach(({ code, value }) => {
+        if (code === 10) {
+          vertices.push({ x: flip * parseFloat(value), y: 0, bulge: 0 });
+        } else if (code === 20 && vertices.length > 0) {
+          vertices[vertices.length - 1].y = parseFloat(value);
+        } else if (code === 42 && vertices.length > 0) {
+          vertices[vertices.length - 1].bulge = flip * parseFloat(value);
+        }
+      });
+
+      const closed = (get(70) & 1) === 1;
+      const primitives = [];
+      const count = closed ? vertices.length : vertices.length - 1;
+      for (let i = 0; i < count; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        primitives.push(bulgeToPrimitive(a, b, a.bulge));
+      }
+      return primitives;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Polyline segment from a to b; a non-zero bulge (tan of a quarter of the included angle,
+// positive counter-clockwise) makes it an arc
+function bulgeToPrimitive(a, b, bulge) {
+  const start = { x: a.x, y: a.y };
+  const end = { x: b.x, y: b.y };
+  const chord = Math.hypot(b.x - a.x, b.y - a.y);
+  if (Math.abs(bulge) < 1e-9 || chord < 1e-12) {
+    return { type: 'line', a: start, b: end };
+  }
+
+  // Sagitta (arc height over the chord midpoint) and signed radius
+  const sagitta = bulge * chord / 2;
+  const radius = (chord * chord / 4 + sagitta * sagitta) / (2 * sagitta);
+
+  // Counter-clockwise arcs have their center to the left of the chord
+  const left = { x: -(b.y - a.y) / chord, y: (b.x - a.x) / chord };
+  const offset = radius - sagitta;
+  const center = {
+    x: (a.x + b.x) / 2 + left.x * offset,
+    y: (a.y + b.y) / 2 + left.y * offset
+  };
+
+  return { type: 'arc', center, a: start, b: end, clockwise: bulge < 0 };
+}
+
+// Parse SVG text into { primitives, unitScale }
+// Paths and shapes (with their transforms) are read with three's SVGLoader. Lines and circular
+// arcs are kept exact, beziers and ellipses become short lines. y is flipped to point up.
+export function parseSVG(text) {
+  const data = new SVGLoader().parse(text);
+  const primitives = [];
+  const flipY = p => ({ x: p.x, y: -p.y });
+
+  data.paths.forEach(shapePath => {
+    shapePath.subPaths.forEach(subPath => {
+      subPath.curves.forEach(curve => {
+        if (curve.isLineCurve) {
+          primitives.push({ type: 'line', a: flipY(curve.v1), b: flipY(curve.v2) });
+          return;
+        }
+
+        const isCircular = curve.isEllipseCurve && Math.abs(curve.xRadius - curve.yRadius) < 1e-9 * Math.max(1, curve.xRadius);
+        if (isCircular) {
+          const center = flipY({ x: curve.aX, y: curve.aY });
+          if (Math.abs(curve.aEndAngle - curve.aStartAngle) >= Math.PI * 2 - 1e-9) {
+            primitives.push({ type: 'circle', center, radius: curve.xRadius });
+          } else {
+            // Flipping y mirrors the arc, so its direction flips too
+            primitives.push({
+              type: 'arc',
+              center,
+              a: flipY(curve.getPoint(0)),
+              b: flipY(curve.getPoint(1)),
+              clockwise: !curve.aClockwise
+            });
+          }
+          return;
+        }
+
+        const points = curve.getPoints(CURVE_DIVISIONS).map(flipY);
+        for (let i = 0; i < points.length - 1; i++) {
+          primitives.push({ type: 'line', a: points[i], b: points[i + 1] });
+        }
+      });
+    });
+  });
+
+  return { primitives, unitScale: SVG_PIXEL_MM };
+}
+
+// Parse a file's text by its extension (.svg or .dxf), or null if the type is not supported
+export function parseSketchFile(filename, text) {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'svg') return parseSVG(text);
+  if (extension === 'dxf') return parseDXF(text);
+
+  console.error('Unsupported sketch file type:', extension);
+  return null;
+}
+
+// Add primitives to a Sketch
+// options: { scale (mm per file unit), center (move the outline's center to the plane origin),
+//            tolerance (endpoints closer than this in mm are merged) }
+// Returns the number of edges added
+export function addToSketch(sketch, primitives, { scale = 1, center = false, tolerance = 1e-3 } = {}) {
+  // Offset that moves the bounding box center to the origin
+  let offsetX = 0;
+  let offsetY = 0;
+  if (center && primitives.length > 0) {
+    const xs = [];
+    const ys = [];
+    primitives.forEach(p => {
+      if (p.type === 'circle') {
+        xs.push(p.center.x - p.radius, p.center.x + p.radius);
+        ys.push(p.center.y - p.radius, p.center.y + p.radius);
+      } else {
+        xs.push(p.a.x, p.b.x);
+        ys.push(p.a.y, p.b.y);
+      }
+    });
+    offsetX = -(Math.min(...xs) + Math.max(...xs)) / 2;
+    offsetY = -(Math.min(...ys) + Math.max(...ys)) / 2;
+  }
+
+  // Vertices by grid cell of size tolerance, so finding a nearby vertex only looks at the
+  // neighbouring cells instead of every vertex in the sketch
+  const cellSize = tolerance > 0 ? tolerance : 1e-9;
+  const cellKey = (i, j) => `${i},${j}`;
+  const grid = new Map();
+  const addToGrid = vertex => {
+    const key = cellKey(Math.floor(vertex.u / cellSize), Math.floor(vertex.v / cellSize));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(vertex);
+  };
+  sketch.vertices.forEach(addToGrid);
+
+  // Closest vertex within tolerance of (u, v), or null
+  const findNear = (u, v) => {
+    const i = Math.floor(u / cellSize);
+    const j = Math.floor(v / cellSize);
+    let closest = null;
+    let closestDistance = tolerance;
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        (grid.get(cellKey(i + di, j + dj)) || []).forEach(vertex => {
+          const distance = Math.hypot(vertex.u - u, vertex.v - v);
+          if (distance <= closestDistance) {
+            closest = vertex;
+            closestDistance = distance;
+          }
+        });
+      }
+    }
+    return closest;
+  };
+
+  // Reuse an existing vertex within tolerance, so shared endpoints connect the edges
+  const vertexAt = p => {
+    const u = (p.x + offsetX) * scale;
+    const v = (p.y + offsetY) * scale;
+    const existing = findNear(u, v);
+    if (existing) return existing;
+
+    const vertex = sketch.addVertex(u, v);
+    addToGrid(vertex);
+    return vertex;
+  };
+
+  // Outlines often repeat edges (e.g. shapes sharing a border)
+  const lineKeys = new Set();
+  let added = 0;
+
+  primitives.forEach(p => {
+    if (p.type === 'circle') {
+      if (p.radius * scale <= tolerance) return;
+      sketch.addCircle(vertexAt(p.center).id, p.radius * scale);
+      added++;
+      return;
+    }
+
+    const a = vertexAt(p.a);
+    const b = vertexAt(p.b);
+
+    if (p.type === 'arc') {
+      const centerVertex = vertexAt(p.center);
+      if (a === b) {
+        // Start and end merged: the arc is a full circle
+        sketch.addCircle(centerVertex.id, Math.hypot(a.u - centerVertex.u, a.v - centerVertex.v));
+      } else {
+        sketch.addArc(centerVertex.id, a.id, b.id, p.clockwise);
+      }
+      added++;
+      return;
+    }
+
+    // Lines shorter than the tolerance collapse into one vertex
+    if (a === b) return;
+
+    const key = a.id < b.id ? `${a.id}-${b.id}` : `${b.id}-${a.id}`;
+    if (lineKeys.has(key)) return;
+    lineKeys.add(key);
+
+    sketch.addEdge(a.id, b.id);
+    added++;
+  });
+
+  return added;
+}
@@ -0,0 +1,268 @@
+// Sketch Snap - Snapping and inference for points placed or dragged in the sketch editor
+// Candidates, strongest first: existing vertices, line midpoints, line intersections,
+// horizontal/vertical alignment with other vertices, and the SmartGrid spacing.
+// The active snap is shown with a glyph, and accepted snaps can add the matching constraint.
+import * as THREE from 'three';
+
+const GLYPH_COLOR = 0xff8c00;
+const GUIDE_COLOR = 0xffb74d;
+
+// Glyph size and snap distance in screen pixels
+const GLYPH_PIXELS = 6;
+const SNAP_PIXELS = 8;
+
+export class SketchSnap {
+  constructor(sketchEditor) {
+    this.editor = sketchEditor;
+    this.kivi = sketchEditor.kivi;
+    this.enabled = true;
+    this.createConstraints = false; // Add coincident/midpoint/horizontal/vertical constraints for accepted snaps
+    this.glyphs = null;
+  }
+
+  // Snap a plane point {u, v}
+  // exclude: vertex IDs that are being moved (they and their edges are not snap targets)
+  // Returns { u, v, snaps } where snaps lists what the point snapped to:
+  //   { type: 'vertex', vertex } | { type: 'midpoint', edge } | { type: 'intersection', e1, e2 }
+  //   { type: 'horizontal', vertex } | { type: 'vertical', vertex } | { type: 'grid' }
+  snap(point, exclude = []) {
+    const result = { u: point.u, v: point.v, snaps: [] };
+    const sketchData = this.editor.getActiveSketchData();
+    if (!this.enabled || !sketchData) return result;
+
+    const tolerance = this.editor.getPickTolerance(SNAP_PIXELS);
+    const excluded = new Set(exclude);
+    const vertices = sketchData.vertices.filter(vertex => !excluded.has(vertex.id));
+    const lines = sketchData.edges.filter(edge =>
+      edge.type === 'line' && !excluded.has(edge.v1) && !excluded.has(edge.v2));
+
+    // Point targets: the closest one within tolerance wins
+    const targets = [];
+    vertices.forEach(vertex => {
+      targets.push({ u: vertex.u, v: vertex.v, snap: { type: 'vertex', vertex: vertex.id } });
+    });
+    lines.forEach(edge => {
+      const a = sketchData.getVertex(edge.v1);
+      const b = sketchData.getVertex(edge.v2);
+      targets.push({ u: (a.u + b.u) / 2, v: (a.v + b.v) / 2, snap: { type: 'midpoint', edge: edge.id } });
+    });
+    this.findIntersections(sketchData, lines, point, tolerance).forEach(target => targets.push(target));
+
+    // Earlier target types win ties, so a vertex beats a midpoint at the same spot
+    let best = null;
+    let bestDistance = tolerance;
+    targets.forEach(target => {
+      const distance = Math.hypot(target.u - point.u, target.v - point.v);
+      if (distance < bestDistance - 1e-12) {
+        best = target;
+        bestDistance = distance;
+      }
+    });
+
+    if (best) {
+      result.u = best.u;
+      result.v = best.v;
+      result.snaps.push(best.snap);
+      return result;
+    }
+
+    // Alignment: same v as another vertex (horizontal) and/or same u (vertical)
+    const horizontal = this.findAligned(vertices, 'v', point.v, tolerance);
+    const vertical = this.findAligned(vertices, 'u', point.u, tolerance);
+    if (horizontal) {
+      result.v = horizontal.v;
+      result.snaps.push({ type: 'horizontal', vertex: horizontal.id });
+    }
+    if (vertical) {
+      result.u = vertical.u;
+      result.snaps.push({ type: 'vertical', vertex: vertical.id });
+    }
+
+    // Grid: the axes not taken by an alignment move to the nearest grid line nearby
+    const spacing = this.getGridSpacing();
+    if (spacing) {
+      let snapped = false;
+      if (!vertical) {
+        const u = Math.round(point.u / spacing) * spacing;
+        if (Math.abs(u - point.u) < tolerance) {
+          result.u = u;
+          snapped = true;
+        }
+      }
+      if (!horizontal) {
+        const v = Math.round(point.v / spacing) * spacing;
+        if (Math.abs(v - point.v) < tolerance) {
+          result.v = v;
+          snapped = true;
+        }
+      }
+      if (snapped) result.snaps.push({ type: 'grid' });
+    }
+
+    return result;
+  }
+
+  // Vertex whose coordinate (axis 'u' or 'v') is closest to value, within tolerance
+  findAligned(vertices, axis, value, tolerance) {
+    let best = null;
+    let bestDistance = tolerance;
+    vertices.forEach(vertex => {
+      const distance = Math.abs(vertex[axis] - value);
+      if (distance < bestDistance) {
+        best = vertex;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  // Crossing points of line segments (not at shared endpoints) within tolerance of point
+  // A crossing lies on both lines, so only lines passing near the point are paired up
+  findIntersections(sketchData, allLines, point, tolerance) {
+    const lines = allLines.filter(edge => {
+      const a = sketchData.getVertex(edge.v1);
+      const b = sketchData.getVertex(edge.v2);
+      return point.u >= Math.min(a.u, b.u) - tolerance && point.u <= Math.max(a.u, b.u) + tolerance &&
+        point.v >= Math.min(a.v, b.v) - tolerance && point.v <= Math.max(a.v, b.v) + tolerance;
+    });
+
+    const targets = [];
+    for (let i = 0; i < lines.length; i++) {
+      for (let j = i + 1; j < lines.length; j++) {
+        const e1 = lines[i];
+        const e2 = lines[j];
+        if (e1.v1 === e2.v1 || e1.v1 === e2.v2 || e1.v2 === e2.v1 || e1.v2 === e2.v2) continue;
+
+        const a = sketchData.getVertex(e1.v1);
+        const b = sketchData.getVertex(e1.v2);
+        const c = sketchData.getVertex(e2.v1);
+        const d = sketchData.getVertex(e2.v2);
+
+        const denominator = (b.u - a.u) * (d.v - c.v) - (b.v - a.v) * (d.u - c.u);
+        if (Math.abs(denominator) < 1e-12) continue; // Parallel
+
+        const t = ((c.u - a.u) * (d.v - c.v) - (c.v - a.v) * (d.u - c.u)) / denominator;
+        const s = ((c.u - a.u) * (b.v - a.v) - (c.v - a.v) * (b.u - a.u)) / denominator;
+        if (t < 0 || t > 1 || s < 0 || s > 1) continue;
+
+        targets.push({
+          u: a.u + t * (b.u - a.u),
+          v: a.v + t * (b.v - a.v),
+          snap: { type: 'intersection', e1: e1.id, e2: e2.id }
+        });
+      }
+    }
+    return targets;
+  }
+
+  // Current SmartGrid spacing (mm), or null without a grid
+  getGridSpacing() {
+    const grid = this.kivi.objects.system.getObjectByName('grid');
+    if (!grid || !grid.visible) return null;
+    return grid.calculateSpacing(grid.currentZoom);
+  }
+
+  // Add the constraints implied by the snaps of a placed or dropped vertex
+  // Intersections and grid snaps have no matching constraint and are left as positions
+  applyConstraints(vertexId, snaps) {
+    if (!this.createConstraints) return;
+
+    const sketchData = this.editor.getActiveSketchData();
+    snaps.forEach(snap => {
+      switch (snap.type) {
+        case 'vertex':
+          if (snap.vertex !== vertexId) {
+            sketchData.addConstraint({ type: 'coincident', v1: vertexId, v2: snap.vertex });
+          }
+          break;
+        case 'midpoint':
+          sketchData.addConstraint({ type: 'midpoint', vertex: vertexId, edge: snap.edge });
+          break;
+        case 'horizontal':
+        case 'vertical':
+          if (snap.vertex !== vertexId) {
+            sketchData.addConstraint({ type: snap.type, v1: vertexId, v2: snap.vertex });
+          }
+          break;
+      }
+    });
+  }
+
+  // Show glyphs for a snap result (null clears them)
+  showGlyphs(result) {
+    this.clearGlyphs();
+    if (!result || result.snaps.length === 0) return;
+
+    const sketchData = this.editor.getActiveSketchData();
+    if (!sketchData) return;
+
+    const size = this.editor.getPickTolerance(GLYPH_PIXELS);
+    const { u, v } = result;
+    const glyphPoints = [];
+    const guidePoints = [];
+
+    // Closed outline through plane points, as line segment pairs
+    const outline = corners => corners.forEach((corner, i) => {
+      glyphPoints.push(corner, corners[(i + 1) % corners.length]);
+    });
+
+    result.snaps.forEach(snap => {
+      switch (snap.type) {
+        case 'vertex':
+          // Square
+          outline([[u - size, v - size], [u + size, v - size], [u + size, v + size], [u - size, v + size]]);
+          break;
+        case 'midpoint':
+          // Triangle
+          outline([[u - size, v - size], [u + size, v - size], [u, v + size]]);
+          break;
+        case 'intersection':
+          // Cross
+          glyphPoints.push([u - size, v - size], [u + size, v + size], [u - size, v + size], [u + size, v - size]);
+          break;
+        case 'horizontal':
+        case 'vertical': {
+          // Guide line from the aligned vertex
+          const vertex = sketchData.getVertex(snap.vertex);
+          if (vertex) guidePoints.push([vertex.u, vertex.v], [u, v]);
+          break;
+        }
+        case 'grid':
+          // Plus
+          glyphPoints.push([u - size, v], [u + size, v], [u, v - size], [u, v + size]);
+          break;
+      }
+    });
+
+    this.glyphs = new THREE.Group();
+    this.glyphs.name = 'snapGlyphs';
+    [[glyphPoints, GLYPH_COLOR], [guidePoints, GUIDE_COLOR]].forEach(([points, color]) => {
+      if (points.length === 0) return;
+      const geometry = new THREE.BufferGeometry().setFromPoints(
+        points.map(([pu, pv]) => sketchData.plane.toWorld(pu, pv))
+      );
+      const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color,
+        depthTest: false,
+        depthWrite: false
+      }));
+      lines.renderOrder = 1001;
+      this.glyphs.add(lines);
+    });
+
+    this.kivi.scene.add(this.glyphs);
+    this.kivi.render();
+  }
+
+  clearGlyphs() {
+    if (!this.glyphs) return;
+
+    this.kivi.scene.remove(this.glyphs);
+    this.glyphs.children.forEach(lines => {
+      lines.geometry.dispose();
+      lines.material.dispose();
+    });
+    this.glyphs = null;
+    this.kivi.render();
+  }
+}
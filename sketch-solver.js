@@ -0,0 +1,526 @@
+// Sketch Solver - Numerical 2D constraint solver for Sketch.constraints
+// Moves vertex (u, v) positions and circle radii until every constraint is satisfied.
+//
+// Each constraint contributes one or more residual equations that are zero when it holds.
+// The solver runs damped Gauss-Newton with a weighted minimum-norm step, so geometry that
+// is not involved in a violated constraint stays where the user put it.
+//
+// Supported constraints (IDs refer to sketch vertices / edges):
+//   {type: 'coincident', v1, v2}
+//   {type: 'horizontal', edge} or {type: 'horizontal', v1, v2}
+//   {type: 'vertical', edge} or {type: 'vertical', v1, v2}
+//   {type: 'parallel', e1, e2}
+//   {type: 'perpendicular', e1, e2}
+//   {type: 'equal', e1, e2}         - equal length (lines) or equal radius (arcs/circles)
+//   {type: 'tangent', e1, e2}       - line/arc or arc/arc tangency
+//   {type: 'fixed', vertex, u, v}
+//   {type: 'midpoint', vertex, edge}
+//
+// Driving dimensions (value is resolved from expression by Sketch.resolveDimensions):
+//   {type: 'distance', v1, v2, value} or {type: 'distance', edge, value}
+//   {type: 'horizontalDistance', v1, v2, value}
+//   {type: 'verticalDistance', v1, v2, value}
+//   {type: 'radius', edge, value}
+//   {type: 'diameter', edge, value}
+//   {type: 'angle', e1, e2, value}   - degrees between two lines
+
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-9; // Residual norm considered solved
+const RANK_TOLERANCE = 1e-7; // Pivot size considered zero when counting DOF
+const DRAG_WEIGHT = 1e-4; // Dragged vertices resist moving this much more than others
+
+// Constraint types that carry a value (driven by an expression)
+export const DIMENSION_TYPES = [
+  'distance',
+  'horizontalDistance',
+  'verticalDistance',
+  'radius',
+  'diameter',
+  'angle'
+];
+
+export class SketchSolver {
+  constructor(sketch) {
+    this.sketch = sketch;
+  }
+
+  // Solve the sketch in place
+  // options.dragged: vertex IDs the user is dragging (kept as close to their position as possible)
+  // options.counts: { dof, redundant } of an earlier solve of the same geometry and constraints,
+  //   which skips counting them again (that takes the Jacobian's rank)
+  // Returns {status, converged, residual, iterations, dof, redundant, invalid}
+  // where invalid lists the IDs of constraints that were ignored because their geometry is missing
+  solve(options = {}) {
+    const dragged = new Set(options.dragged || []);
+
+    this.buildVariables();
+    this.invalid = [];
+    const equations = this.buildEquations();
+
+    // Nothing to solve - every variable is free
+    if (equations.length === 0) {
+      return this.report(true, 0, 0, this.x.length, 0);
+    }
+
+    // Per-variable weights: smaller weight = moves less
+    const weights = this.variableOwners.map(owner =>
+      dragged.has(owner) ? DRAG_WEIGHT : 1
+    );
+
+    let residuals = this.evaluate(equations, this.x);
+    let error = norm(residuals);
+    let lambda = 1e-6;
+    let iterations = 0;
+
+    while (error > TOLERANCE && iterations < MAX_ITERATIONS) {
+      iterations++;
+
+      const jacobian = this.jacobian(equations, this.x);
+      const step = weightedMinNormStep(jacobian, residuals, weights, lambda);
+
+      const candidate = this.x.map((value, i) => value - step[i]);
+      const candidateResiduals = this.evaluate(equations, candidate);
+      const candidateError = norm(candidateResiduals);
+
+      if (candidateError < error) {
+        // Accept step, trust the linearization more
+        this.x = candidate;
+        residuals = candidateResiduals;
+        error = candidateError;
+        lambda = Math.max(lambda / 10, 1e-12);
+      } else {
+        // Reject step, damp harder
+        lambda *= 10;
+        if (lambda > 1e8) break;
+      }
+    }
+
+    this.applyVariables();
+
+    const converged = error <= TOLERANCE * 1e3;
+    if (options.counts) {
+      return this.report(converged, error, iterations, options.counts.dof, options.counts.redundant);
+    }
+
+    const rank = matrixRank(this.jacobian(equations, this.x));
+    return this.report(converged, error, iterations, this.x.length - rank, residuals.length - rank);
+  }
+
+  report(converged, residual, iterations, dof, redundant) {
+    let status;
+    if (!converged || redundant > 0) {
+      status = 'over-constrained';
+    } else if (dof > 0) {
+      status = 'under-constrained';
+    } else {
+      status = 'fully-constrained';
+    }
+
+    return { status, converged, residual, iterations, dof, redundant, invalid: this.invalid };
+  }
+
+  // Flatten vertex positions and circle radii into a variable vector
+  buildVariables() {
+    this.x = [];
+    this.variableOwners = []; // Vertex ID (or null) owning each variable
+    this.vertexIndex = new Map(); // vertex ID -> index of its u variable
+    this.radiusIndex = new Map(); // circle edge ID -> index of its radius variable
+
+    this.sketch.vertices.forEach(vertex => {
+      this.vertexIndex.set(vertex.id, this.x.length);
+      this.x.push(vertex.u, vertex.v);
+      this.variableOwners.push(vertex.id, vertex.id);
+    });
+
+    this.sketch.edges.forEach(edge => {
+      if (edge.type === 'circle') {
+        this.radiusIndex.set(edge.id, this.x.length);
+        this.x.push(edge.radius);
+        this.variableOwners.push(null);
+      }
+    });
+  }
+
+  // Write the solved variable vector back into the sketch
+  applyVariables() {
+    this.sketch.vertices.forEach(vertex => {
+      const i = this.vertexIndex.get(vertex.id);
+      vertex.u = this.x[i];
+      vertex.v = this.x[i + 1];
+    });
+
+    this.sketch.edges.forEach(edge => {
+      if (edge.type === 'circle') {
+        edge.radius = this.x[this.radiusIndex.get(edge.id)];
+      }
+    });
+  }
+
+  // Build residual functions (x) => number[] for all constraints
+  buildEquations() {
+    const equations = [];
+
+    // Arcs implicitly keep both ends on the same radius
+    this.sketch.edges.forEach(edge => {
+      if (edge.type !== 'arc') return;
+      if (!this.hasVertices(edge.v1, edge.v2, edge.center)) return;
+      equations.push(x => {
+        const c = this.point(x, edge.center);
+        return [dist(c, this.point(x, edge.v2)) - dist(c, this.point(x, edge.v1))];
+      });
+    });
+
+    this.sketch.constraints.forEach(constraint => {
+      const equation = this.buildConstraintEquation(constraint);
+      if (equation) {
+        equations.push(equation);
+      } else {
+        this.invalid.push(constraint.id);
+      }
+    });
+
+    return equations;
+  }
+
+  // Returns a residual function for one constraint, or null if it references missing geometry
+  buildConstraintEquation(c) {
+    switch (c.type) {
+      case 'coincident': {
+        if (!this.hasVertices(c.v1, c.v2)) return null;
+        return x => {
+          const a = this.point(x, c.v1);
+          const b = this.point(x, c.v2);
+          return [a[0] - b[0], a[1] - b[1]];
+        };
+      }
+
+      case 'horizontal':
+      case 'vertical': {
+        const ends = this.lineEnds(c);
+        if (!ends) return null;
+        const axis = c.type === 'horizontal' ? 1 : 0; // Compare v for horizontal, u for vertical
+        return x => {
+          const a = this.point(x, ends[0]);
+          const b = this.point(x, ends[1]);
+          return [b[axis] - a[axis]];
+        };
+      }
+
+      case 'parallel':
+      case 'perpendicular': {
+        const e1 = this.lineEdge(c.e1);
+        const e2 = this.lineEdge(c.e2);
+        if (!e1 || !e2) return null;
+        return x => {
+          const d1 = unit(this.direction(x, e1));
+          const d2 = unit(this.direction(x, e2));
+          return [c.type === 'parallel' ? cross(d1, d2) : dot(d1, d2)];
+        };
+      }
+
+      case 'equal': {
+        const e1 = this.edge(c.e1);
+        const e2 = this.edge(c.e2);
+        if (!e1 || !e2) return null;
+        return x => [this.edgeSize(x, e1) - this.edgeSize(x, e2)];
+      }
+
+      case 'tangent': {
+        const e1 = this.edge(c.e1);
+        const e2 = this.edge(c.e2);
+        if (!e1 || !e2) return null;
+        return this.buildTangentEquation(e1, e2);
+      }
+
+      case 'fixed': {
+        if (!this.hasVertices(c.vertex)) return null;
+        return x => {
+          const p = this.point(x, c.vertex);
+          return [p[0] - c.u, p[1] - c.v];
+        };
+      }
+
+      case 'midpoint': {
+        const edge = this.lineEdge(c.edge);
+        if (!edge || !this.hasVertices(c.vertex)) return null;
+        return x => {
+          const p = this.point(x, c.vertex);
+          const a = this.point(x, edge.v1);
+          const b = this.point(x, edge.v2);
+          return [p[0] - (a[0] + b[0]) / 2, p[1] - (a[1] + b[1]) / 2];
+        };
+      }
+
+      case 'distance': {
+        const ends = this.lineEnds(c);
+        if (!ends || !Number.isFinite(c.value)) return null;
+        return x => [dist(this.point(x, ends[0]), this.point(x, ends[1])) - c.value];
+      }
+
+      case 'horizontalDistance':
+      case 'verticalDistance': {
+        const ends = this.lineEnds(c);
+        if (!ends || !Number.isFinite(c.value)) return null;
+        const axis = c.type === 'horizontalDistance' ? 0 : 1;
+        // Keep the points on the side they are on now so the equation stays smooth
+        const side = Math.sign(this.point(this.x, ends[1])[axis] - this.point(this.x, ends[0])[axis]) || 1;
+        return x => [side * (this.point(x, ends[1])[axis] - this.point(x, ends[0])[axis]) - c.value];
+      }
+
+      case 'radius':
+      case 'diameter': {
+        const edge = this.edge(c.edge);
+        if (!edge || edge.type === 'line' || !Number.isFinite(c.value)) return null;
+        const factor = c.type === 'diameter' ? 2 : 1;
+        return x => [factor * this.edgeSize(x, edge) - c.value];
+      }
+
+      case 'angle': {
+        const e1 = this.lineEdge(c.e1);
+        const e2 = this.lineEdge(c.e2);
+        if (!e1 || !e2 || !Number.isFinite(c.value)) return null;
+        const signedAngle = x => {
+          const d1 = unit(this.direction(x, e1));
+          const d2 = unit(this.direction(x, e2));
+          return Math.atan2(cross(d1, d2), dot(d1, d2));
+        };
+        // Keep the current rotation sense (e1 -> e2 clockwise or counter-clockwise)
+        const side = Math.sign(signedAngle(this.x)) || 1;
+        const target = c.value * Math.PI / 180;
+        return x => [side * signedAngle(x) - target];
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  buildTangentEquation(e1, e2) {
+    const isRound = edge => edge.type === 'arc' || edge.type === 'circle';
+
+    // Line tangent to arc/circle: distance from center to line equals radius
+    if (isRound(e1) !== isRound(e2)) {
+      const line = isRound(e1) ? e2 : e1;
+      const round = isRound(e1) ? e1 : e2;
+      if (line.type !== 'line') return null;
+      return x => {
+        const a = this.point(x, line.v1);
+        const b = this.point(x, line.v2);
+        const center = this.point(x, round.center);
+        const d = unit([b[0] - a[0], b[1] - a[1]]);
+        const distance = Math.abs(cross(d, [center[0] - a[0], center[1] - a[1]]));
+        return [distance - this.edgeSize(x, round)];
+      };
+    }
+
+    if (!isRound(e1)) return null;
+
+    // Arc/circle pair: externally or internally tangent, whichever is closer right now
+    const centerDistance = x => dist(this.point(x, e1.center), this.point(x, e2.center));
+    const r1 = this.edgeSize(this.x, e1);
+    const r2 = this.edgeSize(this.x, e2);
+    const current = centerDistance(this.x);
+    const internal = Math.abs(current - Math.abs(r1 - r2)) < Math.abs(current - (r1 + r2));
+
+    return x => {
+      const a = this.edgeSize(x, e1);
+      const b = this.edgeSize(x, e2);
+      return [centerDistance(x) - (internal ? Math.abs(a - b) : a + b)];
+    };
+  }
+
+  evaluate(equations, x) {
+    const residuals = [];
+    equations.forEach(equation => residuals.push(...equation(x)));
+    return residuals;
+  }
+
+  // Numerical Jacobian (central differences)
+  jacobian(equations, x) {
+    const rows = this.evaluate(equations, x).length;
+    const matrix = Array.from({ length: rows }, () => new Array(x.length).fill(0));
+    const probe = x.slice();
+
+    for (let j = 0; j < x.length; j++) {
+      const h = 1e-6 * Math.max(1, Math.abs(x[j]));
+      probe[j] = x[j] + h;
+      const plus = this.evaluate(equations, probe);
+      probe[j] = x[j] - h;
+      const minus = this.evaluate(equations, probe);
+      probe[j] = x[j];
+
+      for (let i = 0; i < rows; i++) {
+        matrix[i][j] = (plus[i] - minus[i]) / (2 * h);
+      }
+    }
+
+    return matrix;
+  }
+
+  // Geometry accessors on the variable vector
+
+  point(x, vertexId) {
+    const i = this.vertexIndex.get(vertexId);
+    return [x[i], x[i + 1]];
+  }
+
+  direction(x, edge) {
+    const a = this.point(x, edge.v1);
+    const b = this.point(x, edge.v2);
+    return [b[0] - a[0], b[1] - a[1]];
+  }
+
+  // Length of a line, radius of an arc or circle
+  edgeSize(x, edge) {
+    if (edge.type === 'circle') return x[this.radiusIndex.get(edge.id)];
+    if (edge.type === 'arc') return dist(this.point(x, edge.center), this.point(x, edge.v1));
+    return dist(this.point(x, edge.v1), this.point(x, edge.v2));
+  }
+
+  hasVertices(...ids) {
+    return ids.every(id => this.vertexIndex.has(id));
+  }
+
+  edge(id) {
+    const edge = this.sketch.getEdge(id);
+    if (!edge) return null;
+    if (edge.type === 'circle') return this.hasVertices(edge.center) ? edge : null;
+    if (edge.type === 'arc') return this.hasVertices(edge.v1, edge.v2, edge.center) ? edge : null;
+    return this.hasVertices(edge.v1, edge.v2) ? edge : null;
+  }
+
+  lineEdge(id) {
+    const edge = this.edge(id);
+    return edge && edge.type === 'line' ? edge : null;
+  }
+
+  // Endpoints for constraints that accept either an edge or a vertex pair
+  lineEnds(c) {
+    if (c.edge !== undefined) {
+      const edge = this.lineEdge(c.edge);
+      return edge ? [edge.v1, edge.v2] : null;
+    }
+    return this.hasVertices(c.v1, c.v2) ? [c.v1, c.v2] : null;
+  }
+}
+
+// Vector helpers (2D arrays)
+
+function dist(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1];
+}
+
+function cross(a, b) {
+  return a[0] * b[1] - a[1] * b[0];
+}
+
+function unit(a) {
+  const length = Math.hypot(a[0], a[1]) || 1;
+  return [a[0] / length, a[1] / length];
+}
+
+function norm(values) {
+  return Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+}
+
+// Step = W Jᵀ (J W Jᵀ + λI)⁻¹ r
+// The smallest weighted change to x that removes the linearized residual
+function weightedMinNormStep(jacobian, residuals, weights, lambda) {
+  const rows = jacobian.length;
+  const cols = weights.length;
+
+  const system = Array.from({ length: rows }, () => new Array(rows).fill(0));
+  for (let i = 0; i < rows; i++) {
+    for (let k = i; k < rows; k++) {
+      let sum = 0;
+      for (let j = 0; j < cols; j++) {
+        sum += jacobian[i][j] * weights[j] * jacobian[k][j];
+      }
+      system[i][k] = sum;
+      system[k][i] = sum;
+    }
+    system[i][i] += lambda;
+  }
+
+  const y = solveLinear(system, residuals.slice());
+
+  const step = new Array(cols).fill(0);
+  for (let j = 0; j < cols; j++) {
+    let sum = 0;
+    for (let i = 0; i < rows; i++) {
+      sum += jacobian[i][j] * y[i];
+    }
+    step[j] = weights[j] * sum;
+  }
+
+  return step;
+}
+
+// Gaussian elimination with partial pivoting (modifies inputs)
+function solveLinear(matrix, rhs) {
+  const n = rhs.length;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+
+    const diagonal = matrix[col][col];
+    if (Math.abs(diagonal) < 1e-300) continue;
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = matrix[row][col] / diagonal;
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+      rhs[row] -= factor * rhs[col];
+    }
+  }
+
+  const result = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rhs[row];
+    for (let k = row + 1; k < n; k++) {
+      sum -= matrix[row][k] * result[k];
+    }
+    result[row] = Math.abs(matrix[row][row]) < 1e-300 ? 0 : sum / matrix[row][row];
+  }
+
+  return result;
+}
+
+// Numerical rank via row echelon form
+function matrixRank(matrix) {
+  const rows = matrix.map(row => row.slice());
+  const rowCount = rows.length;
+  const colCount = rowCount > 0 ? rows[0].length : 0;
+  let rank = 0;
+
+  for (let col = 0; col < colCount && rank < rowCount; col++) {
+    let pivot = rank;
+    for (let row = rank + 1; row < rowCount; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < RANK_TOLERANCE) continue;
+
+    [rows[rank], rows[pivot]] = [rows[pivot], rows[rank]];
+
+    for (let row = rank + 1; row < rowCount; row++) {
+      const factor = rows[row][col] / rows[rank][col];
+      for (let k = col; k < colCount; k++) {
+        rows[row][k] -= factor * rows[rank][k];
+      }
+    }
+    rank++;
+  }
+
+  return rank;
+}
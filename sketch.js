@@ -3,6 +3,63 @@
 
 import * as THREE from 'three';
 import { Plane } from './plane.js';
+import { FaceAttachment } from './face-attachment.js';
+import { SketchSolver, DIMENSION_TYPES } from './sketch-solver.js';
+import { evaluateExpression } from './expression.js';
+import { createDimensionAnnotations } from './sketch-dimensions.js';
+
+// Segments used to tessellate a full circle (arcs use a proportional share)
+const CIRCLE_SEGMENTS = 64;
+
+const EDGE_COLOR = 0x00bcd4; // Cyan for sketch lines (distinguishable from axis blue)
+const REFERENCE_EDGE_COLOR = 0x9e9e9e; // Gray for reference geometry such as a projected face outline
+
+// Distance from (u, v) to the segment a-b in plane coordinates
+function distanceToSegment(u, v, a, b) {
+  const du = b.u - a.u;
+  const dv = b.v - a.v;
+  const lengthSq = du * du + dv * dv;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((u - a.u) * du + (v - a.v) * dv) / lengthSq))
+    : 0;
+  return Math.hypot(u - (a.u + du * t), v - (a.v + dv * t));
+}
+
+// Signed area of a polygon of {u, v} points (positive when counter-clockwise)
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.u * b.v - b.u * a.v;
+  }
+  return area / 2;
+}
+
+// Even-odd ray casting test
+function pointInPolygon(u, v, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.v > v) !== (b.v > v) && u < (b.u - a.u) * (v - a.v) / (b.v - a.v) + a.u) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// True if most of the inner polygon's points lie inside the outer polygon
+// (a majority vote tolerates loops that touch at shared vertices)
+function polygonInside(inner, outer) {
+  const insideCount = inner.filter(p => pointInPolygon(p.u, p.v, outer)).length;
+  return insideCount * 2 > inner.length;
+}
+
+// Stable identifier for a region: its outer loop's edge ids
+function regionKey(edgeIds) {
+  return [...edgeIds].sort((a, b) => a - b).join(',');
+}
 
 export class Sketch {
   constructor(plane = null) {
@@ -10,11 +67,24 @@ export class Sketch {
     this.plane = plane || Plane.XY(); // Default to XY plane
 
     this.vertices = []; // Array of {id, u, v} in plane coordinates
-    this.edges = []; // Array of {id, type, v1, v2, ...params}
-    this.constraints = []; // Array of {type, ...params}
-    this.parameters = {}; // Named parameters
+    // Array of edges:
+    //   line:   {id, type: 'line', v1, v2}
+    //   arc:    {id, type: 'arc', v1 (start), v2 (end), center, clockwise}
+    //   circle: {id, type: 'circle', center, radius}
+    // center is a vertex ID so it can be picked and constrained like any other point
+    // Edges with reference: true (e.g. a projected face outline) don't bound regions
+    this.edges = [];
+    this.constraints = []; // Array of {id, type, ...params} (see sketch-solver.js)
+    this.parameters = {}; // Named parameters: name -> expression (string or number)
     this.nextVertexId = 0;
     this.nextEdgeId = 0;
+    this.nextConstraintId = 0;
+
+    // Result of the last solve: {status, dof, redundant, ...}
+    this.solverStatus = null;
+
+    // FaceAttachment for sketches on a body face (keeps the plane on the face), or null
+    this.attachment = null;
   }
 
   // Add a vertex at position (u, v) in plane coordinates
@@ -40,6 +110,301 @@ export class Sketch {
     return edge;
   }
 
+  // Add an arc from startId to endId around centerId
+  // Sweeps counter-clockwise in plane coordinates unless clockwise is true
+  addArc(centerId, startId, endId, clockwise = false) {
+    const edge = {
+      id: this.nextEdgeId++,
+      type: 'arc',
+      v1: startId,
+      v2: endId,
+      center: centerId,
+      clockwise: clockwise
+    };
+    this.edges.push(edge);
+    return edge;
+  }
+
+  // Add a full circle around centerId
+  addCircle(centerId, radius) {
+    const edge = {
+      id: this.nextEdgeId++,
+      type: 'circle',
+      center: centerId,
+      radius: radius
+    };
+    this.edges.push(edge);
+    return edge;
+  }
+
+  // Add fixed reference lines from [{u, v}, {u, v}] pairs, e.g. a face outline projected into the sketch
+  // Shared endpoints become shared vertices, so the lines can be snapped and dimensioned to
+  addReferenceLines(segments, tolerance = 1e-6) {
+    const vertexAt = p => {
+      const existing = this.findVertexNear(p.u, p.v, tolerance);
+      if (existing) return existing;
+
+      const vertex = this.addVertex(p.u, p.v);
+      this.constraints.push({ id: this.nextConstraintId++, type: 'fixed', vertex: vertex.id, u: p.u, v: p.v });
+      return vertex;
+    };
+
+    segments.forEach(([a, b]) => {
+      const v1 = vertexAt(a);
+      const v2 = vertexAt(b);
+      if (v1 === v2) return;
+
+      const edge = this.addEdge(v1.id, v2.id);
+      edge.reference = true;
+    });
+
+    this.solve();
+  }
+
+  // Add a constraint and re-solve the sketch
+  // Fixed constraints without an explicit position pin the vertex where it is now
+  addConstraint(constraint) {
+    const added = { id: this.nextConstraintId++, ...constraint };
+
+    if (added.type === 'fixed' && (added.u === undefined || added.v === undefined)) {
+      const vertex = this.getVertex(added.vertex);
+      if (vertex) {
+        added.u = vertex.u;
+        added.v = vertex.v;
+      }
+    }
+
+    this.constraints.push(added);
+    this.solve();
+
+    // Reported here once, the solver skips it quietly from now on
+    if (this.solverStatus.invalid.includes(added.id)) {
+      console.warn('Sketch solver: ignoring invalid constraint', added);
+    }
+    if (this.solverStatus.status === 'over-constrained') {
+      console.warn('Sketch is over-constrained after adding', added.type, this.solverStatus);
+    }
+
+    return added;
+  }
+
+  // Remove a constraint by id and re-solve the sketch
+  removeConstraint(id) {
+    const index = this.constraints.findIndex(c => c.id === id);
+    if (index === -1) return false;
+
+    this.constraints.splice(index, 1);
+    this.solve();
+    return true;
+  }
+
+  // Add a driving dimension whose value is an expression over this.parameters
+  // e.g. addDimension({type: 'distance', edge: 0}, '2*bore + 4')
+  // Without an expression the dimension drives to its current measured value
+  addDimension(dimension, expression = null) {
+    if (!DIMENSION_TYPES.includes(dimension.type)) {
+      console.error('Unknown dimension type:', dimension.type);
+      return null;
+    }
+
+    if (expression === null) {
+      const measured = this.measureDimension(dimension);
+      if (measured === null) {
+        console.error('Cannot measure dimension', dimension);
+        return null;
+      }
+      expression = String(parseFloat(measured.toFixed(4)));
+    }
+
+    try {
+      this.evaluate(expression);
+    } catch (error) {
+      console.error('Invalid dimension expression:', error.message);
+      return null;
+    }
+
+    return this.addConstraint({ ...dimension, expression: String(expression) });
+  }
+
+  // Change the expression of a dimension constraint and re-solve
+  setDimensionExpression(id, expression) {
+    const constraint = this.constraints.find(c => c.id === id);
+    if (!constraint || !DIMENSION_TYPES.includes(constraint.type)) return false;
+
+    try {
+      this.evaluate(expression);
+    } catch (error) {
+      console.error('Invalid dimension expression:', error.message);
+      return false;
+    }
+
+    constraint.expression = String(expression);
+    this.solve();
+    return true;
+  }
+
+  // Set a named parameter (number or expression over other parameters) and re-solve
+  setParameter(name, expression) {
+    return this.setParameters({ ...this.parameters, [name]: expression });
+  }
+
+  removeParameter(name) {
+    if (!(name in this.parameters)) return false;
+
+    const parameters = { ...this.parameters };
+    delete parameters[name];
+    return this.setParameters(parameters);
+  }
+
+  // Replace all parameters at once and re-solve
+  // Rejected (returns false) if any parameter or dimension expression no longer resolves
+  setParameters(parameters) {
+    const invalidName = Object.keys(parameters).find(name => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name));
+    if (invalidName !== undefined) {
+      console.error('Invalid parameter name:', invalidName);
+      return false;
+    }
+
+    const previous = this.parameters;
+    this.parameters = { ...parameters };
+
+    try {
+      this.evaluateParameters();
+      this.constraints.forEach(c => {
+        if (c.expression !== undefined) this.evaluate(c.expression);
+      });
+    } catch (error) {
+      // Roll back so the sketch never holds an unresolvable parameter set
+      this.parameters = previous;
+      console.error('Invalid parameters:', error.message);
+      return false;
+    }
+
+    this.solve();
+    return true;
+  }
+
+  // Resolve all parameters to numbers (parameters may refer to each other)
+  // Throws on unknown names and circular references
+  evaluateParameters() {
+    const values = {};
+    const resolving = new Set();
+
+    const resolve = (name) => {
+      if (name in values) return values[name];
+      if (!(name in this.parameters)) {
+        throw new Error(`Unknown parameter "${name}"`);
+      }
+      if (resolving.has(name)) {
+        throw new Error(`Circular reference in parameter "${name}"`);
+      }
+
+      resolving.add(name);
+      values[name] = evaluateExpression(this.parameters[name], resolve);
+      resolving.delete(name);
+      return values[name];
+    };
+
+    Object.keys(this.parameters).forEach(resolve);
+    return values;
+  }
+
+  // Evaluate an expression against this sketch's parameters
+  evaluate(expression) {
+    const values = this.evaluateParameters();
+    return evaluateExpression(expression, name => {
+      if (!(name in values)) throw new Error(`Unknown parameter "${name}"`);
+      return values[name];
+    });
+  }
+
+  // Update the numeric value of every dimension from its expression
+  resolveDimensions() {
+    this.constraints.forEach(constraint => {
+      if (constraint.expression === undefined) return;
+
+      try {
+        constraint.value = this.evaluate(constraint.expression);
+      } catch (error) {
+        // Keep the last good value so the sketch does not collapse
+        console.warn('Dimension expression failed:', constraint.expression, error.message);
+      }
+    });
+  }
+
+  // Current measured value of a dimension (mm or degrees), or null if it cannot be measured
+  measureDimension(dimension) {
+    const ends = () => {
+      if (dimension.edge !== undefined) {
+        const edge = this.getEdge(dimension.edge);
+        return edge?.type === 'line' ? [this.getVertex(edge.v1), this.getVertex(edge.v2)] : [];
+      }
+      return [this.getVertex(dimension.v1), this.getVertex(dimension.v2)];
+    };
+
+    switch (dimension.type) {
+      case 'distance':
+      case 'horizontalDistance':
+      case 'verticalDistance': {
+        const [a, b] = ends();
+        if (!a || !b) return null;
+        if (dimension.type === 'horizontalDistance') return Math.abs(b.u - a.u);
+        if (dimension.type === 'verticalDistance') return Math.abs(b.v - a.v);
+        return Math.hypot(b.u - a.u, b.v - a.v);
+      }
+
+      case 'radius':
+      case 'diameter': {
+        const edge = this.getEdge(dimension.edge);
+        if (!edge || edge.type === 'line') return null;
+        const arc = this.getArcParams(edge);
+        if (!arc) return null;
+        return dimension.type === 'diameter' ? arc.radius * 2 : arc.radius;
+      }
+
+      case 'angle': {
+        const direction = (edgeId) => {
+          const edge = this.getEdge(edgeId);
+          if (edge?.type !== 'line') return null;
+          const a = this.getVertex(edge.v1);
+          const b = this.getVertex(edge.v2);
+          return a && b ? { u: b.u - a.u, v: b.v - a.v } : null;
+        };
+        const d1 = direction(dimension.e1);
+        const d2 = direction(dimension.e2);
+        if (!d1 || !d2) return null;
+        const angle = Math.atan2(d1.u * d2.v - d1.v * d2.u, d1.u * d2.u + d1.v * d2.v);
+        return Math.abs(angle) * 180 / Math.PI;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Move vertices to satisfy all constraints
+  // options.dragged: vertex IDs being dragged, which move as little as possible
+  solve(options = {}) {
+    this.resolveDimensions();
+
+    // Degrees of freedom only change with the geometry and constraints, not as vertices move,
+    // so they are counted again only after such a change
+    const structure = this.getStructureKey();
+    const counts = structure === this.solvedStructure ? this.solverStatus : null;
+    this.solverStatus = new SketchSolver(this).solve({ ...options, counts });
+    this.solvedStructure = structure;
+    return this.solverStatus;
+  }
+
+  // Summary of the vertices, edges and constraints (without positions) for solve()
+  getStructureKey() {
+    return JSON.stringify([
+      this.vertices.map(vertex => vertex.id),
+      this.edges.map(({ id, type, v1, v2, center, reference }) => [id, type, v1, v2, center, reference]),
+      this.constraints
+    ]);
+  }
+
   // Add a box (4 vertices + 4 edges)
   addBox(centerX, centerZ, width, height) {
     const halfW = width / 2;
@@ -68,15 +433,148 @@ export class Sketch {
     return this.vertices.find(v => v.id === id);
   }
 
+  // Get edge by id
+  getEdge(id) {
+    return this.edges.find(e => e.id === id);
+  }
+
+  // Resolve center, radius and angles of an arc or circle edge
+  // Angles are in radians in plane coordinates; sweep is signed (negative = clockwise)
+  getArcParams(edge) {
+    const center = this.getVertex(edge.center);
+    if (!center) return null;
+
+    if (edge.type === 'circle') {
+      return {
+        cu: center.u,
+        cv: center.v,
+        radius: edge.radius,
+        startAngle: 0,
+        endAngle: Math.PI * 2,
+        sweep: Math.PI * 2
+      };
+    }
+
+    const start = this.getVertex(edge.v1);
+    const end = this.getVertex(edge.v2);
+    if (!start || !end) return null;
+
+    const startAngle = Math.atan2(start.v - center.v, start.u - center.u);
+    const endAngle = Math.atan2(end.v - center.v, end.u - center.u);
+
+    // Normalize sweep into (0, 2π] for CCW or [-2π, 0) for CW
+    let sweep = endAngle - startAngle;
+    if (edge.clockwise) {
+      if (sweep >= 0) sweep -= Math.PI * 2;
+    } else {
+      if (sweep <= 0) sweep += Math.PI * 2;
+    }
+
+    return {
+      cu: center.u,
+      cv: center.v,
+      radius: Math.hypot(start.u - center.u, start.v - center.v),
+      startAngle,
+      endAngle,
+      sweep
+    };
+  }
+
+  // Tessellate an edge into {u, v} points in plane coordinates
+  // If fromVertexId is the edge's v2, the points are returned from v2 to v1
+  getEdgePoints(edge, fromVertexId = edge.v1) {
+    let points;
+
+    if (edge.type === 'arc' || edge.type === 'circle') {
+      const arc = this.getArcParams(edge);
+      if (!arc) return [];
+
+      const segments = Math.max(4, Math.ceil(CIRCLE_SEGMENTS * Math.abs(arc.sweep) / (Math.PI * 2)));
+      points = [];
+      for (let i = 0; i <= segments; i++) {
+        const angle = arc.startAngle + arc.sweep * (i / segments);
+        points.push({
+          u: arc.cu + Math.cos(angle) * arc.radius,
+          v: arc.cv + Math.sin(angle) * arc.radius
+        });
+      }
+    } else {
+      const v1 = this.getVertex(edge.v1);
+      const v2 = this.getVertex(edge.v2);
+      if (!v1 || !v2) return [];
+      points = [{ u: v1.u, v: v1.v }, { u: v2.u, v: v2.v }];
+    }
+
+    if (edge.type !== 'circle' && fromVertexId === edge.v2 && edge.v1 !== edge.v2) {
+      points.reverse();
+    }
+
+    return points;
+  }
+
+  // Tessellate an edge into world-space THREE.Vector3 points
+  getEdgeWorldPoints(edge) {
+    return this.getEdgePoints(edge).map(p => this.plane.toWorld(p.u, p.v));
+  }
+
+  // Find the closest edge within tolerance of (u, v), or null
+  findEdgeNear(u, v, tolerance) {
+    let closest = null;
+    let closestDistance = tolerance;
+
+    this.edges.forEach(edge => {
+      const points = this.getEdgePoints(edge);
+      for (let i = 0; i < points.length - 1; i++) {
+        const distance = distanceToSegment(u, v, points[i], points[i + 1]);
+        if (distance <= closestDistance) {
+          closest = edge;
+          closestDistance = distance;
+        }
+      }
+    });
+
+    return closest;
+  }
+
+  // Find the closest vertex within tolerance of (u, v), or null
+  findVertexNear(u, v, tolerance) {
+    let closest = null;
+    let closestDistance = tolerance;
+
+    this.vertices.forEach(vertex => {
+      const distance = Math.hypot(vertex.u - u, vertex.v - v);
+      if (distance <= closestDistance) {
+        closest = vertex;
+        closestDistance = distance;
+      }
+    });
+
+    return closest;
+  }
+
   // Detect closed loops (faces) in the sketch
   // Returns array of loops, where each loop is an array of edge IDs
   detectClosedLoops() {
     const loops = [];
     const visitedEdges = new Set();
 
+    // Reference edges are never part of a loop
+    this.edges.forEach(edge => {
+      if (edge.reference) visitedEdges.add(edge.id);
+    });
+
+    // Circles are closed loops on their own
+    this.edges.forEach(edge => {
+      if (edge.type === 'circle' && !edge.reference) {
+        loops.push([edge.id]);
+        visitedEdges.add(edge.id);
+      }
+    });
+
     // Build adjacency map: vertex -> edges connected to it
     const adjacencyMap = new Map();
     this.edges.forEach(edge => {
+      if (edge.type === 'circle' || edge.reference) return;
       if (!adjacencyMap.has(edge.v1)) adjacencyMap.set(edge.v1, []);
       if (!adjacencyMap.has(edge.v2)) adjacencyMap.set(edge.v2, []);
       adjacencyMap.get(edge.v1).push(edge);
@@ -88,7 +586,7 @@ export class Sketch {
       if (visitedEdges.has(startEdge.id)) return;
 
       const loop = this.findLoop(startEdge, adjacencyMap, visitedEdges);
-      if (loop && loop.length >= 3) { // Valid loop has at least 3 edges
+      if (loop && this.isValidLoop(loop)) {
         loops.push(loop);
         loop.forEach(edgeId => visitedEdges.add(edgeId));
       }
@@ -97,6 +595,13 @@ export class Sketch {
     return loops;
   }
 
+  // A loop of straight lines needs at least 3 edges to enclose an area,
+  // but an arc can close a region with a single line (D shape) or another arc
+  isValidLoop(loop) {
+    if (loop.length >= 3) return true;
+    return loop.length === 2 && loop.some(edgeId => this.getEdge(edgeId)?.type === 'arc');
+  }
+
   // Find a loop starting from a given edge
   findLoop(startEdge, adjacencyMap, visitedEdges) {
     const loop = [];
@@ -110,7 +615,8 @@ export class Sketch {
     visitedInLoop.add(currentEdge.id);
 
     // Follow edges until we get back to start or hit a dead end
-    let maxIterations = 100; // Prevent infinite loops
+    // Each step uses a new edge, so a loop can't take more steps than there are edges
+    let maxIterations = this.edges.length;
     while (maxIterations-- > 0) {
       // Find next edge connected to currentVertex (not already visited in this loop)
       const connectedEdges = adjacencyMap.get(currentVertex) || [];
@@ -136,30 +642,72 @@ export class Sketch {
     return null; // Didn't close the loop
   }
 
-  // Create invisible selection meshes for closed loops (faces)
+  // Group closed loops into regions by containment
+  // A region is an outer loop plus the loops directly inside it, which become holes.
+  // Loops inside a hole start new regions (islands), and so on.
+  // Returns [{ key, outer: edgeIds, holes: [edgeIds, ...] }], largest region first
+  detectRegions() {
+    const loops = this.detectClosedLoops()
+      .map(edgeIds => {
+        const polygon = this.getLoopVertices(edgeIds);
+        return { edgeIds, polygon, area: Math.abs(polygonArea(polygon)) };
+      })
+      .filter(loop => loop.polygon.length >= 3 && loop.area > 1e-12);
+
+    // Largest first, so every loop's possible parents come before it
+    loops.sort((a, b) => b.area - a.area);
+
+    const regions = [];
+    loops.forEach((loop, index) => {
+      // The parent is the smallest larger loop that contains this one
+      loop.parent = null;
+      for (let i = index - 1; i >= 0; i--) {
+        if (polygonInside(loop.polygon, loops[i].polygon)) {
+          loop.parent = loops[i];
+          break;
+        }
+      }
+      loop.depth = loop.parent ? loop.parent.depth + 1 : 0;
+
+      if (loop.depth % 2 === 0) {
+        loop.region = { key: regionKey(loop.edgeIds), outer: loop.edgeIds, holes: [] };
+        regions.push(loop.region);
+      } else {
+        loop.parent.region.holes.push(loop.edgeIds);
+      }
+    });
+
+    return regions;
+  }
+
+  // Build a THREE.Shape with holes for a region
+  regionToShape(region) {
+    const shape = this.loopToShape(region.outer);
+    if (!shape) return null;
+
+    region.holes.forEach(hole => {
+      const path = new THREE.Path();
+      if (this.buildLoopPath(hole, path)) {
+        shape.holes.push(path);
+      }
+    });
+
+    return shape;
+  }
+
+  // Create invisible selection meshes for regions (faces with their holes)
   // Returns THREE.Group containing invisible meshes for raycasting
   createSelectionMeshes() {
     const group = new THREE.Group();
-    const loops = this.detectClosedLoops();
-
-    loops.forEach((loop, loopIndex) => {
-      // Get vertices for this loop in order
-      const loopVertices = this.getLoopVertices(loop);
-
-      if (loopVertices.length < 3) return; // Need at least 3 vertices for a face
+    const regions = this.detectRegions();
 
-      // Create a shape from the loop vertices (in 2D plane coordinates)
-      const shape = new THREE.Shape();
-      loopVertices.forEach((vertex, i) => {
-        if (i === 0) {
-          shape.moveTo(vertex.u, vertex.v);
-        } else {
-          shape.lineTo(vertex.u, vertex.v);
-        }
-      });
+    regions.forEach((region, regionIndex) => {
+      // Create a shape from the region (in 2D plane coordinates)
+      const shape = this.regionToShape(region);
+      if (!shape) return;
 
       // Create geometry from shape (creates in XY plane by default)
-      const geometry = new THREE.ShapeGeometry(shape);
+      const geometry = new THREE.ShapeGeometry(shape, CIRCLE_SEGMENTS / 4);
 
       // Create invisible material for raycasting
       const material = new THREE.MeshBasicMaterial({
@@ -168,10 +716,11 @@ export class Sketch {
       });
 
       const mesh = new THREE.Mesh(geometry, material);
-      mesh.name = `sketch-face-${loopIndex}`;
+      mesh.name = `sketch-face-${regionIndex}`;
       mesh.userData.sketchFace = true;
-      mesh.userData.loopIndex = loopIndex;
-      mesh.userData.edgeIds = loop; // Store which edges form this face
+      mesh.userData.regionIndex = regionIndex;
+      mesh.userData.regionKey = region.key;
+      mesh.userData.edgeIds = [region.outer, ...region.holes].flat(); // Store which edges bound this face
 
       // Apply plane's transformation to align mesh
       // Build transformation matrix from plane's basis vectors
@@ -191,11 +740,20 @@ export class Sketch {
   }
 
   // Get ordered vertices for a loop of edges
+  // Arcs and circles are tessellated, so their intermediate points are plain {u, v}
+  // objects without an id
   getLoopVertices(edgeIds) {
     if (edgeIds.length === 0) return [];
 
     const vertices = [];
-    const edges = edgeIds.map(id => this.edges.find(e => e.id === id));
+    const edges = edgeIds.map(id => this.getEdge(id));
+
+    // A circle is a loop by itself
+    if (edges[0].type === 'circle') {
+      const points = this.getEdgePoints(edges[0]);
+      points.pop(); // Last point repeats the first
+      return points;
+    }
 
     // Start with first edge
     let currentVertex = edges[0].v1;
@@ -204,6 +762,13 @@ export class Sketch {
     // Follow the loop
     edges.forEach(edge => {
       const nextVertex = (edge.v1 === currentVertex) ? edge.v2 : edge.v1;
+
+      if (edge.type === 'arc') {
+        // Add intermediate arc points in traversal order
+        const points = this.getEdgePoints(edge, currentVertex);
+        vertices.push(...points.slice(1, -1));
+      }
+
       vertices.push(this.getVertex(nextVertex));
       currentVertex = nextVertex;
     });
@@ -214,26 +779,72 @@ export class Sketch {
     return vertices;
   }
 
+  // Build a THREE.Shape for a loop of edges, emitting true arcs via absarc
+  // Returns null if the loop cannot enclose an area
+  loopToShape(edgeIds) {
+    const shape = new THREE.Shape();
+    return this.buildLoopPath(edgeIds, shape) ? shape : null;
+  }
+
+  // Append a loop of edges to a THREE.Path (or Shape) in plane coordinates
+  buildLoopPath(edgeIds, path) {
+    if (edgeIds.length === 0) return false;
+
+    const edges = edgeIds.map(id => this.getEdge(id));
+
+    // A circle is a loop by itself
+    if (edges[0].type === 'circle') {
+      const arc = this.getArcParams(edges[0]);
+      if (!arc) return false;
+      path.moveTo(arc.cu + arc.radius, arc.cv);
+      path.absarc(arc.cu, arc.cv, arc.radius, 0, Math.PI * 2, false);
+      return true;
+    }
+
+    let currentVertex = edges[0].v1;
+    const start = this.getVertex(currentVertex);
+    if (!start) return false;
+    path.moveTo(start.u, start.v);
+
+    for (const edge of edges) {
+      const forward = edge.v1 === currentVertex;
+      const nextVertex = forward ? edge.v2 : edge.v1;
+      const next = this.getVertex(nextVertex);
+      if (!next) return false;
+
+      if (edge.type === 'arc') {
+        const arc = this.getArcParams(edge);
+        if (!arc) return false;
+
+        // Walking the arc backwards swaps its ends and flips its direction
+        if (forward) {
+          path.absarc(arc.cu, arc.cv, arc.radius, arc.startAngle, arc.endAngle, arc.sweep < 0);
+        } else {
+          path.absarc(arc.cu, arc.cv, arc.radius, arc.endAngle, arc.startAngle, arc.sweep > 0);
+        }
+      } else {
+        path.lineTo(next.u, next.v);
+      }
+
+      currentVertex = nextVertex;
+    }
+
+    return true;
+  }
+
   // Convert to THREE.js geometry for visualization
   toGeometry() {
     const group = new THREE.Group();
 
-    // Draw edges as lines
+    // Draw edges as lines (arcs and circles are tessellated)
     this.edges.forEach(edge => {
-      const v1 = this.getVertex(edge.v1);
-      const v2 = this.getVertex(edge.v2);
-
-      if (!v1 || !v2) return;
-
       // Convert plane coordinates to world coordinates
-      const points = [
-        this.plane.toWorld(v1.u, v1.v),
-        this.plane.toWorld(v2.u, v2.v)
-      ];
+      const points = this.getEdgeWorldPoints(edge);
+      if (points.length < 2) return;
 
       const geometry = new THREE.BufferGeometry().setFromPoints(points);
       const material = new THREE.LineBasicMaterial({
-        color: 0x00bcd4, // Cyan for sketch lines (distinguishable from axis blue)
+        color: edge.reference ? REFERENCE_EDGE_COLOR : EDGE_COLOR,
         linewidth: 2
         // Remove depthTest/depthWrite settings - let it render normally
       });
@@ -285,31 +896,40 @@ export class Sketch {
     const points = new THREE.Points(geometry, material);
     group.add(points);
 
+    // Dimension leaders and value labels
+    group.add(createDimensionAnnotations(this));
+
     return group;
   }
 
   // Serialize to JSON
   toJSON() {
-    return {
-      plane: this.plane,
+    const data = {
+      plane: this.plane.toJSON(),
       vertices: this.vertices,
       edges: this.edges,
       constraints: this.constraints,
       parameters: this.parameters
     };
+    if (this.attachment) {
+      data.attachment = this.attachment.toJSON();
+    }
+    return data;
   }
 
   // Deserialize from JSON
   static fromJSON(data) {
-    const sketch = new Sketch(data.plane);
+    const sketch = new Sketch(data.plane ? Plane.fromJSON(data.plane) : null);
     sketch.vertices = data.vertices || [];
     sketch.edges = data.edges || [];
     sketch.constraints = data.constraints || [];
     sketch.parameters = data.parameters || {};
+    sketch.attachment = data.attachment ? FaceAttachment.fromJSON(data.attachment) : null;
 
     // Update ID counters
     sketch.nextVertexId = Math.max(...sketch.vertices.map(v => v.id), -1) + 1;
     sketch.nextEdgeId = Math.max(...sketch.edges.map(e => e.id), -1) + 1;
+    sketch.nextConstraintId = Math.max(...sketch.constraints.map(c => c.id ?? -1), -1) + 1;
 
     return sketch;
   }
@@ -0,0 +1,366 @@
+// STEP Export - Writes bodies as STEP AP214 B-rep solids for CAD interchange
+// Unlike STL, faces are exact surfaces: planes for the caps and straight sides, cylinders
+// for arcs and circles, bounded by lines and circles. So far only bodies built from Extrude
+// features are supported; every extruded region becomes one closed shell.
+// Coordinates are in mm in the external Z-up frame (see coordinateSystem.exportObject).
+import * as THREE from 'three';
+import { coordinateSystem } from './coordinate-system.js';
+import { downloadFile } from './download.js';
+
+// Bodies whose features can all be written as exact solids
+export function canExportSTEP(mesh) {
+  const features = mesh.userData?.kivi?.history?.features;
+  return !!features && features.length > 0 && features.every(feature => feature.type === 'extrude');
+}
+
+// STEP real: always has a decimal point (1. / 1.5 / 1.E-07)
+function real(value) {
+  if (Math.abs(value) < 1e-12) return '0.';
+  const [mantissa, exponent] = Number(value.toPrecision(15)).toString().split('e');
+  const number = mantissa.includes('.') ? mantissa : `${mantissa}.`;
+  return exponent ? `${number}E${exponent}` : number;
+}
+
+// STEP string: quotes doubled, non-ASCII characters as \X2\ hex escapes
+function string(value) {
+  return `'${String(value).replace(/'/g, "''").replace(/[^\x20-\x7e]/g, char =>
+    `\\X2\\${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}\\X0\\`)}'`;
+}
+
+// Collects entity instances and numbers them #1, #2, ...
+class StepWriter {
+  constructor() {
+    this.entities = [];
+  }
+
+  add(entity) {
+    this.entities.push(entity);
+    return `#${this.entities.length}`;
+  }
+
+  point(p) {
+    return this.add(`CARTESIAN_POINT('',(${real(p.x)},${real(p.y)},${real(p.z)}))`);
+  }
+
+  direction(d) {
+    return this.add(`DIRECTION('',(${real(d.x)},${real(d.y)},${real(d.z)}))`);
+  }
+
+  placement(origin, axis, refDirection) {
+    return this.add(`AXIS2_PLACEMENT_3D('',${this.point(origin)},${this.direction(axis)},${this.direction(refDirection)})`);
+  }
+
+  toString(filename) {
+    const timestamp = new Date().toISOString().slice(0, 19);
+    return [
+      'ISO-10303-21;',
+      'HEADER;',
+      "FILE_DESCRIPTION(('KIVI Draft model'),'2;1');",
+      `FILE_NAME(${string(filename)},'${timestamp}',(''),(''),'KIVI Draft','KIVI Draft','');`,
+      "FILE_SCHEMA(('AUTOMOTIVE_DESIGN { 1 0 10303 214 1 1 1 1 }'));",
+      'ENDSEC;',
+      'DATA;',
+      ...this.entities.map((entity, index) => `#${index + 1}=${entity};`),
+      'ENDSEC;',
+      'END-ISO-10303-21;',
+      ''
+    ].join('\n');
+  }
+}
+
+// Edges of a sketch loop as segments in traversal order, in plane coordinates
+// Each is { type: 'line' | 'arc' | 'circle', a, b, center, radius, ccw } where a/b are {u, v}
+// and ccw tells which way an arc or circle turns around its center
+function getLoopSegments(sketch, edgeIds) {
+  const edges = edgeIds.map(id => sketch.getEdge(id));
+
+  // A circle is a loop by itself
+  if (edges[0].type === 'circle') {
+    const arc = sketch.getArcParams(edges[0]);
+    const start = { u: arc.cu + arc.radius, v: arc.cv };
+    return [{ type: 'circle', a: start, b: start, center: { u: arc.cu, v: arc.cv }, radius: arc.radius, ccw: true }];
+  }
+
+  const segments = [];
+  let currentVertex = edges[0].v1;
+  for (const edge of edges) {
+    const forward = edge.v1 === currentVertex;
+    const nextVertex = forward ? edge.v2 : edge.v1;
+    const a = sketch.getVertex(currentVertex);
+    const b = sketch.getVertex(nextVertex);
+
+    if (edge.type === 'arc') {
+      const arc = sketch.getArcParams(edge);
+      segments.push({
+        type: 'arc',
+        a, b,
+        center: { u: arc.cu, v: arc.cv },
+        radius: arc.radius,
+        ccw: forward ? arc.sweep > 0 : arc.sweep < 0
+      });
+    } else {
+      segments.push({ type: 'line', a, b });
+    }
+
+    currentVertex = nextVertex;
+  }
+
+  return segments;
+}
+
+// Signed area of a loop of segments (positive = counter-clockwise)
+function getLoopArea(sketch, edgeIds) {
+  const polygon = sketch.getLoopVertices(edgeIds);
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const p = polygon[i];
+    const q = polygon[(i + 1) % polygon.length];
+    area += p.u * q.v - q.u * p.v;
+  }
+  return area / 2;
+}
+
+// Same loop walked the other way
+function reverseSegments(segments) {
+  return segments.slice().reverse().map(segment => ({ ...segment, a: segment.b, b: segment.a, ccw: !segment.ccw }));
+}
+
+// Writes extruded regions as solids, mapping plane coordinates (u, v, w along the normal)
+// through matrix into the exported frame
+class ExtrudeSolidWriter {
+  constructor(writer, feature, matrix) {
+    this.writer = writer;
+    this.sketch = feature.sketch;
+    this.matrix = matrix;
+    this.scale = matrix.getMaxScaleOnAxis();
+
+    // A mirroring transform turns every loop around
+    this.mirrored = matrix.determinant() < 0;
+
+    // Extrusion runs from w0 to w1 (reverse extrusions sit behind the sketch plane)
+    this.w0 = feature.direction < 0 ? -feature.distance : 0;
+    this.w1 = feature.direction < 0 ? 0 : feature.distance;
+  }
+
+  toPoint(u, v, w) {
+    return new THREE.Vector3(u, v, w).applyMatrix4(this.matrix);
+  }
+
+  toDirection(u, v, w) {
+    return new THREE.Vector3(u, v, w).transformDirection(this.matrix);
+  }
+
+  // MANIFOLD_SOLID_BREP for a region (outer loop with holes)
+  writeRegion(region, name) {
+    // Material is always on the left of a loop: outer loops counter-clockwise, holes clockwise
+    const loops = [region.outer, ...region.holes].map((edgeIds, index) => {
+      const segments = getLoopSegments(this.sketch, edgeIds);
+      const ccw = getLoopArea(this.sketch, edgeIds) > 0;
+      return ccw === (index === 0) ? segments : reverseSegments(segments);
+    });
+
+    const faces = [];
+    const capLoops = { bottom: [], top: [] };
+
+    loops.forEach(segments => {
+      const n = segments.length;
+
+      // Vertices at both ends of the extrusion, and the straight edges joining them
+      const bottom = segments.map(s => this.vertex(s.a, this.w0));
+      const top = segments.map(s => this.vertex(s.a, this.w1));
+      const vertical = segments.map((s, i) => this.edge(bottom[i], top[i], this.line(this.toPoint(s.a.u, s.a.v, this.w0), this.toDirection(0, 0, 1), this.w1 - this.w0)));
+
+      // Profile edges, running in loop direction
+      const bottomEdges = segments.map((s, i) => this.edge(bottom[i], bottom[(i + 1) % n], this.curve(s, this.w0)));
+      const topEdges = segments.map((s, i) => this.edge(top[i], top[(i + 1) % n], this.curve(s, this.w1)));
+
+      // Side faces: up the start, back along the top, down the end
+      segments.forEach((s, i) => {
+        const next = (i + 1) % n;
+        const bound = this.loop([
+          [bottomEdges[i], true],
+          [vertical[next], true],
+          [topEdges[i], false],
+          [vertical[i], false]
+        ]);
+        faces.push(this.sideFace(s, bound));
+      });
+
+      // Caps: the top follows the loop, the bottom (seen from below) runs against it
+      capLoops.top.push(this.loop(topEdges.map(edge => [edge, true])));
+      capLoops.bottom.push(this.loop(bottomEdges.map(edge => [edge, false]).reverse()));
+    });
+
+    faces.push(this.capFace(capLoops.top, this.w1, 1));
+    faces.push(this.capFace(capLoops.bottom, this.w0, -1));
+
+    const shell = this.writer.add(`CLOSED_SHELL('',(${faces.join(',')}))`);
+    return this.writer.add(`MANIFOLD_SOLID_BREP(${string(name)},${shell})`);
+  }
+
+  vertex(p, w) {
+    return this.writer.add(`VERTEX_POINT('',${this.writer.point(this.toPoint(p.u, p.v, w))})`);
+  }
+
+  edge(start, end, curve) {
+    return this.writer.add(`EDGE_CURVE('',${start},${end},${curve},.T.)`);
+  }
+
+  line(origin, direction, length) {
+    const vector = this.writer.add(`VECTOR('',${this.writer.direction(direction)},${real(length * this.scale)})`);
+    return this.writer.add(`LINE('',${this.writer.point(origin)},${vector})`);
+  }
+
+  // Line or circle through a segment at height w, parametrized in loop direction
+  curve(segment, w) {
+    const { a, b } = segment;
+    if (segment.type === 'line') {
+      const length = Math.hypot(b.u - a.u, b.v - a.v);
+      return this.line(this.toPoint(a.u, a.v, w), this.toDirection(b.u - a.u, b.v - a.v, 0), length);
+    }
+
+    // A circle turns counter-clockwise around its axis, which mirroring flips
+    const { center, radius } = segment;
+    const axis = (segment.ccw !== this.mirrored) ? 1 : -1;
+    const placement = this.writer.placement(
+      this.toPoint(center.u, center.v, w),
+      this.toDirection(0, 0, axis),
+      this.toDirection(a.u - center.u, a.v - center.v, 0)
+    );
+    return this.writer.add(`CIRCLE('',${placement},${real(radius * this.scale)})`);
+  }
+
+  // Oriented edges [edge, forward] as an edge loop
+  loop(orientedEdges) {
+    // Mirroring turns the loop around, keeping the face on its left
+    const ordered = this.mirrored
+      ? orientedEdges.slice().reverse().map(([edge, forward]) => [edge, !forward])
+      : orientedEdges;
+
+    const refs = ordered.map(([edge, forward]) => this.writer.add(`ORIENTED_EDGE('',*,*,${edge},${forward ? '.T.' : '.F.'})`));
+    return this.writer.add(`EDGE_LOOP('',(${refs.join(',')}))`);
+  }
+
+  sideFace(segment, loop) {
+    const bound = this.writer.add(`FACE_OUTER_BOUND('',${loop},.T.)`);
+    const { a, b } = segment;
+
+    if (segment.type === 'line') {
+      // Material is on the left, so the outward normal points right
+      const du = b.u - a.u;
+      const dv = b.v - a.v;
+      const placement = this.writer.placement(
+        this.toPoint(a.u, a.v, this.w0),
+        this.toDirection(dv, -du, 0),
+        this.toDirection(du, dv, 0)
+      );
+      const plane = this.writer.add(`PLANE('',${placement})`);
+      return this.writer.add(`ADVANCED_FACE('',(${bound}),${plane},.T.)`);
+    }
+
+    // The cylinder's normal points away from its axis, which is outward where the
+    // loop turns counter-clockwise around the center (material toward the axis)
+    const { center, radius } = segment;
+    const placement = this.writer.placement(
+      this.toPoint(center.u, center.v, this.w0),
+      this.toDirection(0, 0, 1),
+      this.toDirection(a.u - center.u, a.v - center.v, 0)
+    );
+    const cylinder = this.writer.add(`CYLINDRICAL_SURFACE('',${placement},${real(radius * this.scale)})`);
+    return this.writer.add(`ADVANCED_FACE('',(${bound}),${cylinder},${segment.ccw ? '.T.' : '.F.'})`);
+  }
+
+  // Planar cap at height w with outward normal along side * w
+  capFace(loops, w, side) {
+    const bounds = loops.map((loop, index) =>
+      this.writer.add(`${index === 0 ? 'FACE_OUTER_BOUND' : 'FACE_BOUND'}('',${loop},.T.)`));
+    const placement = this.writer.placement(this.toPoint(0, 0, w), this.toDirection(0, 0, side), this.toDirection(1, 0, 0));
+    const plane = this.writer.add(`PLANE('',${placement})`);
+    return this.writer.add(`ADVANCED_FACE('',(${bounds.join(',')}),${plane},.T.)`);
+  }
+}
+
+// Product, shape representation and solids for one body
+function writeBody(writer, mesh, context, productContext, definitionContext) {
+  const name = mesh.name || 'body';
+  const history = mesh.userData.kivi.history;
+  const features = history.features;
+  if (features.length > 1) {
+    console.warn(`${name}: ${features.length} extrudes are written as separate solids, not merged`);
+  }
+
+  // Plane coordinates -> body -> world -> Z-up
+  mesh.updateWorldMatrix(true, false);
+  const external = coordinateSystem.exportObject(new THREE.Object3D());
+  external.updateMatrix();
+  const bodyMatrix = external.matrix.clone().multiply(mesh.matrixWorld);
+
+  const solids = [];
+  features.forEach(feature => {
+    // The plane the feature was built on, in body coordinates (see FeatureHistory.inBodyCoordinates)
+    const plane = history.inBodyCoordinates(feature, () => feature.sketch.plane);
+    const planeMatrix = new THREE.Matrix4().makeBasis(plane.uAxis, plane.vAxis, plane.normal).setPosition(plane.origin);
+    const solidWriter = new ExtrudeSolidWriter(writer, feature, bodyMatrix.clone().multiply(planeMatrix));
+
+    feature.getRegions().forEach(region => {
+      solids.push(solidWriter.writeRegion(region, `${name} ${solids.length + 1}`));
+    });
+  });
+
+  if (solids.length === 0) {
+    console.warn(`${name}: no closed regions to export`);
+    return false;
+  }
+
+  const product = writer.add(`PRODUCT(${string(name)},${string(name)},'',(${productContext}))`);
+  writer.add(`PRODUCT_RELATED_PRODUCT_CATEGORY('part',$,(${product}))`);
+  const formation = writer.add(`PRODUCT_DEFINITION_FORMATION('','',${product})`);
+  const definition = writer.add(`PRODUCT_DEFINITION('design','',${formation},${definitionContext})`);
+  const shape = writer.add(`PRODUCT_DEFINITION_SHAPE('','',${definition})`);
+  const origin = writer.placement(new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, 1), new THREE.Vector3(1, 0, 0));
+  const representation = writer.add(`ADVANCED_BREP_SHAPE_REPRESENTATION(${string(name)},(${[origin, ...solids].join(',')}),${context})`);
+  writer.add(`SHAPE_DEFINITION_REPRESENTATION(${shape},${representation})`);
+  return true;
+}
+
+// STEP file text with one part per supported body, or null if none could be written
+export function buildSTEP(meshes, filename = 'bodies.step') {
+  const writer = new StepWriter();
+
+  // Shared contexts: AP214 application, mm / radian units
+  const application = writer.add("APPLICATION_CONTEXT('core data for automotive mechanical design processes')");
+  writer.add(`APPLICATION_PROTOCOL_DEFINITION('international standard','automotive_design',2000,${application})`);
+  const productContext = writer.add(`PRODUCT_CONTEXT('',${application},'mechanical')`);
+  const definitionContext = writer.add(`PRODUCT_DEFINITION_CONTEXT('part definition',${application},'design')`);
+
+  const lengthUnit = writer.add('(LENGTH_UNIT()NAMED_UNIT(*)SI_UNIT(.MILLI.,.METRE.))');
+  const angleUnit = writer.add('(NAMED_UNIT(*)PLANE_ANGLE_UNIT()SI_UNIT($,.RADIAN.))');
+  const solidAngleUnit = writer.add('(NAMED_UNIT(*)SI_UNIT($,.STERADIAN.)SOLID_ANGLE_UNIT())');
+  const uncertainty = writer.add(`UNCERTAINTY_MEASURE_WITH_UNIT(LENGTH_MEASURE(1.E-07),${lengthUnit},'distance_accuracy_value','confusion accuracy')`);
+  const context = writer.add(`(GEOMETRIC_REPRESENTATION_CONTEXT(3)GLOBAL_UNCERTAINTY_ASSIGNED_CONTEXT((${uncertainty}))GLOBAL_UNIT_ASSIGNED_CONTEXT((${lengthUnit},${angleUnit},${solidAngleUnit}))REPRESENTATION_CONTEXT('',''))`);
+
+  let written = 0;
+  meshes.forEach(mesh => {
+    if (!canExportSTEP(mesh)) {
+      console.warn(`Skipping ${mesh.name}: only bodies made of Extrude features can be exported to STEP`);
+      return;
+    }
+    if (writeBody(writer, mesh, context, productContext, definitionContext)) {
+      written++;
+    }
+  });
+
+  return written > 0 ? writer.toString(filename) : null;
+}
+
+// Download meshes as a .step file
+export function exportSTEP(meshes, filename = 'bodies.step') {
+  const text = buildSTEP(meshes, filename);
+  if (!text) {
+    console.warn('No bodies could be exported to STEP');
+    return;
+  }
+
+  downloadFile(text, filename, 'model/step');
+  console.log('Exported STEP:', filename);
+}
@@ -0,0 +1,75 @@
+// STL Export - Writes body meshes as binary or ASCII STL for 3D printing
+// Model units are mm, which is what slicers assume for unitless STL. Vertices are written
+// in the external Z-up frame (see coordinateSystem.exportObject), with each body's
+// transform applied.
+import * as THREE from 'three';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { coordinateSystem } from './coordinate-system.js';
+import { downloadFile } from './download.js';
+
+// Body types that have a solid mesh (sketch region meshes are not exported)
+const BODY_TYPES = ['body', 'extrude_from_face'];
+
+export function isBodyMesh(object) {
+  return object.isMesh && BODY_TYPES.includes(object.userData?.kivi?.type);
+}
+
+// Body meshes to export for an object: the object itself if it is a body,
+// otherwise the visible bodies inside it (e.g. the bodies folder)
+export function getExportMeshes(object) {
+  if (isBodyMesh(object)) {
+    return [object];
+  }
+
+  const meshes = [];
+  object.traverseVisible(child => {
+    if (isBodyMesh(child)) {
+      meshes.push(child);
+    }
+  });
+  return meshes;
+}
+
+// Copy of a mesh with its world transform baked in, turned Z-up
+function toExternalMesh(mesh) {
+  mesh.updateWorldMatrix(true, false);
+  const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrixWorld);
+
+  const external = coordinateSystem.exportObject(new THREE.Mesh(geometry));
+  external.name = mesh.name;
+  external.updateMatrixWorld(true);
+  return external;
+}
+
+// Returns a DataView (binary) or a string (ASCII) with all meshes in one solid
+export function buildSTL(meshes, { binary = true } = {}) {
+  const group = new THREE.Group();
+  const externals = meshes.map(mesh => toExternalMesh(mesh));
+  externals.forEach(external => group.add(external));
+
+  const result = new STLExporter().parse(group, { binary });
+
+  externals.forEach(external => external.geometry.dispose());
+  return result;
+}
+
+// Download meshes as one merged .stl, or one file per mesh named after it
+export function exportSTL(meshes, { binary = true, merge = true, filename = 'bodies.stl' } = {}) {
+  if (meshes.length === 0) {
+    console.warn('No bodies to export');
+    return;
+  }
+
+  const type = binary ? 'application/octet-stream' : 'model/stl';
+
+  if (merge || meshes.length === 1) {
+    downloadFile(buildSTL(meshes, { binary }), filename, type);
+    console.log(`Exported ${meshes.length} ${meshes.length === 1 ? 'body' : 'bodies'} to ${filename} (${binary ? 'binary' : 'ASCII'})`);
+    return;
+  }
+
+  meshes.forEach(mesh => {
+    downloadFile(buildSTL([mesh], { binary }), `${mesh.name}.stl`, type);
+  });
+  console.log(`Exported ${meshes.length} bodies as separate STL files (${binary ? 'binary' : 'ASCII'})`);
+}
@@ -0,0 +1,324 @@
+// Transform Gizmo - Move and rotate a body in the viewport or by typing values
+// Wraps three.js TransformControls for the selected body, with a panel showing its position (mm)
+// and rotation (degrees) in external Z-up coordinates. Dragging snaps to the SmartGrid spacing
+// and to ROTATION_SNAP degrees. Every drag or typed value is one undo step.
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { coordinateSystem } from './coordinate-system.js';
+
+// Rotation snap increment (degrees)
+const ROTATION_SNAP = 15;
+
+// Swaps Y and Z. Conjugating a rotation with it converts between internal and external axes.
+const SWAP_YZ = new THREE.Matrix4().set(
+  1, 0, 0, 0,
+  0, 0, 1, 0,
+  0, 1, 0, 0,
+  0, 0, 0, 1
+);
+
+// Rotation of an internal quaternion as external XYZ Euler angles (degrees)
+export function toExternalRotation(quaternion) {
+  const matrix = SWAP_YZ.clone()
+    .multiply(new THREE.Matrix4().makeRotationFromQuaternion(quaternion))
+    .multiply(SWAP_YZ);
+  const euler = new THREE.Euler().setFromRotationMatrix(matrix, 'XYZ');
+  return {
+    X: THREE.MathUtils.radToDeg(euler.x),
+    Y: THREE.MathUtils.radToDeg(euler.y),
+    Z: THREE.MathUtils.radToDeg(euler.z)
+  };
+}
+
+// Internal quaternion for external XYZ Euler angles (degrees)
+export function fromExternalRotation(x, y, z) {
+  const euler = new THREE.Euler(
+    THREE.MathUtils.degToRad(x),
+    THREE.MathUtils.degToRad(y),
+    THREE.MathUtils.degToRad(z),
+    'XYZ'
+  );
+  const matrix = SWAP_YZ.clone()
+    .multiply(new THREE.Matrix4().makeRotationFromEuler(euler))
+    .multiply(SWAP_YZ);
+  return new THREE.Quaternion().setFromRotationMatrix(matrix);
+}
+
+export class TransformGizmo {
+  constructor(kivi) {
+    this.kivi = kivi;
+    this.body = null; // Body mesh the gizmo is attached to
+    this.snap = true;
+    this.start = null; // { position, quaternion } of the body when the current drag started
+    this.dragged = false; // The last pointer up ended a drag, so its click is not a selection
+    this.panel = null;
+
+    const domElement = kivi.renderer.domElement;
+    this.controls = new TransformControls(kivi.camera, domElement);
+    this.controls.addEventListener('change', () => kivi.render());
+    this.controls.addEventListener('mouseDown', () => this.onDragStart());
+    this.controls.addEventListener('objectChange', () => this.updatePanel());
+    this.controls.addEventListener('mouseUp', () => this.onDragEnd());
+
+    this.helper = this.controls.getHelper();
+    this.helper.name = 'transformGizmo';
+    kivi.scene.add(this.helper);
+
+    domElement.addEventListener('pointerdown', () => {
+      this.dragged = false;
+    });
+
+    // Esc puts the gizmo away
+    window.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.body) return;
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      this.detach();
+    });
+  }
+
+  // Show the gizmo and panel on a body
+  attach(body) {
+    if (this.kivi.system.sketchEditor?.isEditing) {
+      console.warn('Close the sketch before moving bodies');
+      return;
+    }
+
+    this.body = body;
+    this.controls.attach(body);
+    this.showPanel();
+    this.kivi.render();
+  }
+
+  detach() {
+    if (!this.body) return;
+
+    this.controls.detach();
+    this.body = null;
+    this.hidePanel();
+    this.kivi.render();
+  }
+
+  // 'translate' or 'rotate'
+  setMode(mode) {
+    this.controls.setMode(mode);
+    this.updatePanel();
+  }
+
+  // After document changes: let go of a removed body, show undone or redone transforms
+  refresh() {
+    if (!this.body) return;
+
+    const inScene = this.body.parent && this.kivi.scene.getObjectById(this.body.id);
+    if (!inScene) {
+      this.detach();
+      return;
+    }
+    this.updatePanel();
+  }
+
+  // True once for the click that ends a drag (see FaceSelector.onClick)
+  consumeClick() {
+    const dragged = this.dragged;
+    this.dragged = false;
+    return dragged;
+  }
+
+  onDragStart() {
+    this.start = {
+      position: this.body.position.clone(),
+      quaternion: this.body.quaternion.clone()
+    };
+
+    // The grid spacing changes with the zoom, so take it when the drag starts
+    const spacing = this.snap ? this.kivi.system.sketchEditor?.snap.getGridSpacing() : null;
+    this.controls.setTranslationSnap(spacing || null);
+    this.controls.setRotationSnap(this.snap ? THREE.MathUtils.degToRad(ROTATION_SNAP) : null);
+  }
+
+  onDragEnd() {
+    const start = this.start;
+    this.start = null;
+    this.dragged = true;
+    if (!start) return;
+
+    const body = this.body;
+    const end = {
+      position: body.position.clone(),
+      quaternion: body.quaternion.clone()
+    };
+    if (start.position.equals(end.position) && start.quaternion.equals(end.quaternion)) return;
+
+    // Already moved - record it so the drag can be undone
+    this.bodyMoved(body);
+    this.kivi.system.commands.push({
+      label: `${this.controls.mode === 'rotate' ? 'Rotate' : 'Move'} ${body.name}`,
+      do: () => this.applyTransform(body, end),
+      undo: () => this.applyTransform(body, start)
+    });
+  }
+
+  // Set a body's position and rotation (internal coordinates) as an undoable command
+  setTransform(body, position, quaternion, label) {
+    const before = { position: body.position.clone(), quaternion: body.quaternion.clone() };
+    const after = { position: position.clone(), quaternion: quaternion.clone() };
+
+    this.kivi.system.commands.execute({
+      label: `${label} ${body.name}`,
+      do: () => this.applyTransform(body, after),
+      undo: () => this.applyTransform(body, before)
+    });
+  }
+
+  applyTransform(body, { position, quaternion }) {
+    body.position.copy(position);
+    body.quaternion.copy(quaternion);
+    this.bodyMoved(body);
+  }
+
+  // Highlights and sketches on the body's faces follow it
+  bodyMoved(body) {
+    body.updateMatrixWorld();
+    this.kivi.system.faceSelector?.invalidateMesh(body);
+    this.kivi.system.sketchEditor?.updateAttachedSketches(body);
+    this.updatePanel();
+    this.kivi.render();
+  }
+
+  showPanel() {
+    this.hidePanel();
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'panel transform-panel';
+
+    const titleBar = document.createElement('div');
+    titleBar.className = 'panel-title';
+    titleBar.textContent = `Transform: ${this.body.name}`;
+
+    const content = document.createElement('div');
+    content.className = 'panel-content';
+
+    // Move / Rotate mode buttons
+    const modes = document.createElement('div');
+    modes.className = 'mb-md';
+    modes.style.cssText = 'display: flex; gap: 8px;';
+    this.modeButtons = {};
+    [['translate', 'Move'], ['rotate', 'Rotate']].forEach(([mode, label]) => {
+      const button = document.createElement('button');
+      button.className = 'btn btn-primary';
+      button.style.flex = '1';
+      button.textContent = label;
+      button.addEventListener('click', () => this.setMode(mode));
+      modes.appendChild(button);
+      this.modeButtons[mode] = button;
+    });
+    content.appendChild(modes);
+
+    // Position (mm) and rotation (degrees) in external coordinates
+    this.positionInputs = this.createVectorInputs(content, 'Position (mm)', 0.1, () => {
+      const position = coordinateSystem.externalToInternal(this.readInputs(this.positionInputs));
+      this.setTransform(this.body, position, this.body.quaternion, 'Move');
+    });
+    this.rotationInputs = this.createVectorInputs(content, 'Rotation (degrees)', ROTATION_SNAP, () => {
+      const { x, y, z } = this.readInputs(this.rotationInputs);
+      this.setTransform(this.body, this.body.position, fromExternalRotation(x, y, z), 'Rotate');
+    });
+
+    // Snap to the grid spacing while dragging
+    const snapOption = document.createElement('label');
+    snapOption.className = 'sketch-editor-instructions mb-md';
+    snapOption.style.display = 'block';
+    const snapCheckbox = document.createElement('input');
+    snapCheckbox.type = 'checkbox';
+    snapCheckbox.checked = this.snap;
+    snapCheckbox.addEventListener('change', () => {
+      this.snap = snapCheckbox.checked;
+    });
+    snapOption.appendChild(snapCheckbox);
+    snapOption.appendChild(document.createTextNode(` Snap to grid and ${ROTATION_SNAP}° steps`));
+    content.appendChild(snapOption);
+
+    const doneButton = document.createElement('button');
+    doneButton.className = 'btn btn-secondary btn-full-width';
+    doneButton.textContent = 'Done';
+    doneButton.addEventListener('click', () => this.detach());
+    content.appendChild(doneButton);
+
+    this.panel.appendChild(titleBar);
+    this.panel.appendChild(content);
+    document.body.appendChild(this.panel);
+
+    this.updatePanel();
+  }
+
+  // Labelled row of X, Y, Z number inputs; onChange runs when one of them is changed
+  createVectorInputs(content, label, step, onChange) {
+    const title = document.createElement('div');
+    title.className = 'sketch-editor-label';
+    title.textContent = label;
+    content.appendChild(title);
+
+    const row = document.createElement('div');
+    row.className = 'mb-md';
+    row.style.cssText = 'display: flex; gap: 4px;';
+
+    const inputs = {};
+    ['X', 'Y', 'Z'].forEach(axis => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = step;
+      input.title = axis;
+      input.placeholder = axis;
+      input.style.cssText = `
+        width: 100%;
+        min-width: 0;
+        padding: 4px;
+        border: 1px solid #ccc;
+        border-radius: 4px;
+      `;
+      input.addEventListener('change', () => {
+        if (!Number.isFinite(parseFloat(input.value))) {
+          console.warn(`${label} ${axis} must be a number`);
+          this.updatePanel();
+          return;
+        }
+        onChange();
+      });
+      row.appendChild(input);
+      inputs[axis] = input;
+    });
+    content.appendChild(row);
+
+    return inputs;
+  }
+
+  // External vector from a row of inputs
+  readInputs(inputs) {
+    return new THREE.Vector3(
+      parseFloat(inputs.X.value),
+      parseFloat(inputs.Y.value),
+      parseFloat(inputs.Z.value)
+    );
+  }
+
+  updatePanel() {
+    if (!this.panel || !this.body) return;
+
+    const position = coordinateSystem.formatPosition(this.body.position);
+    const rotation = toExternalRotation(this.body.quaternion);
+    ['X', 'Y', 'Z'].forEach(axis => {
+      this.positionInputs[axis].value = position[axis];
+      this.rotationInputs[axis].value = rotation[axis].toFixed(2);
+    });
+
+    Object.entries(this.modeButtons).forEach(([mode, button]) => {
+      button.classList.toggle('btn-active', mode === this.controls.mode);
+    });
+  }
+
+  hidePanel() {
+    if (!this.panel) return;
+
+    document.body.removeChild(this.panel);
+    this.panel = null;
+  }
+}